@@ -4,6 +4,8 @@ import { Tabs } from "expo-router";
 import { Platform, StyleSheet, View } from "react-native";
 import { useSafeAreaInsets } from "react-native-safe-area-context";
 import { useTheme } from "../../src/context/UserContext";
+import { useDrafts } from "../../src/context/DraftContext";
+import { useRecordingRecovery } from "../../src/hooks/useRecordingRecovery";
 
 // Minimum bottom padding — covers Android devices that report insets.bottom = 0
 // but still have a software navigation bar eating into the screen
@@ -13,6 +15,8 @@ const TAB_BAR_BASE_HEIGHT = 60;
 export default function TabLayout() {
   const { theme } = useTheme();
   const insets = useSafeAreaInsets();
+  const { pendingRecordings } = useDrafts();
+  useRecordingRecovery();
 
   // Use whichever is larger: the device's reported inset or our minimum
   const bottomPadding = Math.max(insets.bottom, MIN_BOTTOM_PADDING);
@@ -68,6 +72,13 @@ export default function TabLayout() {
             </View>
           ),
           tabBarLabel: () => null,
+          // Recordings waiting in the processing inbox
+          tabBarBadge: pendingRecordings.length || undefined,
+          tabBarBadgeStyle: {
+            backgroundColor: theme.warning,
+            color: "#fff",
+            fontSize: 10,
+          },
         }}
       />
       <Tabs.Screen
@@ -15,6 +15,7 @@ import { useRouter } from "expo-router";
 import { useTheme } from "../../src/context/UserContext";
 import { useDrafts } from "../../src/context/DraftContext";
 import DraftCard from "../../src/components/DraftCard";
+import { groupTranslations } from "../../src/models/Draft";
 
 const FILTERS = [
   { key: "all", label: "All" },
@@ -34,8 +35,16 @@ export default function DraftsScreen() {
     fetchDrafts,
     deleteDraft,
     setCurrentDraft,
+    getSyncStatus,
+    retrySync,
+    discardPendingChanges,
   } = useDrafts();
   const insets = useSafeAreaInsets();
+
+  // Translations are listed under their original
+  const listedDrafts = groupTranslations(filteredDrafts);
+  const listedIds = new Set(listedDrafts.map((d) => d.id));
+  const translatedIds = new Set(drafts.map((d) => d.translationOf));
   const [refreshing, setRefreshing] = useState(false);
   const styles = createStyles(theme, isDarkMode, insets);
 
@@ -55,8 +64,32 @@ export default function DraftsScreen() {
   };
 
   const handleDraftLongPress = (draft) => {
+    const syncStatus = getSyncStatus(draft.id);
+    const discardAction = {
+      text: "Discard Offline Changes",
+      style: "destructive",
+      onPress: () => discardPendingChanges(draft.id),
+    };
+    // A conflict is merged in the editor — retrying would only hit it again
+    const syncActions =
+      syncStatus === "failed"
+        ? [
+            { text: "Retry Sync", onPress: () => retrySync(draft.id) },
+            discardAction,
+          ]
+        : syncStatus === "conflict"
+          ? [
+              {
+                text: "Review Changes",
+                onPress: () => handleDraftPress(draft),
+              },
+              discardAction,
+            ]
+          : [];
+
     Alert.alert(`"${draft.title || "Untitled Draft"}"`, "Choose an action", [
       { text: "Cancel", style: "cancel" },
+      ...syncActions,
       {
         text: "Delete",
         style: "destructive",
@@ -162,10 +195,13 @@ export default function DraftsScreen() {
 
         {/* List */}
         <FlatList
-          data={filteredDrafts}
+          data={listedDrafts}
           renderItem={({ item }) => (
             <DraftCard
               draft={item}
+              isTranslation={listedIds.has(item.translationOf)}
+              showLanguage={!!item.translationOf || translatedIds.has(item.id)}
+              syncStatus={getSyncStatus(item.id)}
               onPress={() => handleDraftPress(item)}
               onLongPress={() => handleDraftLongPress(item)}
             />
@@ -136,7 +136,9 @@ export default function HomeScreen() {
                 {recentDraft.title || "Untitled Draft"}
               </Text>
               <Text style={styles.continueDraftTime}>
-                {formatRelativeTime(new Date(recentDraft.updatedAt))}
+                {formatRelativeTime(
+                  new Date(recentDraft.updatedAt || recentDraft.createdAt),
+                )}
               </Text>
             </View>
             <Text style={styles.continueDraftArrow}>›</Text>
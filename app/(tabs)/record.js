@@ -1,13 +1,30 @@
 // app/(tabs)/record.js
-import React, { useState, useRef, useCallback } from "react";
+import React, { useState, useRef, useCallback, useEffect } from "react";
 import { View, Text, TouchableOpacity, StyleSheet, Alert } from "react-native";
+import * as DocumentPicker from "expo-document-picker";
 import { SafeAreaView } from "react-native-safe-area-context";
 import { useSafeAreaInsets } from "react-native-safe-area-context";
-import { useRouter, useFocusEffect } from "expo-router";
-import { useTheme } from "../../src/context/UserContext";
+import { useRouter, useFocusEffect, useLocalSearchParams } from "expo-router";
+import { useTheme, useUser } from "../../src/context/UserContext";
 import { useDrafts } from "../../src/context/DraftContext";
+import { useSubscription } from "../../src/context/SubscriptionContext";
 import VoiceRecorder from "../../src/components/VoiceRecorder";
 import ToneSelector from "../../src/components/ToneSelector";
+import LanguageSelector from "../../src/components/LanguageSelector";
+import SegmentList from "../../src/components/SegmentList";
+import PendingRecordings from "../../src/components/PendingRecordings";
+import VariantPicker from "../../src/components/VariantPicker";
+import {
+  createAudioSegment,
+  getTotalDurationMs,
+} from "../../src/models/AudioSegment";
+import recordingStorage from "../../src/services/recordingStorage";
+import { RECORDING_CONFIG } from "../../src/utils/constants";
+import {
+  formatLanguage,
+  validateRecordingDuration,
+} from "../../src/utils/validators";
+import { getAudioDurationMs, isSupportedAudio } from "../../src/utils/audio";
 
 // Phases owned by this screen (recording phase is owned by VoiceRecorder internally)
 const SCREEN_PHASES = {
@@ -20,13 +37,48 @@ const SCREEN_PHASES = {
 export default function RecordScreen() {
   const router = useRouter();
   const { theme, isDarkMode } = useTheme();
-  const { processVoiceRecording, currentDraft } = useDrafts();
+  const {
+    processVoiceRecording,
+    currentDraft,
+    pendingRecordings,
+    retryPendingRecording,
+    discardPendingRecording,
+    getRefinementVariants,
+    chooseVariant,
+  } = useDrafts();
+  const { canRecord } = useSubscription();
+  const { liveTranscriptionEnabled, transcriptionLanguage, variantsEnabled } =
+    useUser();
   const insets = useSafeAreaInsets();
+  const { recoveredChunks } = useLocalSearchParams();
 
   const [selectedTone, setSelectedTone] = useState("Professional");
+  // Starts from the Settings preference; changing it here is for this post
+  const [selectedLanguage, setSelectedLanguage] = useState(
+    transcriptionLanguage,
+  );
+  const [showLanguages, setShowLanguages] = useState(false);
+
+  useEffect(() => {
+    setSelectedLanguage(transcriptionLanguage);
+  }, [transcriptionLanguage]);
   const [phase, setPhase] = useState(SCREEN_PHASES.IDLE);
   const [recorderKey, setRecorderKey] = useState(0);
+  // Takes recorded so far, in the order they'll be stitched together
+  const [segments, setSegments] = useState([]);
+  const [isImporting, setIsImporting] = useState(false);
+  // { draftId, variants, isLoading } while the user picks a version
+  const [variantChoice, setVariantChoice] = useState(null);
   const voiceRecorderRef = useRef(null);
+  const recoveredRef = useRef(new Set());
+  // A take can finish on its own (auto-stop, time limit) through callbacks
+  // set up when it started, so these are read at the time it finishes
+  const segmentsRef = useRef(segments);
+  segmentsRef.current = segments;
+  const selectedToneRef = useRef(selectedTone);
+  selectedToneRef.current = selectedTone;
+  const selectedLanguageRef = useRef(selectedLanguage);
+  selectedLanguageRef.current = selectedLanguage;
 
   const styles = createStyles(theme, isDarkMode, insets);
 
@@ -40,16 +92,47 @@ export default function RecordScreen() {
     }, []), // ← empty deps, runs ONCE
   );
 
+  // A take recovered after a crash or interruption joins the list, one
+  // segment per chunk it was recorded in
+  useEffect(() => {
+    if (!recoveredChunks || recoveredRef.current.has(recoveredChunks)) return;
+    recoveredRef.current.add(recoveredChunks);
+    const chunks = JSON.parse(recoveredChunks);
+    setSegments((prev) => [
+      ...prev,
+      ...chunks.map((chunk, i) =>
+        createAudioSegment({
+          uri: chunk.uri,
+          durationMs: Number(chunk.durationMs) || 0,
+          continuesPrevious: i > 0,
+        }),
+      ),
+    ]);
+  }, [recoveredChunks]);
+
+  const remainingMs =
+    RECORDING_CONFIG.MAX_DURATION_MS - getTotalDurationMs(segments);
+
   const handleBack = () => {
-    if (phase === SCREEN_PHASES.RECORDING) {
-      Alert.alert("Cancel Recording?", "Your recording will be lost.", [
-        { text: "Continue Recording", style: "cancel" },
-        {
-          text: "Discard",
-          style: "destructive",
-          onPress: () => router.back(),
-        },
-      ]);
+    if (phase === SCREEN_PHASES.RECORDING || segments.length > 0) {
+      Alert.alert(
+        "Cancel Recording?",
+        segments.length > 1
+          ? "Your recorded parts will be lost."
+          : "Your recording will be lost.",
+        [
+          { text: "Continue Recording", style: "cancel" },
+          {
+            text: "Discard",
+            style: "destructive",
+            onPress: () => {
+              recordingStorage.deleteRecordings(segments.map((s) => s.uri));
+              setSegments([]);
+              router.back();
+            },
+          },
+        ],
+      );
     } else if (phase === SCREEN_PHASES.PROCESSING) {
       Alert.alert(
         "Processing in progress",
@@ -65,21 +148,226 @@ export default function RecordScreen() {
     setPhase(SCREEN_PHASES.RECORDING);
   }, []);
 
-  const handleRecordingComplete = useCallback(
-    async ({ uri }) => {
+  /**
+   * Add a voice memo recorded in another app as a take
+   */
+  const handleImportAudio = useCallback(async () => {
+    const picked = await DocumentPicker.getDocumentAsync({
+      // Providers label the same formats differently (audio/x-wav,
+      // application/ogg...), so allow any audio and check the extension
+      type: ["audio/*", "application/ogg"],
+      copyToCacheDirectory: true,
+    });
+    if (picked.canceled) return;
+    const [asset] = picked.assets;
+
+    if (!isSupportedAudio(asset.name)) {
+      Alert.alert("Unsupported File", "Choose an m4a, mp3, wav or ogg file.");
+      return;
+    }
+
+    setIsImporting(true);
+    try {
+      const durationMs = await getAudioDurationMs(asset.uri);
+      if (durationMs === null) {
+        Alert.alert("Can't Read File", "This audio file couldn't be opened.");
+        return;
+      }
+
+      const validation = validateRecordingDuration(durationMs);
+      if (!validation.isValid) {
+        Alert.alert("Can't Import", validation.error);
+        return;
+      }
+      // Both limits apply to the whole post, not just this file
+      const totalMs = getTotalDurationMs(segmentsRef.current) + durationMs;
+      if (totalMs > RECORDING_CONFIG.MAX_DURATION_MS) {
+        Alert.alert(
+          "Too Long",
+          "Together with your other parts this goes over the 5 minute limit.",
+        );
+        return;
+      }
+      if (!canRecord(Math.ceil(totalMs / 1000))) {
+        Alert.alert(
+          "Recording Limit",
+          segmentsRef.current.length > 0
+            ? "Together with your other parts this is longer than your plan allows. Upgrade to Pro for longer posts."
+            : "This file is longer than your plan allows. Upgrade to Pro for longer posts.",
+          [
+            { text: "Not Now", style: "cancel" },
+            { text: "Upgrade", onPress: () => router.push("/upgrade") },
+          ],
+        );
+        return;
+      }
+
+      const storedUri = await recordingStorage.persistRecording(asset.uri);
+      setSegments((prev) => [
+        ...prev,
+        createAudioSegment({
+          uri: storedUri,
+          durationMs,
+          mimeType: asset.mimeType || null,
+          fileName: asset.name,
+        }),
+      ]);
+    } finally {
+      setIsImporting(false);
+    }
+  }, [canRecord, router]);
+
+  // Offer a few alternative refinements before the editor. If none come
+  // back the draft stays as it is and the usual Review button is there.
+  const showVariants = useCallback(
+    async (draft) => {
+      setVariantChoice({ draftId: draft.id, variants: [], isLoading: true });
+      const result = await getRefinementVariants(draft);
+      if (result.success && result.variants.length > 1) {
+        setVariantChoice({
+          draftId: draft.id,
+          variants: result.variants,
+          isLoading: false,
+        });
+      } else {
+        setVariantChoice(null);
+      }
+    },
+    [getRefinementVariants],
+  );
+
+  const handleChooseVariant = useCallback(
+    async (variant) => {
+      const { draftId, variants } = variantChoice;
+      const result = await chooseVariant(draftId, variant, variants);
+      setVariantChoice(null);
+      if (result.success) {
+        router.push(`/editor/${draftId}`);
+      } else {
+        Alert.alert("Error", result.error || "Failed to save your choice.");
+      }
+    },
+    [chooseVariant, variantChoice, router],
+  );
+
+  const handleCreatePost = useCallback(
+    async (takes = segmentsRef.current) => {
+      setSegments(takes);
       setPhase(SCREEN_PHASES.PROCESSING);
-      const result = await processVoiceRecording(uri, selectedTone);
+      voiceRecorderRef.current?.setProcessing();
+      const result = await processVoiceRecording(
+        takes,
+        selectedToneRef.current,
+        selectedLanguageRef.current,
+      );
       if (result.success) {
+        setSegments([]);
         setPhase(SCREEN_PHASES.DONE);
         voiceRecorderRef.current?.setDone();
+        if (variantsEnabled) showVariants(result.draft);
+      } else if (result.queued) {
+        // The inbox has it now and will retry on its own
+        setSegments([]);
+        voiceRecorderRef.current?.setError(
+          "Saved for later — it'll be processed once you're back online.",
+        );
+        setPhase(SCREEN_PHASES.IDLE);
       } else {
+        // Keep the takes so processing can be retried
         voiceRecorderRef.current?.setError(result.error || "Processing failed");
         setPhase(SCREEN_PHASES.IDLE);
       }
     },
-    [processVoiceRecording, selectedTone],
+    [processVoiceRecording, variantsEnabled, showVariants],
+  );
+
+  // Each finished take is kept until the user is ready to create the post.
+  // A live-transcribed take already has its text, so it goes straight to
+  // refining along with any parts recorded before it.
+  const handleRecordingComplete = useCallback(
+    async ({ uri, durationMs, chunks }) => {
+      if (chunks) {
+        const chunkSegments = await Promise.all(
+          chunks.map(async (chunk, i) =>
+            createAudioSegment({
+              uri: await recordingStorage.persistRecording(chunk.uri),
+              durationMs: chunk.durationMs,
+              transcript: chunk.transcript,
+              language: chunk.language,
+              continuesPrevious: i > 0,
+            }),
+          ),
+        );
+        handleCreatePost([...segmentsRef.current, ...chunkSegments]);
+        return;
+      }
+
+      setPhase(SCREEN_PHASES.IDLE);
+      const storedUri = await recordingStorage.persistRecording(uri);
+      setSegments((prev) => [
+        ...prev,
+        createAudioSegment({ uri: storedUri, durationMs }),
+      ]);
+    },
+    [handleCreatePost],
+  );
+
+  const handleRetryPending = useCallback(
+    async (recordingId) => {
+      const result = await retryPendingRecording(recordingId);
+      if (result.success) {
+        Alert.alert("Post Ready", "Your recording is now a draft.", [
+          { text: "Later", style: "cancel" },
+          {
+            text: "Review",
+            onPress: () => router.push(`/editor/${result.draft.id}`),
+          },
+        ]);
+      } else {
+        Alert.alert("Still Not Processed", result.error);
+      }
+    },
+    [retryPendingRecording, router],
+  );
+
+  const handleDiscardPending = useCallback(
+    (recordingId) => {
+      Alert.alert("Discard Recording?", "This recording will be deleted.", [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Discard",
+          style: "destructive",
+          onPress: () => discardPendingRecording(recordingId),
+        },
+      ]);
+    },
+    [discardPendingRecording],
   );
 
+  const handleMoveSegment = useCallback((index, direction) => {
+    setSegments((prev) => {
+      const target = index + direction;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }, []);
+
+  const handleDeleteSegment = useCallback((segment) => {
+    Alert.alert("Delete Part?", "This part of your recording will be lost.", [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Delete",
+        style: "destructive",
+        onPress: () => {
+          setSegments((prev) => prev.filter((s) => s.id !== segment.id));
+          recordingStorage.deleteRecordings([segment.uri]);
+        },
+      },
+    ]);
+  }, []);
+
   const handleReviewPost = useCallback(() => {
     const id = currentDraft?.id || currentDraft?._id;
     if (id) {
@@ -96,6 +384,7 @@ export default function RecordScreen() {
 
   const isIdle =
     phase === SCREEN_PHASES.IDLE || phase === SCREEN_PHASES.RECORDING;
+  const canAddSegment = remainingMs >= RECORDING_CONFIG.MIN_DURATION_MS;
 
   return (
     <SafeAreaView style={styles.safeArea} edges={["top"]}>
@@ -112,6 +401,16 @@ export default function RecordScreen() {
             </View>
           </TouchableOpacity>
           <Text style={styles.title}>Voice Post</Text>
+          <TouchableOpacity
+            onPress={() => setShowLanguages((v) => !v)}
+            style={styles.languagePill}
+            disabled={phase !== SCREEN_PHASES.IDLE}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.languagePillText}>
+              {formatLanguage(selectedLanguage)}
+            </Text>
+          </TouchableOpacity>
           <View style={styles.tonePill}>
             <Text style={styles.tonePillText}>{selectedTone}</Text>
           </View>
@@ -123,6 +422,32 @@ export default function RecordScreen() {
             <ToneSelector
               selectedTone={selectedTone}
               onSelectTone={setSelectedTone}
+              onManageTones={() => router.push("/tones")}
+            />
+          </View>
+        )}
+
+        {/* Spoken language — opened from the header pill */}
+        {phase === SCREEN_PHASES.IDLE && showLanguages && (
+          <View style={styles.toneSection}>
+            <LanguageSelector
+              label="Spoken language"
+              selectedLanguage={selectedLanguage}
+              onSelectLanguage={(language) => {
+                setSelectedLanguage(language);
+                setShowLanguages(false);
+              }}
+            />
+          </View>
+        )}
+
+        {/* Recordings that failed to process */}
+        {phase === SCREEN_PHASES.IDLE && (
+          <View style={styles.pendingSection}>
+            <PendingRecordings
+              recordings={pendingRecordings}
+              onRetry={handleRetryPending}
+              onDiscard={handleDiscardPending}
             />
           </View>
         )}
@@ -137,10 +462,70 @@ export default function RecordScreen() {
             onProcessingStart={() => setPhase(SCREEN_PHASES.PROCESSING)}
             onReviewPost={handleReviewPost}
             onError={handleError}
-            processingMessage="Refining your post..."
+            processingMessage={
+              segments.length > 1
+                ? "Stitching your parts together..."
+                : "Refining your post..."
+            }
+            collectSegments
+            recoverable
+            streamTranscript={liveTranscriptionEnabled}
+            language={selectedLanguage}
+            maxDurationMs={remainingMs}
+            idleHint={
+              segments.length === 0
+                ? "Tap to start recording"
+                : canAddSegment
+                  ? "Tap to add another part"
+                  : "Maximum length reached"
+            }
           />
         </View>
+
+        {phase === SCREEN_PHASES.IDLE && canAddSegment && (
+          <TouchableOpacity
+            onPress={handleImportAudio}
+            style={styles.importBtn}
+            disabled={isImporting}
+            activeOpacity={0.7}
+          >
+            <Text style={styles.importText}>
+              {isImporting ? "Importing..." : "Import audio file"}
+            </Text>
+          </TouchableOpacity>
+        )}
+
+        {/* Recorded parts — only while they can still be changed */}
+        {isIdle && segments.length > 0 && (
+          <View style={styles.segmentsSection}>
+            <SegmentList
+              segments={segments}
+              onMove={handleMoveSegment}
+              onDelete={handleDeleteSegment}
+              disabled={phase === SCREEN_PHASES.RECORDING}
+            />
+            <TouchableOpacity
+              onPress={() => handleCreatePost()}
+              style={[
+                styles.createBtn,
+                phase === SCREEN_PHASES.RECORDING && styles.createBtnDisabled,
+              ]}
+              disabled={phase === SCREEN_PHASES.RECORDING}
+              activeOpacity={0.85}
+            >
+              <Text style={styles.createBtnText}>Create Post →</Text>
+            </TouchableOpacity>
+          </View>
+        )}
       </View>
+
+      <VariantPicker
+        visible={!!variantChoice}
+        variants={variantChoice?.variants}
+        isLoading={variantChoice?.isLoading}
+        onChoose={handleChooseVariant}
+        onSkip={() => setVariantChoice(null)}
+      />
     </SafeAreaView>
   );
 }
@@ -175,6 +560,21 @@ const createStyles = (theme, isDarkMode, insets) =>
       color: theme.text,
       letterSpacing: -0.3,
     },
+    languagePill: {
+      paddingVertical: 5,
+      paddingHorizontal: 10,
+      marginRight: 6,
+      borderRadius: 20,
+      backgroundColor: theme.accentGlow,
+      borderWidth: 1,
+      borderColor: `${theme.accent}30`,
+    },
+    languagePillText: {
+      fontSize: 11,
+      fontWeight: "600",
+      color: theme.accent,
+      letterSpacing: 0.2,
+    },
     tonePill: {
       paddingVertical: 5,
       paddingHorizontal: 12,
@@ -191,5 +591,28 @@ const createStyles = (theme, isDarkMode, insets) =>
     },
 
     toneSection: { marginBottom: 20 },
+    pendingSection: { marginBottom: 12 },
     recorderWrap: { flex: 1 },
+
+    importBtn: { alignSelf: "center", paddingVertical: 10, marginBottom: 8 },
+    importText: {
+      fontSize: 13,
+      fontWeight: "600",
+      color: theme.primary,
+    },
+
+    segmentsSection: { gap: 12, paddingBottom: insets.bottom + 16 },
+    createBtn: {
+      paddingVertical: 15,
+      borderRadius: 16,
+      backgroundColor: theme.primary,
+      alignItems: "center",
+      shadowColor: theme.primary,
+      shadowOffset: { width: 0, height: 8 },
+      shadowOpacity: isDarkMode ? 0.4 : 0.25,
+      shadowRadius: 16,
+      elevation: 8,
+    },
+    createBtnDisabled: { opacity: 0.5 },
+    createBtnText: { fontSize: 15, fontWeight: "700", color: "#fff" },
   });
@@ -19,17 +19,34 @@ import { useRouter } from "expo-router";
 import { useTheme, useUser } from "../../src/context/UserContext";
 import { useAuth } from "../../src/context/AuthContext";
 import { useSubscription } from "../../src/context/SubscriptionContext";
+import { useTones } from "../../src/context/ToneContext";
 import ToneSelector from "../../src/components/ToneSelector";
+import LanguageSelector from "../../src/components/LanguageSelector";
 import { useLinkedInAuth } from "../../src/hooks/useLinkedInAuth";
+import { RECORDING_CONFIG } from "../../src/utils/constants";
+import { formatLanguage } from "../../src/utils/validators";
 
 export default function SettingsScreen() {
   const router = useRouter();
   const { theme, isDarkMode } = useTheme();
-  const { toggleTheme } = useUser();
+  const {
+    toggleTheme,
+    autoStopEnabled,
+    autoStopSilenceMs,
+    setAutoStop,
+    liveTranscriptionEnabled,
+    toggleLiveTranscription,
+    transcriptionLanguage,
+    setTranscriptionLanguage,
+    variantsEnabled,
+    toggleVariants,
+  } = useUser();
   const { user, logout } = useAuth();
   const { subscription, usage, isPro } = useSubscription();
+  const { customTones } = useTones();
   const insets = useSafeAreaInsets();
   const [showToneSelector, setShowToneSelector] = useState(false);
+  const [showLanguageSelector, setShowLanguageSelector] = useState(false);
   const [defaultTone, setDefaultTone] = useState(
     user?.preferredTone || "Professional",
   );
@@ -402,6 +419,174 @@ export default function SettingsScreen() {
                 />
               </View>
             )}
+            <TouchableOpacity
+              onPress={() => router.push("/tones")}
+              style={[styles.row, styles.rowDivided]}
+              activeOpacity={0.7}
+            >
+              <View style={styles.rowLeft}>
+                <PaletteIcon color={theme.textSecondary} />
+                <Text style={styles.rowLabel}>Custom Tones</Text>
+              </View>
+              <View style={styles.rowRight}>
+                <Text style={styles.rowValue}>
+                  {customTones.length > 0 ? customTones.length : "None"}
+                </Text>
+                <Text style={styles.rowChevron}>›</Text>
+              </View>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => router.push("/voice-profile")}
+              style={[styles.row, styles.rowDivided]}
+              activeOpacity={0.7}
+            >
+              <View style={styles.rowLeft}>
+                <FingerprintIcon color={theme.textSecondary} />
+                <View>
+                  <Text style={styles.rowLabel}>Voice Profile</Text>
+                  <Text style={styles.rowHint}>
+                    How you write, learned from your posts
+                  </Text>
+                </View>
+              </View>
+              <Text style={styles.rowChevron}>›</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Recording */}
+        <View style={styles.section}>
+          <Text style={styles.sectionLabel}>RECORDING</Text>
+          <View style={styles.card}>
+            <View style={styles.row}>
+              <View style={styles.rowLeft}>
+                <SilenceIcon color={theme.textSecondary} />
+                <View>
+                  <Text style={styles.rowLabel}>Auto-stop on Silence</Text>
+                  <Text style={styles.rowHint}>
+                    Ends the recording when you stop talking
+                  </Text>
+                </View>
+              </View>
+              <TouchableOpacity
+                onPress={() => setAutoStop({ enabled: !autoStopEnabled })}
+                style={[styles.toggle, autoStopEnabled && styles.toggleOn]}
+                activeOpacity={0.85}
+              >
+                <View
+                  style={[
+                    styles.toggleThumb,
+                    autoStopEnabled && styles.toggleThumbOn,
+                  ]}
+                />
+              </TouchableOpacity>
+            </View>
+            {autoStopEnabled && (
+              <View style={[styles.row, styles.rowDivided]}>
+                <Text style={styles.rowLabel}>Stop After</Text>
+                <View style={styles.optionRow}>
+                  {RECORDING_CONFIG.AUTO_STOP_SILENCE_OPTIONS_MS.map((ms) => {
+                    const isSelected = ms === autoStopSilenceMs;
+                    return (
+                      <TouchableOpacity
+                        key={ms}
+                        onPress={() => setAutoStop({ silenceMs: ms })}
+                        style={[
+                          styles.optionChip,
+                          isSelected && styles.optionChipSelected,
+                        ]}
+                        activeOpacity={0.7}
+                      >
+                        <Text
+                          style={[
+                            styles.optionText,
+                            isSelected && styles.optionTextSelected,
+                          ]}
+                        >
+                          {ms / 1000}s
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            )}
+            <View style={[styles.row, styles.rowDivided]}>
+              <View style={styles.rowLeft}>
+                <LiveTextIcon color={theme.textSecondary} />
+                <View>
+                  <Text style={styles.rowLabel}>Live Transcription</Text>
+                  <Text style={styles.rowHint}>
+                    See your words as you speak
+                  </Text>
+                </View>
+              </View>
+              <TouchableOpacity
+                onPress={toggleLiveTranscription}
+                style={[
+                  styles.toggle,
+                  liveTranscriptionEnabled && styles.toggleOn,
+                ]}
+                activeOpacity={0.85}
+              >
+                <View
+                  style={[
+                    styles.toggleThumb,
+                    liveTranscriptionEnabled && styles.toggleThumbOn,
+                  ]}
+                />
+              </TouchableOpacity>
+            </View>
+            <TouchableOpacity
+              onPress={() => setShowLanguageSelector(!showLanguageSelector)}
+              style={[styles.row, styles.rowDivided]}
+              activeOpacity={0.7}
+            >
+              <View style={styles.rowLeft}>
+                <GlobeIcon color={theme.textSecondary} />
+                <Text style={styles.rowLabel}>Spoken Language</Text>
+              </View>
+              <View style={styles.rowRight}>
+                <Text style={styles.rowValue}>
+                  {formatLanguage(transcriptionLanguage)}
+                </Text>
+                <Text style={styles.rowChevron}>›</Text>
+              </View>
+            </TouchableOpacity>
+            {showLanguageSelector && (
+              <View style={styles.toneWrap}>
+                <LanguageSelector
+                  selectedLanguage={transcriptionLanguage}
+                  onSelectLanguage={(language) => {
+                    setTranscriptionLanguage(language);
+                    setShowLanguageSelector(false);
+                  }}
+                />
+              </View>
+            )}
+            <View style={[styles.row, styles.rowDivided]}>
+              <View style={styles.rowLeft}>
+                <CardsIcon color={theme.textSecondary} />
+                <View>
+                  <Text style={styles.rowLabel}>Refinement Variants</Text>
+                  <Text style={styles.rowHint}>
+                    Pick from a few versions after recording
+                  </Text>
+                </View>
+              </View>
+              <TouchableOpacity
+                onPress={toggleVariants}
+                style={[styles.toggle, variantsEnabled && styles.toggleOn]}
+                activeOpacity={0.85}
+              >
+                <View
+                  style={[
+                    styles.toggleThumb,
+                    variantsEnabled && styles.toggleThumbOn,
+                  ]}
+                />
+              </TouchableOpacity>
+            </View>
           </View>
         </View>
 
@@ -487,6 +672,151 @@ const TargetIcon = ({ color }) => (
   </View>
 );
 
+const PaletteIcon = ({ color }) => (
+  <View
+    style={{
+      width: 18,
+      height: 18,
+      flexDirection: "row",
+      flexWrap: "wrap",
+      justifyContent: "center",
+      alignContent: "center",
+      gap: 2,
+    }}
+  >
+    {[0, 1, 2, 3].map((i) => (
+      <View
+        key={i}
+        style={{
+          width: 7,
+          height: 7,
+          borderRadius: 3.5,
+          borderWidth: 1.5,
+          borderColor: color,
+        }}
+      />
+    ))}
+  </View>
+);
+
+const FingerprintIcon = ({ color }) => (
+  <View
+    style={{
+      width: 18,
+      height: 18,
+      justifyContent: "center",
+      alignItems: "center",
+    }}
+  >
+    {[16, 10, 4].map((size) => (
+      <View
+        key={size}
+        style={{
+          position: "absolute",
+          width: size,
+          height: size,
+          borderRadius: size / 2,
+          borderWidth: 1.5,
+          borderColor: color,
+          borderBottomColor: "transparent",
+        }}
+      />
+    ))}
+  </View>
+);
+
+const SilenceIcon = ({ color }) => (
+  <View
+    style={{
+      width: 18,
+      height: 18,
+      flexDirection: "row",
+      justifyContent: "center",
+      alignItems: "center",
+      gap: 2,
+    }}
+  >
+    {[6, 12, 16, 8, 3].map((height, i) => (
+      <View
+        key={i}
+        style={{ width: 2, height, borderRadius: 1, backgroundColor: color }}
+      />
+    ))}
+  </View>
+);
+
+const GlobeIcon = ({ color }) => (
+  <View
+    style={{
+      width: 18,
+      height: 18,
+      justifyContent: "center",
+      alignItems: "center",
+    }}
+  >
+    <View
+      style={{
+        width: 16,
+        height: 16,
+        borderRadius: 8,
+        borderWidth: 2,
+        borderColor: color,
+      }}
+    />
+    <View
+      style={{
+        position: "absolute",
+        width: 8,
+        height: 16,
+        borderRadius: 4,
+        borderWidth: 1.5,
+        borderColor: color,
+      }}
+    />
+  </View>
+);
+
+const LiveTextIcon = ({ color }) => (
+  <View style={{ width: 18, height: 18, justifyContent: "center", gap: 3 }}>
+    {[16, 12, 8].map((width, i) => (
+      <View
+        key={i}
+        style={{ width, height: 2, borderRadius: 1, backgroundColor: color }}
+      />
+    ))}
+  </View>
+);
+
+const CardsIcon = ({ color }) => (
+  <View style={{ width: 18, height: 18 }}>
+    <View
+      style={{
+        position: "absolute",
+        top: 1,
+        left: 4,
+        width: 13,
+        height: 11,
+        borderRadius: 3,
+        borderWidth: 2,
+        borderColor: color,
+        opacity: 0.5,
+      }}
+    />
+    <View
+      style={{
+        position: "absolute",
+        top: 6,
+        left: 1,
+        width: 13,
+        height: 11,
+        borderRadius: 3,
+        borderWidth: 2,
+        borderColor: color,
+      }}
+    />
+  </View>
+);
+
 const LogoutIcon = ({ color }) => (
   <View
     style={{
@@ -739,6 +1069,23 @@ const createStyles = (theme, isDarkMode, insets) =>
     rowLabel: { fontSize: 14, color: theme.text, fontWeight: "500" },
     rowValue: { fontSize: 13, color: theme.textMuted },
     rowChevron: { fontSize: 20, color: theme.textMuted },
+    rowHint: { fontSize: 11, color: theme.textMuted, marginTop: 2 },
+    rowDivided: { borderTopWidth: 1, borderTopColor: theme.border },
+    optionRow: { flexDirection: "row", gap: 6 },
+    optionChip: {
+      paddingVertical: 6,
+      paddingHorizontal: 12,
+      borderRadius: 10,
+      backgroundColor: theme.surfaceHigh,
+      borderWidth: 1,
+      borderColor: theme.border,
+    },
+    optionChipSelected: {
+      backgroundColor: theme.primary,
+      borderColor: theme.primary,
+    },
+    optionText: { fontSize: 12, fontWeight: "600", color: theme.textSecondary },
+    optionTextSelected: { color: "#fff" },
     toneWrap: {
       paddingHorizontal: 12,
       paddingBottom: 12,
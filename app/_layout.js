@@ -9,6 +9,7 @@ import * as SplashScreen from "expo-splash-screen";
 
 import { AuthProvider } from "../src/context/AuthContext";
 import { UserProvider } from "../src/context/UserContext";
+import { ToneProvider } from "../src/context/ToneContext";
 import { DraftProvider } from "../src/context/DraftContext";
 import { SubscriptionProvider } from "../src/context/SubscriptionContext";
 
@@ -30,51 +31,67 @@ export default function RootLayout() {
       <SafeAreaProvider>
         <AuthProvider>
           <UserProvider>
-            <DraftProvider>
-              <SubscriptionProvider>
-                <StatusBar style="light" />
-                <Stack screenOptions={{ headerShown: false }}>
-                  <Stack.Screen name="index" />
-                  <Stack.Screen name="(auth)" />
-                  <Stack.Screen name="(tabs)" />
-                  <Stack.Screen
-                    name="upgrade"
-                    options={{
-                      headerShown: false,
-                      animation: "slide_from_bottom",
-                    }}
-                  />
-                  <Stack.Screen
-                    name="linkedin-connected"
-                    options={{
-                      headerShown: false,
-                      animation: "fade",
-                    }}
-                  />
-                  <Stack.Screen
-                    name="editor/[id]"
-                    options={{
-                      presentation: "card",
-                      animation: "slide_from_right",
-                    }}
-                  />
-                  <Stack.Screen
-                    name="publish/options"
-                    options={{
-                      presentation: "card",
-                      animation: "slide_from_right",
-                    }}
-                  />
-                  <Stack.Screen
-                    name="publish/schedule"
-                    options={{
-                      presentation: "card",
-                      animation: "slide_from_right",
-                    }}
-                  />
-                </Stack>
-              </SubscriptionProvider>
-            </DraftProvider>
+            <ToneProvider>
+              <DraftProvider>
+                <SubscriptionProvider>
+                  <StatusBar style="light" />
+                  <Stack screenOptions={{ headerShown: false }}>
+                    <Stack.Screen name="index" />
+                    <Stack.Screen name="(auth)" />
+                    <Stack.Screen name="(tabs)" />
+                    <Stack.Screen
+                      name="upgrade"
+                      options={{
+                        headerShown: false,
+                        animation: "slide_from_bottom",
+                      }}
+                    />
+                    <Stack.Screen
+                      name="linkedin-connected"
+                      options={{
+                        headerShown: false,
+                        animation: "fade",
+                      }}
+                    />
+                    <Stack.Screen
+                      name="editor/[id]"
+                      options={{
+                        presentation: "card",
+                        animation: "slide_from_right",
+                      }}
+                    />
+                    <Stack.Screen
+                      name="publish/options"
+                      options={{
+                        presentation: "card",
+                        animation: "slide_from_right",
+                      }}
+                    />
+                    <Stack.Screen
+                      name="publish/schedule"
+                      options={{
+                        presentation: "card",
+                        animation: "slide_from_right",
+                      }}
+                    />
+                    <Stack.Screen
+                      name="tones"
+                      options={{
+                        presentation: "card",
+                        animation: "slide_from_right",
+                      }}
+                    />
+                    <Stack.Screen
+                      name="voice-profile"
+                      options={{
+                        presentation: "card",
+                        animation: "slide_from_right",
+                      }}
+                    />
+                  </Stack>
+                </SubscriptionProvider>
+              </DraftProvider>
+            </ToneProvider>
           </UserProvider>
         </AuthProvider>
       </SafeAreaProvider>
@@ -1,5 +1,5 @@
 // app/editor/[id].js
-import React, { useState, useEffect, useCallback } from "react";
+import React, { useState, useEffect, useCallback, useRef } from "react";
 import {
   View, Text, TextInput, TouchableOpacity, StyleSheet,
   KeyboardAvoidingView, Platform, Alert, Modal,
@@ -8,23 +8,39 @@ import {
 import { SafeAreaView } from "react-native-safe-area-context";
 import { useSafeAreaInsets } from "react-native-safe-area-context";
 import { useRouter, useLocalSearchParams } from "expo-router";
-import { useTheme } from "../../src/context/UserContext";
+import { useUndoRedo } from "../../src/hooks/useUndoRedo";
+import { useShake } from "../../src/hooks/useShake";
+import { useAutosave, SAVE_STATUS } from "../../src/hooks/useAutosave";
+import recoveryService from "../../src/services/recoveryService";
+import { useTheme, useUser } from "../../src/context/UserContext";
 import { useDrafts } from "../../src/context/DraftContext";
 import ToneSelector from "../../src/components/ToneSelector";
 import VoiceRecorder from "../../src/components/VoiceRecorder";
 import MediaPicker from "../../src/components/MediaPicker";
+import MergeConflictModal from "../../src/components/MergeConflictModal";
+import RevisionHistoryModal from "../../src/components/RevisionHistoryModal";
+import DiffReviewPanel from "../../src/components/DiffReviewPanel";
+import RecordingPanel from "../../src/components/RecordingPanel";
+import TranslatePanel from "../../src/components/TranslatePanel";
+import SuggestionsDrawer from "../../src/components/SuggestionsDrawer";
+import SaveStatusIndicator from "../../src/components/SaveStatusIndicator";
 import aiService from "../../src/services/aiService";
-import { LINKEDIN_LIMITS } from "../../src/utils/constants";
-import { getCharacterCountStatus } from "../../src/utils/validators";
+import {
+  LINKEDIN_LIMITS, QUICK_EDITS, EDIT_INSTRUCTION_LIMITS,
+} from "../../src/utils/constants";
+import { getCharacterCountStatus, formatLanguage } from "../../src/utils/validators";
 import { getDisplayText } from "../../src/models/Draft";
+import { REVISION_SOURCES, REVISION_SOURCE_LABELS } from "../../src/models/Revision";
 
 export default function EditorScreen() {
   const router = useRouter();
   const { id } = useLocalSearchParams();
   const { theme, isDarkMode } = useTheme();
+  const { transcriptionLanguage } = useUser();
   const {
-    currentDraft, setCurrentDraft, saveDraft,
-    updateDraftTone, uploadMedia, drafts,
+    currentDraft, setCurrentDraft, saveDraft, resolveConflict,
+    updateDraftTone, uploadMedia, drafts, recordRevision, translateDraft,
+    getSyncConflict,
   } = useDrafts();
   const insets = useSafeAreaInsets();
 
@@ -36,7 +52,20 @@ export default function EditorScreen() {
   const [hasChanges, setHasChanges] = useState(false);
   const [showVoiceEdit, setShowVoiceEdit] = useState(false);
   const [isApplyingVoiceEdit, setIsApplyingVoiceEdit] = useState(false);
+  const [editInstruction, setEditInstruction] = useState("");
   const [draft, setDraft] = useState(null);
+  const [conflict, setConflict] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showDiff, setShowDiff] = useState(false);
+  const [showRecording, setShowRecording] = useState(false);
+  const [showTranslate, setShowTranslate] = useState(false);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const {
+    reset: resetUndo, record: recordUndoStep, recordTyping,
+    undo, redo, peekUndoLabel, canUndo, canRedo,
+  } = useUndoRedo();
+  const loadedDraftId = useRef(null);
+  const lastSaveResult = useRef(null);
 
   const styles = createStyles(theme, isDarkMode, insets);
 
@@ -52,13 +81,65 @@ export default function EditorScreen() {
     if (resolved) {
       setDraft(resolved);
       setCurrentDraft(resolved);
-      const text = getDisplayText(resolved) || '';
-      setEditText(text);
-      setSelectedTone(resolved.tone || 'Professional');
-      setMediaAttachments(resolved.mediaAttachments || []);
+      // Later updates (autosaves, syncs) only move the baseline — reloading
+      // the fields would clobber anything typed since the save started
+      if (loadedDraftId.current !== resolved.id) {
+        loadedDraftId.current = resolved.id;
+        const text = getDisplayText(resolved) || '';
+        const tone = resolved.tone || 'Professional';
+        setEditText(text);
+        setSelectedTone(tone);
+        setMediaAttachments(resolved.mediaAttachments || []);
+        resetUndo({ text, tone });
+        offerRecovery(resolved, text, tone);
+      }
     }
   }, [id, drafts]);
 
+  // Unsaved edits left behind by a crash or force-quit
+  const offerRecovery = async (resolved, text, tone) => {
+    const snapshot = await recoveryService.getEditorSnapshot(resolved.id);
+    if (!snapshot) return;
+    if (snapshot.userEditedText === text && snapshot.tone === tone) {
+      recoveryService.clearEditorSnapshot(resolved.id);
+      return;
+    }
+    Alert.alert(
+      "Recover Unsaved Changes?",
+      "This draft has edits from your last session that weren't saved.",
+      [
+        {
+          text: "Discard",
+          style: "destructive",
+          onPress: () => recoveryService.clearEditorSnapshot(resolved.id),
+        },
+        {
+          text: "Recover",
+          onPress: () => {
+            setEditText(snapshot.userEditedText);
+            setSelectedTone(snapshot.tone);
+            setMediaAttachments(snapshot.mediaAttachments || []);
+            recordUndoStep(
+              { text: snapshot.userEditedText, tone: snapshot.tone },
+              "recovery",
+            );
+          },
+        },
+      ],
+    );
+  };
+
+  // Offline edits that hit a conflict when they synced get the same merge
+  // view as a save made here
+  const syncConflict = draft ? getSyncConflict(draft.id) : null;
+  const shownSyncConflict = useRef(null);
+  useEffect(() => {
+    const key = syncConflict && String(syncConflict.serverDraft?.updatedAt);
+    if (!key || shownSyncConflict.current === key) return;
+    shownSyncConflict.current = key;
+    setConflict(syncConflict);
+  }, [syncConflict]);
+
   useEffect(() => {
     if (draft) {
       const originalText = getDisplayText(draft) || '';
@@ -72,50 +153,93 @@ export default function EditorScreen() {
     setSelectedTone(newTone);
     if (!draft) return;
     setIsChangingTone(true);
-    const result = await updateDraftTone(draft.id, newTone);
+    // Save typing first so the tone change is based on the saved version
+    await flushAutosave();
+    const result = await updateDraftTone(draft.id, newTone, { text: editText });
     if (result.success) {
       setEditText(result.refinedText);
+      recordUndoStep({ text: result.refinedText, tone: newTone }, "tone change");
     } else {
       Alert.alert("Error", "Failed to change tone. Please try again.");
     }
     setIsChangingTone(false);
   };
 
-  const handleBack = () => {
-    if (hasChanges) {
-      Alert.alert("Unsaved Changes", "What would you like to do?", [
-        { text: "Cancel", style: "cancel" },
-        { text: "Discard", style: "destructive", onPress: () => router.back() },
-        {
-          text: "Save Draft",
-          onPress: async () => {
-            await handleSaveDraft();
-            router.back();
-          },
-        },
-      ]);
-    } else {
+  const saveChanges = useCallback(
+    async (updates) => {
+      const result = await saveDraft(draft.id, updates);
+      lastSaveResult.current = result;
+      if (result.conflict) setConflict(result.conflict);
+      return result.success;
+    },
+    [draft, saveDraft],
+  );
+
+  const {
+    status: saveStatus, lastSavedAt, flush: flushAutosave,
+  } = useAutosave({
+    draftId: draft?.id,
+    data: { userEditedText: editText, tone: selectedTone, mediaAttachments },
+    isDirty: hasChanges,
+    enabled: !conflict && !isChangingTone,
+    onSave: saveChanges,
+  });
+
+  const handleBack = async () => {
+    if (!hasChanges || (await flushAutosave())) {
       router.back();
+      return;
     }
+    // Stay put on a conflict so the merge view can show
+    if (lastSaveResult.current?.conflict) return;
+    Alert.alert(
+      "Couldn't Save",
+      "Your changes are kept on this device and will be offered back next time you open this draft.",
+      [
+        { text: "Stay", style: "cancel" },
+        { text: "Leave", style: "destructive", onPress: () => router.back() },
+      ],
+    );
   };
 
   const handleSaveDraft = async () => {
     if (!draft) return false;
     setIsSaving(true);
-    const result = await saveDraft(draft.id, {
-      userEditedText: editText,
-      tone: selectedTone,
-      mediaAttachments,
-    });
+    lastSaveResult.current = null;
+    const saved = await flushAutosave();
     setIsSaving(false);
-    if (result.success) {
+    if (saved) {
       setHasChanges(false);
       return true;
     }
-    Alert.alert("Error", "Failed to save draft.");
+    if (!lastSaveResult.current?.conflict) {
+      Alert.alert("Error", "Failed to save draft.");
+    }
     return false;
   };
 
+  const handleResolveConflict = async ({ strategy, text }) => {
+    if (!draft || !conflict) return;
+    setIsSaving(true);
+    const result = await resolveConflict(draft.id, conflict.serverDraft, {
+      strategy,
+      updates: { userEditedText: text, tone: selectedTone, mediaAttachments },
+    });
+    setIsSaving(false);
+    if (result.success) {
+      setConflict(null);
+      setEditText(text);
+      recoveryService.clearEditorSnapshot(draft.id);
+      return;
+    }
+    if (result.conflict) {
+      // Changed again while we were merging — compare against the newer copy
+      setConflict(result.conflict);
+      return;
+    }
+    Alert.alert("Error", "Failed to save draft.");
+  };
+
   const handlePublishOptions = async () => {
   if (!draft) return;
   
@@ -133,31 +257,181 @@ export default function EditorScreen() {
   router.push(`/publish/options?draftId=${draft.id}`);
 };
 
+  // The original and its other translations
+  const translationRootId = draft ? draft.translationOf || draft.id : null;
+  const linkedDrafts = drafts.filter(
+    (d) =>
+      d.id !== draft?.id &&
+      (d.id === translationRootId || d.translationOf === translationRootId),
+  );
+
+  const handleTranslate = async (language) => {
+    const result = await translateDraft(draft, language, {
+      text: editText,
+      tone: selectedTone,
+    });
+    if (!result.success) {
+      Alert.alert("Translation Failed", result.error || "Please try again.");
+      return;
+    }
+    Alert.alert(
+      "Translation Ready",
+      `A ${formatLanguage(language)} version was added to your drafts.`,
+      [
+        { text: "Stay Here", style: "cancel" },
+        { text: "Open", onPress: () => router.push(`/editor/${result.draft.id}`) },
+      ],
+    );
+  };
+
   const handleUploadMedia = useCallback(
-    async (uri, type, mimeType) => {
+    async (uri, type, mimeType, onProgress) => {
       if (!uploadMedia) throw new Error("Upload not available");
-      return await uploadMedia(uri, type, mimeType);
+      return await uploadMedia(uri, type, mimeType, onProgress);
     },
     [uploadMedia],
   );
 
+  // Spoken or typed, an instruction is applied the same way and kept
+  // with the revision it produced
+  const applyEditInstruction = useCallback(
+    async (instruction, source) => {
+      const { refinedText } = await aiService.applyVoiceEdit(
+        editText, instruction, selectedTone,
+      );
+      setEditText(refinedText);
+      setHasChanges(true);
+      setShowVoiceEdit(false);
+      setEditInstruction("");
+      recordUndoStep(
+        { text: refinedText, tone: selectedTone },
+        source === REVISION_SOURCES.VOICE_EDIT ? "voice edit" : "edit",
+      );
+      if (draft) {
+        recordRevision(draft.id, {
+          text: refinedText,
+          tone: selectedTone,
+          source,
+          note: `"${instruction}"`,
+        });
+      }
+    },
+    [editText, selectedTone, draft, recordRevision, recordUndoStep],
+  );
+
   const handleVoiceEditComplete = useCallback(
     async ({ uri }) => {
       setIsApplyingVoiceEdit(true);
       try {
-        const { transcript } = await aiService.transcribeAudio(uri);
-        const { refinedText } = await aiService.applyVoiceEdit(
-          editText, transcript, selectedTone,
-        );
-        setEditText(refinedText);
-        setHasChanges(true);
-        setShowVoiceEdit(false);
+        const { transcript } = await aiService.transcribeAudio(uri, {
+          language: transcriptionLanguage,
+        });
+        await applyEditInstruction(transcript, REVISION_SOURCES.VOICE_EDIT);
       } catch {
         Alert.alert("Error", "Failed to apply voice edit. Please try again.");
       }
       setIsApplyingVoiceEdit(false);
     },
-    [editText, selectedTone],
+    [applyEditInstruction, transcriptionLanguage],
+  );
+
+  const handleTextEdit = async (instruction) => {
+    const trimmed = instruction.trim();
+    if (!trimmed || isApplyingVoiceEdit) return;
+    setIsApplyingVoiceEdit(true);
+    try {
+      await applyEditInstruction(trimmed, REVISION_SOURCES.TEXT_EDIT);
+    } catch {
+      Alert.alert("Error", "Failed to apply your edit. Please try again.");
+    }
+    setIsApplyingVoiceEdit(false);
+  };
+
+  // Suggestions are carried out like a voice edit, with the suggestion's
+  // instruction in place of the spoken one
+  const handlePreviewSuggestion = async (suggestion) => {
+    const { refinedText } = await aiService.applyVoiceEdit(
+      editText, suggestion.instruction, selectedTone,
+    );
+    return refinedText;
+  };
+
+  const handleApplySuggestion = (suggestion, text) => {
+    setEditText(text);
+    setHasChanges(true);
+    setShowSuggestions(false);
+    recordUndoStep({ text, tone: selectedTone }, "suggestion");
+    recordRevision(draft.id, {
+      text,
+      tone: selectedTone,
+      source: REVISION_SOURCES.SUGGESTION,
+      note: suggestion.title,
+    });
+  };
+
+  const handleRestoreRevision = async (revision) => {
+    if (!draft) return;
+    setIsSaving(true);
+    const result = await saveDraft(
+      draft.id,
+      { userEditedText: revision.text, tone: revision.tone, mediaAttachments },
+      {
+        source: REVISION_SOURCES.RESTORE,
+        note: `${REVISION_SOURCE_LABELS[revision.source]} version`,
+      },
+    );
+    setIsSaving(false);
+    setShowHistory(false);
+    if (result.success) {
+      setEditText(revision.text);
+      setSelectedTone(revision.tone);
+      setHasChanges(false);
+      recordUndoStep({ text: revision.text, tone: revision.tone }, "restore");
+    } else if (result.conflict) {
+      setEditText(revision.text);
+      setConflict(result.conflict);
+    } else {
+      Alert.alert("Error", "Failed to restore this version.");
+    }
+  };
+
+  const applySnapshot = (snapshot) => {
+    setEditText(snapshot.text);
+    setSelectedTone(snapshot.tone);
+  };
+
+  const handleApplyDiff = (text) => {
+    setEditText(text);
+    setHasChanges(true);
+    recordUndoStep({ text, tone: selectedTone }, "diff review");
+    setShowDiff(false);
+  };
+
+  const handleUndo = () => {
+    const step = undo();
+    if (step) applySnapshot(step.snapshot);
+  };
+
+  const handleRedo = () => {
+    const step = redo();
+    if (step) applySnapshot(step.snapshot);
+  };
+
+  // Shake-to-undo, with the usual confirmation so a bump doesn't lose work
+  useShake(
+    () => {
+      if (!canUndo) return;
+      const label = peekUndoLabel() || "last change";
+      Alert.alert(`Undo ${label}?`, null, [
+        { text: "Cancel", style: "cancel" },
+        { text: "Undo", onPress: handleUndo },
+      ]);
+    },
+    {
+      enabled:
+        !!draft && !showVoiceEdit && !showHistory && !showDiff &&
+        !showSuggestions && !conflict && !isChangingTone,
+    },
   );
 
   const charCountStatus = getCharacterCountStatus(editText.length);
@@ -196,9 +470,19 @@ export default function EditorScreen() {
                   <Text style={styles.backBtnText}>‹</Text>
                 </View>
               </TouchableOpacity>
-              <Text style={styles.title}>Edit Post</Text>
+              <View>
+                <Text style={styles.title}>Edit Post</Text>
+                <SaveStatusIndicator status={saveStatus} lastSavedAt={lastSavedAt} />
+              </View>
             </View>
             <View style={styles.headerRight}>
+              <TouchableOpacity
+                onPress={() => setShowHistory(true)}
+                style={styles.historyBtn}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.historyLabel}>History</Text>
+              </TouchableOpacity>
               <TouchableOpacity
                 onPress={() => setShowVoiceEdit(true)}
                 style={styles.voiceEditBtn}
@@ -231,30 +515,112 @@ export default function EditorScreen() {
               </Text>
             </View>
 
-            {/* Text editor */}
-            <View style={styles.editorWrap}>
-              <TextInput
-                value={editText}
-                onChangeText={(t) => { setEditText(t); setHasChanges(true); }}
-                style={styles.textInput}
-                multiline
-                placeholder="Your post content..."
-                placeholderTextColor={theme.textMuted}
-                textAlignVertical="top"
-                editable={!isChangingTone}
+            {/* Undo / redo */}
+            <View style={styles.toolbar}>
+              <TouchableOpacity
+                onPress={handleUndo}
+                style={[styles.toolbarBtn, !canUndo && styles.toolbarBtnDisabled]}
+                disabled={!canUndo || isChangingTone}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.toolbarBtnText}>↶ Undo</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={handleRedo}
+                style={[styles.toolbarBtn, !canRedo && styles.toolbarBtnDisabled]}
+                disabled={!canRedo || isChangingTone}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.toolbarBtnText}>↷ Redo</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => setShowRecording((v) => !v)}
+                style={[styles.toolbarBtn, styles.toolbarBtnRight, showRecording && styles.toolbarBtnActive]}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.toolbarBtnText, showRecording && styles.toolbarBtnTextActive]}>
+                  Original
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => setShowDiff((v) => !v)}
+                style={[styles.toolbarBtn, showDiff && styles.toolbarBtnActive]}
+                disabled={isChangingTone}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.toolbarBtnText, showDiff && styles.toolbarBtnTextActive]}>
+                  Compare
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => setShowTranslate((v) => !v)}
+                style={[styles.toolbarBtn, showTranslate && styles.toolbarBtnActive]}
+                disabled={isChangingTone}
+                activeOpacity={0.7}
+              >
+                <Text style={[styles.toolbarBtnText, showTranslate && styles.toolbarBtnTextActive]}>
+                  Translate
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() => setShowSuggestions(true)}
+                style={styles.toolbarBtn}
+                disabled={isChangingTone || !editText.trim()}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.toolbarBtnText}>Suggestions</Text>
+              </TouchableOpacity>
+            </View>
+
+            {showRecording && draft && <RecordingPanel draft={draft} />}
+
+            {showTranslate && draft && (
+              <TranslatePanel
+                draft={draft}
+                linkedDrafts={linkedDrafts}
+                tone={selectedTone}
+                onTranslate={handleTranslate}
+                onOpen={(linked) => router.push(`/editor/${linked.id}`)}
               />
-              {isChangingTone && (
-                <View style={styles.loadingOverlay}>
-                  <ActivityIndicator color={theme.primary} size="small" />
-                  <Text style={styles.loadingText}>Changing tone...</Text>
+            )}
+
+            {/* Diff review replaces the text box while open */}
+            {showDiff ? (
+              <DiffReviewPanel
+                draft={draft}
+                currentText={editText}
+                onApply={handleApplyDiff}
+                onClose={() => setShowDiff(false)}
+              />
+            ) : (
+              <View style={styles.editorWrap}>
+                <TextInput
+                  value={editText}
+                  onChangeText={(t) => {
+                    setEditText(t);
+                    setHasChanges(true);
+                    recordTyping({ text: t, tone: selectedTone });
+                  }}
+                  style={styles.textInput}
+                  multiline
+                  placeholder="Your post content..."
+                  placeholderTextColor={theme.textMuted}
+                  textAlignVertical="top"
+                  editable={!isChangingTone}
+                />
+                {isChangingTone && (
+                  <View style={styles.loadingOverlay}>
+                    <ActivityIndicator color={theme.primary} size="small" />
+                    <Text style={styles.loadingText}>Changing tone...</Text>
+                  </View>
+                )}
+                <View style={styles.charCount}>
+                  <Text style={[styles.charCountText, { color: charCountColor }]}>
+                    {editText.length} / {LINKEDIN_LIMITS.MAX_POST_LENGTH}
+                  </Text>
                 </View>
-              )}
-              <View style={styles.charCount}>
-                <Text style={[styles.charCountText, { color: charCountColor }]}>
-                  {editText.length} / {LINKEDIN_LIMITS.MAX_POST_LENGTH}
-                </Text>
               </View>
-            </View>
+            )}
 
             {/* Media Picker */}
             <MediaPicker
@@ -265,7 +631,11 @@ export default function EditorScreen() {
             />
 
             {/* Tone Selector */}
-            <ToneSelector selectedTone={selectedTone} onSelectTone={handleToneChange} />
+            <ToneSelector
+              selectedTone={selectedTone}
+              onSelectTone={handleToneChange}
+              onManageTones={() => router.push("/tones")}
+            />
           </ScrollView>
 
           {/* Actions */}
@@ -277,7 +647,7 @@ export default function EditorScreen() {
               disabled={isSaving || !hasChanges}
             >
               <Text style={[styles.saveBtnText, (!hasChanges || isSaving) && styles.saveBtnDisabled]}>
-                {isSaving ? "Saving..." : "Save"}
+                {isSaving || saveStatus === SAVE_STATUS.SAVING ? "Saving..." : "Save"}
               </Text>
             </TouchableOpacity>
             <TouchableOpacity
@@ -292,25 +662,28 @@ export default function EditorScreen() {
         </View>
       </KeyboardAvoidingView>
 
-      {/* Voice Edit Modal */}
+      {/* Voice Edit Modal — instructions can also be typed or picked */}
       <Modal
         visible={showVoiceEdit}
         animationType="slide"
         transparent
         onRequestClose={() => setShowVoiceEdit(false)}
       >
-        <View style={styles.modalOverlay}>
+        <KeyboardAvoidingView
+          style={styles.modalOverlay}
+          behavior={Platform.OS === "ios" ? "padding" : undefined}
+        >
           <View style={styles.modalSheet}>
             <View style={styles.modalHandle} />
             <View style={styles.modalHeader}>
-              <Text style={styles.modalTitle}>Voice Edit</Text>
+              <Text style={styles.modalTitle}>Edit with AI</Text>
               <TouchableOpacity onPress={() => setShowVoiceEdit(false)} style={styles.modalCloseBtn}>
                 <View style={styles.modalCloseLine1} />
                 <View style={styles.modalCloseLine2} />
               </TouchableOpacity>
             </View>
             <Text style={styles.modalSub}>
-              {'Say your edit instructions, e.g. "make it shorter" or "add a call to action'}
+              {'Say or type your edit instructions, e.g. "make it shorter" or "add a call to action"'}
             </Text>
             {isApplyingVoiceEdit ? (
               <View style={styles.applyingWrap}>
@@ -318,18 +691,86 @@ export default function EditorScreen() {
                 <Text style={styles.applyingText}>Applying your edits...</Text>
               </View>
             ) : (
-              <VoiceRecorder
-                onRecordingComplete={handleVoiceEditComplete}
-                processingMessage="Processing instructions..."
-                onError={(err) => {
-                  Alert.alert("Error", err.message);
-                  setShowVoiceEdit(false);
-                }}
-              />
+              <>
+                <ScrollView
+                  horizontal
+                  showsHorizontalScrollIndicator={false}
+                  contentContainerStyle={styles.quickEdits}
+                >
+                  {QUICK_EDITS.map((quickEdit) => (
+                    <TouchableOpacity
+                      key={quickEdit.label}
+                      onPress={() => handleTextEdit(quickEdit.instruction)}
+                      style={styles.quickEditChip}
+                      activeOpacity={0.7}
+                    >
+                      <Text style={styles.quickEditText}>{quickEdit.label}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </ScrollView>
+                <View style={styles.instructionRow}>
+                  <TextInput
+                    value={editInstruction}
+                    onChangeText={setEditInstruction}
+                    placeholder="Type an instruction..."
+                    placeholderTextColor={theme.textMuted}
+                    maxLength={EDIT_INSTRUCTION_LIMITS.MAX_LENGTH}
+                    returnKeyType="send"
+                    onSubmitEditing={() => handleTextEdit(editInstruction)}
+                    style={styles.instructionInput}
+                  />
+                  <TouchableOpacity
+                    onPress={() => handleTextEdit(editInstruction)}
+                    style={[
+                      styles.instructionSendBtn,
+                      !editInstruction.trim() && styles.toolbarBtnDisabled,
+                    ]}
+                    disabled={!editInstruction.trim()}
+                    activeOpacity={0.85}
+                  >
+                    <Text style={styles.instructionSendText}>Apply</Text>
+                  </TouchableOpacity>
+                </View>
+                <VoiceRecorder
+                  onRecordingComplete={handleVoiceEditComplete}
+                  processingMessage="Processing instructions..."
+                  onError={(err) => {
+                    Alert.alert("Error", err.message);
+                    setShowVoiceEdit(false);
+                  }}
+                />
+              </>
             )}
           </View>
-        </View>
+        </KeyboardAvoidingView>
       </Modal>
+
+      <RevisionHistoryModal
+        visible={showHistory}
+        draftId={draft.id}
+        currentText={editText}
+        onRestore={handleRestoreRevision}
+        onClose={() => setShowHistory(false)}
+      />
+
+      <SuggestionsDrawer
+        visible={showSuggestions}
+        draftId={draft.id}
+        currentText={editText}
+        tone={selectedTone}
+        onPreview={handlePreviewSuggestion}
+        onApply={handleApplySuggestion}
+        onClose={() => setShowSuggestions(false)}
+      />
+
+      <MergeConflictModal
+        visible={!!conflict}
+        localText={editText}
+        serverDraft={conflict?.serverDraft}
+        isSaving={isSaving}
+        onResolve={handleResolveConflict}
+        onClose={() => setConflict(null)}
+      />
     </SafeAreaView>
   );
 }
@@ -386,6 +827,12 @@ const createStyles = (theme, isDarkMode, insets) =>
       borderColor: theme.accent, marginTop: 1,
     },
     voiceEditLabel: { fontSize: 11, fontWeight: "600", color: theme.accent },
+    historyBtn: {
+      paddingVertical: 7, paddingHorizontal: 10,
+      borderRadius: 20, backgroundColor: theme.surface,
+      borderWidth: 1, borderColor: theme.border,
+    },
+    historyLabel: { fontSize: 11, fontWeight: "600", color: theme.textSecondary },
     toneBadge: {
       paddingVertical: 5, paddingHorizontal: 10,
       borderRadius: 20, backgroundColor: theme.primaryGlow,
@@ -405,6 +852,18 @@ const createStyles = (theme, isDarkMode, insets) =>
     aiNoticeDot: { width: 6, height: 6, borderRadius: 3, backgroundColor: theme.accent },
     aiNoticeText: { fontSize: 12, color: theme.textSecondary, flex: 1 },
 
+    toolbar: { flexDirection: "row", flexWrap: "wrap", gap: 8 },
+    toolbarBtn: {
+      paddingVertical: 6, paddingHorizontal: 12,
+      borderRadius: 10, backgroundColor: theme.surface,
+      borderWidth: 1, borderColor: theme.border,
+    },
+    toolbarBtnDisabled: { opacity: 0.4 },
+    toolbarBtnText: { fontSize: 12, fontWeight: "600", color: theme.textSecondary },
+    toolbarBtnRight: { marginLeft: "auto" },
+    toolbarBtnActive: { backgroundColor: theme.primaryGlow, borderColor: `${theme.primary}30` },
+    toolbarBtnTextActive: { color: theme.primary },
+
     editorWrap: { minHeight: 180, marginBottom: 4 },
     textInput: {
       minHeight: 160, padding: 14, borderRadius: 16,
@@ -476,4 +935,23 @@ const createStyles = (theme, isDarkMode, insets) =>
       alignItems: "center", gap: 16, minHeight: 200,
     },
     applyingText: { fontSize: 14, color: theme.textMuted },
+    quickEdits: { gap: 8, paddingBottom: 12 },
+    quickEditChip: {
+      paddingVertical: 7, paddingHorizontal: 12,
+      borderRadius: 20, backgroundColor: theme.accentGlow,
+      borderWidth: 1, borderColor: `${theme.accent}30`,
+    },
+    quickEditText: { fontSize: 12, fontWeight: "600", color: theme.accent },
+    instructionRow: { flexDirection: "row", gap: 8, marginBottom: 8 },
+    instructionInput: {
+      flex: 1, paddingVertical: 10, paddingHorizontal: 14,
+      borderRadius: 12, backgroundColor: theme.surfaceElevated,
+      borderWidth: 1, borderColor: theme.border,
+      color: theme.text, fontSize: 14,
+    },
+    instructionSendBtn: {
+      paddingHorizontal: 16, borderRadius: 12,
+      backgroundColor: theme.primary, justifyContent: "center",
+    },
+    instructionSendText: { fontSize: 13, fontWeight: "700", color: "#fff" },
   });
\ No newline at end of file
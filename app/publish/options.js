@@ -20,7 +20,7 @@ export default function PublishOptionsScreen() {
   const { draftId } = useLocalSearchParams();
   const { theme, isDarkMode } = useTheme();
   const { user } = useAuth();
-  const { currentDraft, drafts } = useDrafts();
+  const { currentDraft, drafts, markDraftPublished } = useDrafts();
   const insets = useSafeAreaInsets();
 
   const draft = currentDraft || drafts.find((d) => d.id === draftId);
@@ -55,6 +55,7 @@ export default function PublishOptionsScreen() {
             try {
               const result = await publishService.publishNow(draft.id);
               setPublishedUrl(result.linkedInPostUrl);
+              markDraftPublished(draft.id, result.publishedAt);
             } catch (error) {
               Alert.alert('Error', error.message || 'Failed to publish.');
             } finally {
@@ -0,0 +1,206 @@
+// app/tones.js
+
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { useRouter } from "expo-router";
+import { useTheme } from "../src/context/UserContext";
+import { useTones } from "../src/context/ToneContext";
+import { useDrafts } from "../src/context/DraftContext";
+import ToneEditorModal from "../src/components/ToneEditorModal";
+
+const describeExtras = (tone) => {
+  const rules = tone.doRules.length + tone.dontRules.length;
+  return [
+    tone.examples.length > 0 &&
+      `${tone.examples.length} example${tone.examples.length === 1 ? "" : "s"}`,
+    rules > 0 && `${rules} rule${rules === 1 ? "" : "s"}`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+};
+
+export default function TonesScreen() {
+  const router = useRouter();
+  const { theme } = useTheme();
+  const { tones, customTones, isLoading, createTone, updateTone, deleteTone } =
+    useTones();
+  const { renameDraftTone } = useDrafts();
+  // null when closed, {} for a new tone, or the tone being edited
+  const [editing, setEditing] = useState(null);
+
+  const styles = createStyles(theme);
+  const builtInTones = tones.filter((t) => !t.isCustom);
+  const editingTone = editing?.id ? editing : null;
+
+  // Runs after the editor closes; only a failure is worth interrupting for
+  const moveDrafts = async (oldName, newName) => {
+    const result = await renameDraftTone(oldName, newName);
+    if (result.success) return;
+    Alert.alert(
+      "Drafts Not Updated",
+      `${result.error} Some drafts may still use "${oldName}".`,
+      [
+        { text: "Not Now", style: "cancel" },
+        { text: "Try Again", onPress: () => moveDrafts(oldName, newName) },
+      ],
+    );
+  };
+
+  const handleSave = async (fields) => {
+    if (!editingTone) return createTone(fields);
+    const result = await updateTone(editingTone.id, fields);
+    if (result.success && result.tone.name !== editingTone.name) {
+      moveDrafts(editingTone.name, result.tone.name);
+    }
+    return result;
+  };
+
+  return (
+    <SafeAreaView style={styles.safeArea} edges={["top"]}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={() => router.back()}
+          style={styles.backButton}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.backIcon}>←</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Tones</Text>
+        <TouchableOpacity
+          onPress={() => setEditing({})}
+          style={styles.newButton}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.newButtonText}>+ New</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={styles.sectionLabel}>YOUR TONES</Text>
+        {isLoading && customTones.length === 0 ? (
+          <ActivityIndicator color={theme.primary} style={styles.spinner} />
+        ) : customTones.length === 0 ? (
+          <View style={styles.emptyCard}>
+            <Text style={styles.emptyTitle}>No custom tones yet</Text>
+            <Text style={styles.emptyText}>
+              Describe how you want to sound, add a few example posts and rules,
+              and pick it like any other tone.
+            </Text>
+          </View>
+        ) : (
+          customTones.map((tone) => (
+            <TouchableOpacity
+              key={tone.id}
+              onPress={() => setEditing(tone)}
+              style={styles.card}
+              activeOpacity={0.72}
+            >
+              <View style={styles.cardHeader}>
+                <Text style={styles.cardName}>{tone.name}</Text>
+                <Text style={styles.chevron}>›</Text>
+              </View>
+              <Text style={styles.cardDescription} numberOfLines={2}>
+                {tone.description}
+              </Text>
+              {describeExtras(tone) ? (
+                <Text style={styles.cardMeta}>{describeExtras(tone)}</Text>
+              ) : null}
+            </TouchableOpacity>
+          ))
+        )}
+
+        <Text style={styles.sectionLabel}>BUILT-IN</Text>
+        {builtInTones.map((tone) => (
+          <View key={tone.id} style={[styles.card, styles.cardBuiltIn]}>
+            <Text style={styles.cardName}>{tone.name}</Text>
+            <Text style={styles.cardDescription}>{tone.description}</Text>
+          </View>
+        ))}
+      </ScrollView>
+
+      <ToneEditorModal
+        visible={!!editing}
+        tone={editingTone}
+        takenNames={tones
+          .filter((t) => t.id !== editingTone?.id)
+          .map((t) => t.name)}
+        onSave={handleSave}
+        onDelete={() => deleteTone(editingTone.id)}
+        onClose={() => setEditing(null)}
+      />
+    </SafeAreaView>
+  );
+}
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    safeArea: { flex: 1, backgroundColor: theme.bg },
+    header: {
+      flexDirection: "row",
+      alignItems: "center",
+      padding: 20,
+      paddingBottom: 12,
+    },
+    backButton: { padding: 4 },
+    backIcon: { fontSize: 24, color: theme.textMuted },
+    title: {
+      flex: 1,
+      fontSize: 18,
+      fontWeight: "700",
+      color: theme.text,
+      marginLeft: 12,
+    },
+    newButton: {
+      paddingVertical: 6,
+      paddingHorizontal: 12,
+      borderRadius: 10,
+      backgroundColor: theme.primaryGlow,
+    },
+    newButtonText: { fontSize: 13, fontWeight: "600", color: theme.primary },
+    content: { padding: 20, paddingTop: 8, gap: 10 },
+    sectionLabel: {
+      fontSize: 11,
+      fontWeight: "700",
+      letterSpacing: 1.2,
+      color: theme.textMuted,
+      marginTop: 12,
+    },
+    spinner: { marginVertical: 24 },
+    emptyCard: {
+      padding: 16,
+      gap: 6,
+      borderRadius: 16,
+      borderWidth: 1,
+      borderStyle: "dashed",
+      borderColor: theme.border,
+    },
+    emptyTitle: { fontSize: 14, fontWeight: "600", color: theme.text },
+    emptyText: { fontSize: 12, lineHeight: 18, color: theme.textMuted },
+    card: {
+      padding: 14,
+      gap: 4,
+      borderRadius: 16,
+      backgroundColor: theme.surface,
+      borderWidth: 1,
+      borderColor: theme.border,
+    },
+    cardBuiltIn: { opacity: 0.7 },
+    cardHeader: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+    },
+    cardName: { fontSize: 14, fontWeight: "600", color: theme.text },
+    chevron: { fontSize: 18, color: theme.textMuted },
+    cardDescription: { fontSize: 12, lineHeight: 18, color: theme.textMuted },
+    cardMeta: { fontSize: 11, fontWeight: "600", color: theme.primary },
+  });
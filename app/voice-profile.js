@@ -0,0 +1,399 @@
+// app/voice-profile.js
+
+import React, { useState, useEffect, useRef } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from "react-native";
+import { SafeAreaView } from "react-native-safe-area-context";
+import { useRouter } from "expo-router";
+import { useTheme } from "../src/context/UserContext";
+import { useDrafts } from "../src/context/DraftContext";
+import voiceProfileService from "../src/services/voiceProfileService";
+import { EMOJI_USE, EMOJI_USE_LABELS } from "../src/models/VoiceProfile";
+import { VOICE_PROFILE_CONFIG } from "../src/utils/constants";
+import { formatRelativeTime } from "../src/utils/validators";
+
+// Lists are edited one item per line
+const toLines = (items) => (items || []).join("\n");
+const fromLines = (text) =>
+  text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+const toForm = (profile) => ({
+  enabled: profile.enabled,
+  avgSentenceLength: profile.avgSentenceLength
+    ? String(profile.avgSentenceLength)
+    : "",
+  emojiUse: profile.emojiUse,
+  signaturePhrases: toLines(profile.signaturePhrases),
+  formattingHabits: toLines(profile.formattingHabits),
+  notes: profile.notes,
+});
+
+export default function VoiceProfileScreen() {
+  const router = useRouter();
+  const { theme } = useTheme();
+  const { drafts } = useDrafts();
+  const draftsRef = useRef(drafts);
+  draftsRef.current = drafts;
+  const [profile, setProfile] = useState(null);
+  const [form, setForm] = useState(null);
+  const [isBusy, setIsBusy] = useState(true);
+  const [hasChanges, setHasChanges] = useState(false);
+
+  const styles = createStyles(theme);
+
+  const load = (next) => {
+    setProfile(next);
+    setForm(toForm(next));
+    setHasChanges(false);
+  };
+
+  // Drafts loading keeps the profile learned; this covers a first open
+  // before that has happened
+  useEffect(() => {
+    let cancelled = false;
+    const init = async () => {
+      const next =
+        (await voiceProfileService.getProfile()) ||
+        (await voiceProfileService.rebuildProfile(draftsRef.current));
+      if (cancelled) return;
+      setProfile(next);
+      setForm(toForm(next));
+      setIsBusy(false);
+    };
+    init();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const updateForm = (updates) => {
+    setForm((current) => ({ ...current, ...updates }));
+    setHasChanges(true);
+  };
+
+  const rebuild = async () => {
+    setIsBusy(true);
+    try {
+      load(await voiceProfileService.rebuildProfile(drafts));
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRebuild = () => {
+    if (!profile?.isEdited && !hasChanges) {
+      rebuild();
+      return;
+    }
+    Alert.alert(
+      "Rebuild Voice Profile?",
+      "Your changes to the learned fields will be replaced. Your notes are kept.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Rebuild", style: "destructive", onPress: rebuild },
+      ],
+    );
+  };
+
+  const handleSave = async () => {
+    setIsBusy(true);
+    try {
+      const saved = await voiceProfileService.saveProfile({
+        enabled: form.enabled,
+        avgSentenceLength: parseInt(form.avgSentenceLength, 10) || 0,
+        emojiUse: form.emojiUse,
+        signaturePhrases: fromLines(form.signaturePhrases),
+        formattingHabits: fromLines(form.formattingHabits),
+        notes: form.notes.trim(),
+      });
+      load(saved);
+    } catch {
+      Alert.alert("Error", "Failed to save your voice profile.");
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const tooFewSamples =
+    profile && profile.sampleCount < VOICE_PROFILE_CONFIG.MIN_SAMPLES;
+
+  return (
+    <SafeAreaView style={styles.safeArea} edges={["top"]}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={() => router.back()}
+          style={styles.backButton}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.backIcon}>←</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>Voice Profile</Text>
+        <TouchableOpacity
+          onPress={handleSave}
+          style={[styles.saveButton, !hasChanges && styles.saveButtonDisabled]}
+          disabled={!hasChanges || isBusy}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.saveButtonText}>Save</Text>
+        </TouchableOpacity>
+      </View>
+
+      {!form ? (
+        <ActivityIndicator color={theme.primary} style={styles.spinner} />
+      ) : (
+        <KeyboardAvoidingView
+          style={styles.flex}
+          behavior={Platform.OS === "ios" ? "padding" : undefined}
+        >
+          <ScrollView
+            contentContainerStyle={styles.content}
+            keyboardShouldPersistTaps="handled"
+          >
+            <View style={styles.card}>
+              <View style={styles.row}>
+                <View style={styles.rowText}>
+                  <Text style={styles.rowLabel}>Use in AI Writing</Text>
+                  <Text style={styles.rowHint}>
+                    Refining and tone changes follow this profile
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  onPress={() => updateForm({ enabled: !form.enabled })}
+                  style={[styles.toggle, form.enabled && styles.toggleOn]}
+                  activeOpacity={0.85}
+                >
+                  <View
+                    style={[
+                      styles.toggleThumb,
+                      form.enabled && styles.toggleThumbOn,
+                    ]}
+                  />
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            <View style={styles.sourceRow}>
+              <Text style={styles.sourceText}>
+                {profile.sampleCount === 1
+                  ? "Learned from 1 post"
+                  : `Learned from ${profile.sampleCount} posts`}
+                {profile.isEdited ? " · edited by you" : ""} ·{" "}
+                {formatRelativeTime(profile.updatedAt)}
+              </Text>
+              <TouchableOpacity
+                onPress={handleRebuild}
+                disabled={isBusy}
+                activeOpacity={0.7}
+              >
+                {isBusy ? (
+                  <ActivityIndicator color={theme.primary} size="small" />
+                ) : (
+                  <Text style={styles.rebuildText}>Rebuild</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+            {tooFewSamples && (
+              <Text style={styles.notice}>
+                Publish a few more posts, or rewrite drafts in your own words,
+                and rebuild for a more accurate profile.
+              </Text>
+            )}
+
+            <Text style={styles.label}>AVERAGE SENTENCE LENGTH</Text>
+            <View style={styles.inlineRow}>
+              <TextInput
+                value={form.avgSentenceLength}
+                onChangeText={(text) =>
+                  updateForm({ avgSentenceLength: text.replace(/\D/g, "") })
+                }
+                keyboardType="number-pad"
+                maxLength={2}
+                style={[styles.input, styles.numberInput]}
+              />
+              <Text style={styles.unitText}>words</Text>
+            </View>
+
+            <Text style={styles.label}>EMOJI</Text>
+            <View style={styles.inlineRow}>
+              {Object.values(EMOJI_USE).map((level) => {
+                const isSelected = form.emojiUse === level;
+                return (
+                  <TouchableOpacity
+                    key={level}
+                    onPress={() => updateForm({ emojiUse: level })}
+                    style={[styles.chip, isSelected && styles.chipSelected]}
+                    activeOpacity={0.7}
+                  >
+                    <Text
+                      style={[
+                        styles.chipText,
+                        isSelected && styles.chipTextSelected,
+                      ]}
+                    >
+                      {EMOJI_USE_LABELS[level]}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+
+            <Text style={styles.label}>SIGNATURE PHRASES</Text>
+            <TextInput
+              value={form.signaturePhrases}
+              onChangeText={(text) => updateForm({ signaturePhrases: text })}
+              placeholder="One per line"
+              placeholderTextColor={theme.textMuted}
+              multiline
+              style={[styles.input, styles.inputMultiline]}
+            />
+
+            <Text style={styles.label}>FORMATTING HABITS</Text>
+            <TextInput
+              value={form.formattingHabits}
+              onChangeText={(text) => updateForm({ formattingHabits: text })}
+              placeholder="One per line"
+              placeholderTextColor={theme.textMuted}
+              multiline
+              style={[styles.input, styles.inputMultiline]}
+            />
+
+            <Text style={styles.label}>ANYTHING ELSE</Text>
+            <TextInput
+              value={form.notes}
+              onChangeText={(text) => updateForm({ notes: text })}
+              placeholder="e.g. I never say 'thrilled to announce'"
+              placeholderTextColor={theme.textMuted}
+              multiline
+              style={[styles.input, styles.inputMultiline]}
+            />
+          </ScrollView>
+        </KeyboardAvoidingView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    safeArea: { flex: 1, backgroundColor: theme.bg },
+    flex: { flex: 1 },
+    header: {
+      flexDirection: "row",
+      alignItems: "center",
+      padding: 20,
+      paddingBottom: 12,
+    },
+    backButton: { padding: 4 },
+    backIcon: { fontSize: 24, color: theme.textMuted },
+    title: {
+      flex: 1,
+      fontSize: 18,
+      fontWeight: "700",
+      color: theme.text,
+      marginLeft: 12,
+    },
+    saveButton: {
+      paddingVertical: 6,
+      paddingHorizontal: 14,
+      borderRadius: 10,
+      backgroundColor: theme.primary,
+    },
+    saveButtonDisabled: { opacity: 0.4 },
+    saveButtonText: { fontSize: 13, fontWeight: "700", color: "#fff" },
+    spinner: { marginTop: 40 },
+    content: { padding: 20, paddingTop: 8, paddingBottom: 48 },
+    card: {
+      padding: 14,
+      borderRadius: 16,
+      backgroundColor: theme.surface,
+      borderWidth: 1,
+      borderColor: theme.border,
+    },
+    row: { flexDirection: "row", alignItems: "center", gap: 12 },
+    rowText: { flex: 1 },
+    rowLabel: { fontSize: 14, fontWeight: "600", color: theme.text },
+    rowHint: { fontSize: 12, color: theme.textMuted, marginTop: 2 },
+    toggle: {
+      width: 46,
+      height: 27,
+      borderRadius: 14,
+      backgroundColor: theme.border,
+      justifyContent: "center",
+      padding: 3,
+    },
+    toggleOn: { backgroundColor: theme.primary },
+    toggleThumb: {
+      width: 21,
+      height: 21,
+      borderRadius: 10.5,
+      backgroundColor: "#fff",
+      shadowColor: "#000",
+      shadowOffset: { width: 0, height: 1 },
+      shadowOpacity: 0.2,
+      shadowRadius: 2,
+      elevation: 2,
+    },
+    toggleThumbOn: { transform: [{ translateX: 19 }] },
+    sourceRow: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginTop: 14,
+    },
+    sourceText: { flex: 1, fontSize: 12, color: theme.textMuted },
+    rebuildText: { fontSize: 13, fontWeight: "600", color: theme.primary },
+    notice: {
+      fontSize: 12,
+      lineHeight: 18,
+      color: theme.warning,
+      marginTop: 8,
+    },
+    label: {
+      fontSize: 11,
+      fontWeight: "700",
+      letterSpacing: 1.2,
+      color: theme.textMuted,
+      marginTop: 20,
+      marginBottom: 8,
+    },
+    inlineRow: { flexDirection: "row", alignItems: "center", gap: 8 },
+    input: {
+      padding: 12,
+      borderRadius: 12,
+      backgroundColor: theme.surface,
+      borderWidth: 1,
+      borderColor: theme.border,
+      color: theme.text,
+      fontSize: 14,
+    },
+    inputMultiline: { minHeight: 84, textAlignVertical: "top" },
+    numberInput: { width: 64, textAlign: "center" },
+    unitText: { fontSize: 13, color: theme.textSecondary },
+    chip: {
+      paddingVertical: 7,
+      paddingHorizontal: 14,
+      borderRadius: 10,
+      backgroundColor: theme.surface,
+      borderWidth: 1.5,
+      borderColor: theme.border,
+    },
+    chipSelected: {
+      borderColor: theme.primary,
+      backgroundColor: theme.primaryGlow,
+    },
+    chipText: { fontSize: 13, fontWeight: "500", color: theme.textMuted },
+    chipTextSelected: { fontWeight: "600", color: theme.primary },
+  });
@@ -10,6 +10,7 @@ import * as SplashScreen from 'expo-splash-screen';
 import { AuthProvider } from './context/AuthContext';
 import { UserProvider } from './context/UserContext';
 import { DraftProvider } from './context/DraftContext';
+import { ToneProvider } from './context/ToneContext';
 
 // Navigation
 import RootNavigator from './navigation/RootNavigator';
@@ -33,6 +34,7 @@ LogBox.ignoreLogs([
  * - SafeAreaProvider: Handles safe area insets
  * - AuthProvider: Authentication state management
  * - UserProvider: User preferences and theme
+ * - ToneProvider: Built-in and custom tones
  * - DraftProvider: Draft/content state management
  * - RootNavigator: Navigation container and routing
  */
@@ -55,9 +57,11 @@ const App = () => {
       <SafeAreaProvider>
         <AuthProvider>
           <UserProvider>
-            <DraftProvider>
-              <AppContent />
-            </DraftProvider>
+            <ToneProvider>
+              <DraftProvider>
+                <AppContent />
+              </DraftProvider>
+            </ToneProvider>
           </UserProvider>
         </AuthProvider>
       </SafeAreaProvider>
@@ -0,0 +1,281 @@
+// src/components/AudioPlayer.js
+
+import React, { useState, useRef, useEffect } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+} from "react-native";
+import { Audio } from "expo-av";
+import Slider from "@react-native-community/slider";
+import { useTheme } from "../context/UserContext";
+import recordingStorage from "../services/recordingStorage";
+import { formatDuration } from "../utils/validators";
+
+const PROGRESS_INTERVAL_MS = 250;
+
+/**
+ * Plays back one or more recordings with a scrubber.
+ * Several sources play as parts, one after another.
+ *
+ * @param {Array<{uri: string, durationMs: number}>} sources
+ */
+export default function AudioPlayer({ sources }) {
+  const { theme, isDarkMode } = useTheme();
+  const styles = createStyles(theme, isDarkMode);
+
+  const [partIndex, setPartIndex] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isMissing, setIsMissing] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [positionMs, setPositionMs] = useState(0);
+  const [durationMs, setDurationMs] = useState(sources[0]?.durationMs || 0);
+  const soundRef = useRef(null);
+  const isSeekingRef = useRef(false);
+  // Keep playing when the previous part ran to the end
+  const autoPlayRef = useRef(false);
+
+  const source = sources[partIndex];
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const handleStatus = (status) => {
+      if (!status.isLoaded) return;
+      if (status.durationMillis) setDurationMs(status.durationMillis);
+      if (!isSeekingRef.current) setPositionMs(status.positionMillis);
+      setIsPlaying(status.isPlaying);
+
+      if (status.didJustFinish) {
+        if (partIndex < sources.length - 1) {
+          autoPlayRef.current = true;
+          setPartIndex(partIndex + 1);
+        } else {
+          soundRef.current?.setPositionAsync(0);
+          setPositionMs(0);
+        }
+      }
+    };
+
+    const load = async () => {
+      setIsLoading(true);
+      setIsMissing(false);
+      setPositionMs(0);
+      setDurationMs(source?.durationMs || 0);
+
+      if (!(await recordingStorage.exists(source?.uri))) {
+        if (!cancelled) {
+          setIsMissing(true);
+          setIsLoading(false);
+        }
+        return;
+      }
+
+      try {
+        const shouldPlay = autoPlayRef.current;
+        autoPlayRef.current = false;
+        if (shouldPlay) {
+          await Audio.setAudioModeAsync({
+            allowsRecordingIOS: false,
+            playsInSilentModeIOS: true,
+          });
+        }
+        const { sound } = await Audio.Sound.createAsync(
+          { uri: recordingStorage.resolve(source.uri) },
+          { shouldPlay, progressUpdateIntervalMillis: PROGRESS_INTERVAL_MS },
+          handleStatus,
+        );
+        if (cancelled) {
+          sound.unloadAsync().catch(() => {});
+          return;
+        }
+        soundRef.current = sound;
+      } catch (error) {
+        console.warn("Error loading recording:", error);
+        if (!cancelled) setIsMissing(true);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+      soundRef.current?.unloadAsync().catch(() => {});
+      soundRef.current = null;
+      setIsPlaying(false);
+    };
+  }, [source?.uri, source?.durationMs, partIndex, sources.length]);
+
+  const handleTogglePlay = async () => {
+    const sound = soundRef.current;
+    if (!sound) return;
+    if (isPlaying) {
+      await sound.pauseAsync();
+      return;
+    }
+    // Recording leaves iOS routing audio to the earpiece
+    await Audio.setAudioModeAsync({
+      allowsRecordingIOS: false,
+      playsInSilentModeIOS: true,
+    });
+    await sound.playAsync();
+  };
+
+  const handleSeekComplete = async (value) => {
+    setPositionMs(value);
+    await soundRef.current?.setPositionAsync(value).catch(() => {});
+    isSeekingRef.current = false;
+  };
+
+  if (sources.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      {sources.length > 1 && (
+        <View style={styles.partsRow}>
+          {sources.map((s, i) => (
+            <TouchableOpacity
+              key={s.uri}
+              onPress={() => setPartIndex(i)}
+              style={[
+                styles.partChip,
+                i === partIndex && styles.partChipActive,
+              ]}
+              activeOpacity={0.7}
+            >
+              <Text
+                style={[
+                  styles.partChipText,
+                  i === partIndex && styles.partChipTextActive,
+                ]}
+              >
+                Part {i + 1}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      {isMissing ? (
+        <Text style={styles.missingText}>
+          This recording is no longer on this device
+        </Text>
+      ) : (
+        <View style={styles.playerRow}>
+          <TouchableOpacity
+            onPress={handleTogglePlay}
+            style={styles.playBtn}
+            disabled={isLoading}
+            activeOpacity={0.8}
+          >
+            {isLoading ? (
+              <ActivityIndicator color="#fff" size="small" />
+            ) : isPlaying ? (
+              <View style={styles.pauseIcon}>
+                <View style={styles.pauseBar} />
+                <View style={styles.pauseBar} />
+              </View>
+            ) : (
+              <View style={styles.playIcon} />
+            )}
+          </TouchableOpacity>
+
+          <View style={styles.scrubber}>
+            <Slider
+              style={styles.slider}
+              minimumValue={0}
+              maximumValue={Math.max(durationMs, 1)}
+              value={positionMs}
+              onSlidingStart={() => {
+                isSeekingRef.current = true;
+              }}
+              onValueChange={(value) => {
+                if (isSeekingRef.current) setPositionMs(value);
+              }}
+              onSlidingComplete={handleSeekComplete}
+              disabled={isLoading}
+              minimumTrackTintColor={theme.primary}
+              maximumTrackTintColor={theme.border}
+              thumbTintColor={theme.primary}
+            />
+            <View style={styles.timeRow}>
+              <Text style={styles.timeText}>{formatDuration(positionMs)}</Text>
+              <Text style={styles.timeText}>{formatDuration(durationMs)}</Text>
+            </View>
+          </View>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const createStyles = (theme, isDarkMode) =>
+  StyleSheet.create({
+    container: { gap: 10 },
+    partsRow: { flexDirection: "row", flexWrap: "wrap", gap: 6 },
+    partChip: {
+      paddingVertical: 5,
+      paddingHorizontal: 10,
+      borderRadius: 10,
+      backgroundColor: isDarkMode ? theme.surfaceHigh : theme.bg,
+      borderWidth: 1,
+      borderColor: theme.border,
+    },
+    partChipActive: {
+      backgroundColor: theme.primaryGlow,
+      borderColor: `${theme.primary}30`,
+    },
+    partChipText: {
+      fontSize: 11,
+      fontWeight: "600",
+      color: theme.textSecondary,
+    },
+    partChipTextActive: { color: theme.primary },
+    playerRow: { flexDirection: "row", alignItems: "center", gap: 10 },
+    playBtn: {
+      width: 40,
+      height: 40,
+      borderRadius: 20,
+      backgroundColor: theme.primary,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    playIcon: {
+      width: 0,
+      height: 0,
+      marginLeft: 3,
+      borderTopWidth: 7,
+      borderBottomWidth: 7,
+      borderLeftWidth: 12,
+      borderTopColor: "transparent",
+      borderBottomColor: "transparent",
+      borderLeftColor: "#fff",
+    },
+    pauseIcon: { flexDirection: "row", gap: 4 },
+    pauseBar: {
+      width: 4,
+      height: 14,
+      borderRadius: 1,
+      backgroundColor: "#fff",
+    },
+    scrubber: { flex: 1 },
+    slider: { width: "100%", height: 28 },
+    timeRow: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      paddingHorizontal: 4,
+    },
+    timeText: {
+      fontSize: 11,
+      color: theme.textMuted,
+      fontVariant: ["tabular-nums"],
+    },
+    missingText: {
+      fontSize: 12,
+      color: theme.textMuted,
+      fontStyle: "italic",
+    },
+  });
@@ -0,0 +1,60 @@
+// src/components/CountdownRing.js
+
+import React from "react";
+import { View, StyleSheet } from "react-native";
+
+const TICKS = 30;
+const TICK_WIDTH = 3;
+const TICK_LENGTH = 8;
+
+/**
+ * A ring of ticks that empties clockwise as time runs out.
+ * Drawn with plain views so it can sit around any round button.
+ *
+ * @param {number} remaining    - Fraction of the countdown left (0–1)
+ * @param {number} size         - Outer diameter
+ * @param {string} color        - Colour of the ticks still left
+ * @param {string} trackColor   - Colour of the ticks already used up
+ */
+export default function CountdownRing({ remaining, size, color, trackColor }) {
+  const radius = (size - TICK_LENGTH) / 2;
+  const lit = Math.ceil(Math.max(0, Math.min(1, remaining)) * TICKS);
+
+  return (
+    <View
+      pointerEvents="none"
+      style={[styles.ring, { width: size, height: size }]}
+    >
+      {Array.from({ length: TICKS }, (_, i) => (
+        <View
+          key={i}
+          style={[
+            styles.tick,
+            {
+              // Ticks run clockwise from 12 o'clock; the last ones go first
+              backgroundColor: i < lit ? color : trackColor,
+              transform: [
+                { rotate: `${(i / TICKS) * 360}deg` },
+                { translateY: -radius },
+              ],
+            },
+          ]}
+        />
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  ring: {
+    position: "absolute",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  tick: {
+    position: "absolute",
+    width: TICK_WIDTH,
+    height: TICK_LENGTH,
+    borderRadius: TICK_WIDTH / 2,
+  },
+});
@@ -0,0 +1,229 @@
+// src/components/DiffReviewPanel.js
+
+import React, { useState, useMemo, useEffect } from "react";
+import { View, Text, TouchableOpacity, StyleSheet, Alert } from "react-native";
+import { useTheme } from "../context/UserContext";
+import { DIFF_TYPES, applyHunks, diffWords, groupHunks } from "../utils/diff";
+import DiffView from "./DiffView";
+
+const COMPARISONS = {
+  AI: "ai",
+  EDITS: "edits",
+};
+
+/**
+ * Editor diff mode. Compares the transcript with the AI's version, or the
+ * AI's version with the current text, and lets the user accept or reject
+ * each change before applying the result to the editor.
+ *
+ * @param {Object}   draft       - Needs rawTranscript and aiRefinedText
+ * @param {string}   currentText - Text currently in the editor
+ * @param {function} onApply     - Called with the rebuilt text
+ * @param {function} onClose
+ */
+export default function DiffReviewPanel({
+  draft,
+  currentText,
+  onApply,
+  onClose,
+}) {
+  const { theme, isDarkMode } = useTheme();
+  const styles = createStyles(theme, isDarkMode);
+  const [comparison, setComparison] = useState(COMPARISONS.AI);
+  const [rejectedIds, setRejectedIds] = useState(new Set());
+
+  const aiText = draft.aiRefinedText || "";
+  const [oldText, newText] =
+    comparison === COMPARISONS.AI
+      ? [draft.rawTranscript || "", aiText]
+      : [aiText, currentText];
+
+  const hunks = useMemo(
+    () => groupHunks(diffWords(oldText, newText)),
+    [oldText, newText],
+  );
+  const hunkIds = hunks
+    .filter((p) => p.type === DIFF_TYPES.CHANGE)
+    .map((p) => p.id);
+
+  useEffect(() => {
+    setRejectedIds(new Set());
+  }, [comparison]);
+
+  const toggleHunk = (hunkId) =>
+    setRejectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(hunkId)) next.delete(hunkId);
+      else next.add(hunkId);
+      return next;
+    });
+
+  const handleApply = () => {
+    const result = applyHunks(hunks, rejectedIds);
+    // The AI comparison rebuilds from the AI's text, so manual edits go
+    if (
+      comparison === COMPARISONS.AI &&
+      currentText !== aiText &&
+      result !== currentText
+    ) {
+      Alert.alert(
+        "Replace your edits?",
+        "Applying AI changes starts from the AI's version, so edits you made by hand will be lost.",
+        [
+          { text: "Cancel", style: "cancel" },
+          {
+            text: "Apply",
+            style: "destructive",
+            onPress: () => onApply(result),
+          },
+        ],
+      );
+      return;
+    }
+    onApply(result);
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.tabs}>
+        {[
+          { key: COMPARISONS.AI, label: "AI changes" },
+          { key: COMPARISONS.EDITS, label: "Your edits" },
+        ].map((tab) => (
+          <TouchableOpacity
+            key={tab.key}
+            onPress={() => setComparison(tab.key)}
+            style={[styles.tab, comparison === tab.key && styles.tabActive]}
+            activeOpacity={0.7}
+          >
+            <Text
+              style={[
+                styles.tabText,
+                comparison === tab.key && styles.tabTextActive,
+              ]}
+            >
+              {tab.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <Text style={styles.hint}>
+        {comparison === COMPARISONS.AI
+          ? "Transcript → AI version."
+          : "AI version → your text."}{" "}
+        Tap a change to reject or restore it.
+      </Text>
+
+      <View style={styles.diffBox}>
+        <DiffView
+          oldText={oldText}
+          newText={newText}
+          rejectedIds={rejectedIds}
+          onToggleHunk={toggleHunk}
+        />
+      </View>
+
+      <View style={styles.bulkRow}>
+        <TouchableOpacity
+          onPress={() => setRejectedIds(new Set())}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.bulkText}>Accept all</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={() => setRejectedIds(new Set(hunkIds))}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.bulkText}>Reject all</Text>
+        </TouchableOpacity>
+        <Text style={styles.countText}>
+          {hunkIds.length - rejectedIds.size}/{hunkIds.length} accepted
+        </Text>
+      </View>
+
+      <View style={styles.actions}>
+        <TouchableOpacity
+          onPress={onClose}
+          style={styles.secondaryBtn}
+          activeOpacity={0.7}
+        >
+          <Text style={styles.secondaryBtnText}>Back to editor</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          onPress={handleApply}
+          style={[
+            styles.primaryBtn,
+            hunkIds.length === 0 && styles.primaryBtnDisabled,
+          ]}
+          activeOpacity={0.85}
+          disabled={hunkIds.length === 0}
+        >
+          <Text style={styles.primaryBtnText}>Apply</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const createStyles = (theme, isDarkMode) =>
+  StyleSheet.create({
+    container: { gap: 10 },
+    tabs: {
+      flexDirection: "row",
+      padding: 3,
+      borderRadius: 12,
+      backgroundColor: theme.surface,
+      borderWidth: 1,
+      borderColor: theme.border,
+    },
+    tab: { flex: 1, paddingVertical: 8, borderRadius: 9, alignItems: "center" },
+    tabActive: { backgroundColor: theme.primaryGlow },
+    tabText: { fontSize: 12, fontWeight: "600", color: theme.textMuted },
+    tabTextActive: { color: theme.primary },
+    hint: { fontSize: 12, color: theme.textMuted },
+    diffBox: {
+      minHeight: 160,
+      padding: 14,
+      borderRadius: 16,
+      backgroundColor: theme.surface,
+      borderWidth: 1.5,
+      borderColor: theme.border,
+    },
+    bulkRow: { flexDirection: "row", alignItems: "center", gap: 16 },
+    bulkText: { fontSize: 12, fontWeight: "600", color: theme.accent },
+    countText: {
+      flex: 1,
+      textAlign: "right",
+      fontSize: 11,
+      color: theme.textMuted,
+    },
+    actions: { flexDirection: "row", gap: 10 },
+    secondaryBtn: {
+      flex: 1,
+      padding: 12,
+      borderRadius: 12,
+      borderWidth: 1.5,
+      borderColor: theme.border,
+      alignItems: "center",
+    },
+    secondaryBtnText: {
+      fontSize: 13,
+      fontWeight: "600",
+      color: theme.textSecondary,
+    },
+    primaryBtn: {
+      flex: 1,
+      padding: 12,
+      borderRadius: 12,
+      backgroundColor: theme.primary,
+      alignItems: "center",
+      shadowColor: theme.primary,
+      shadowOffset: { width: 0, height: 4 },
+      shadowOpacity: isDarkMode ? 0.4 : 0.2,
+      shadowRadius: 8,
+      elevation: 4,
+    },
+    primaryBtnDisabled: { opacity: 0.4 },
+    primaryBtnText: { fontSize: 13, fontWeight: "700", color: "#fff" },
+  });
@@ -0,0 +1,127 @@
+// src/components/DiffView.js
+
+import React, { useMemo } from "react";
+import { View, Text, StyleSheet } from "react-native";
+import { useTheme } from "../context/UserContext";
+import { DIFF_TYPES, countChanges, diffWords, groupHunks } from "../utils/diff";
+
+/**
+ * Renders a word-level diff of two texts inline, with insertions
+ * highlighted and deletions struck through.
+ *
+ * Pass `onToggleHunk` to make it reviewable: each change becomes a
+ * tappable hunk that flips between accepted (new text) and rejected
+ * (old text kept).
+ *
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {boolean} [showSummary]  - Show the added/removed word counts
+ * @param {Set<number>} [rejectedIds] - Hunk ids currently rejected
+ * @param {function} [onToggleHunk] - Called with a hunk id when tapped
+ */
+export default function DiffView({
+  oldText,
+  newText,
+  showSummary = true,
+  rejectedIds,
+  onToggleHunk,
+}) {
+  const { theme } = useTheme();
+  const styles = createStyles(theme);
+
+  const segments = useMemo(
+    () => diffWords(oldText, newText),
+    [oldText, newText],
+  );
+  const hunks = useMemo(() => groupHunks(segments), [segments]);
+  const { added, removed } = countChanges(segments);
+
+  const renderSegment = (segment, i) => (
+    <Text
+      key={i}
+      style={
+        segment.type === DIFF_TYPES.INSERT
+          ? styles.insert
+          : segment.type === DIFF_TYPES.DELETE
+            ? styles.delete
+            : null
+      }
+    >
+      {segment.text}
+    </Text>
+  );
+
+  const renderHunk = (part, i) => {
+    if (part.type !== DIFF_TYPES.CHANGE) {
+      return <Text key={i}>{part.text}</Text>;
+    }
+    const isRejected = rejectedIds?.has(part.id);
+    return (
+      <Text key={i} onPress={() => onToggleHunk(part.id)}>
+        {!!part.removed && (
+          <Text style={isRejected ? styles.kept : styles.delete}>
+            {part.removed}
+          </Text>
+        )}
+        {!!part.added && (
+          <Text style={isRejected ? styles.dropped : styles.insert}>
+            {part.added}
+          </Text>
+        )}
+      </Text>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {showSummary && (
+        <View style={styles.summaryRow}>
+          <Text style={[styles.summaryText, styles.addedText]}>
+            +{added} {added === 1 ? "word" : "words"}
+          </Text>
+          <Text style={[styles.summaryText, styles.removedText]}>
+            −{removed} {removed === 1 ? "word" : "words"}
+          </Text>
+        </View>
+      )}
+      <Text style={styles.body}>
+        {added === 0 && removed === 0 ? (
+          <Text style={styles.noChanges}>No changes</Text>
+        ) : onToggleHunk ? (
+          hunks.map(renderHunk)
+        ) : (
+          segments.map(renderSegment)
+        )}
+      </Text>
+    </View>
+  );
+}
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: { gap: 8 },
+    summaryRow: { flexDirection: "row", gap: 12 },
+    summaryText: { fontSize: 11, fontWeight: "700" },
+    addedText: { color: theme.success },
+    removedText: { color: theme.danger },
+    body: { fontSize: 13, lineHeight: 21, color: theme.text },
+    insert: {
+      color: theme.success,
+      backgroundColor: `${theme.success}22`,
+    },
+    delete: {
+      color: theme.danger,
+      backgroundColor: theme.dangerGlow,
+      textDecorationLine: "line-through",
+    },
+    // Rejected hunk: the old text stays, the suggestion is dropped
+    kept: {
+      color: theme.text,
+      backgroundColor: `${theme.warning}22`,
+    },
+    dropped: {
+      color: theme.textMuted,
+      textDecorationLine: "line-through",
+    },
+    noChanges: { color: theme.textMuted, fontStyle: "italic" },
+  });
@@ -3,7 +3,7 @@ import React from 'react';
 import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
 import { useTheme } from '../context/UserContext';
 import { getDisplayText } from '../models/Draft';
-import { formatRelativeTime, formatScheduledTime, truncateText } from '../utils/validators';
+import { formatRelativeTime, formatScheduledTime, formatLanguage, truncateText } from '../utils/validators';
 
 const STATUS_CONFIG = {
   draft: { label: 'Draft', color: null },
@@ -12,7 +12,22 @@ const STATUS_CONFIG = {
   failed: { label: 'Failed', color: 'danger' },
 };
 
-const DraftCard = ({ draft, onPress, onLongPress, showPreview = true }) => {
+// Offline write queue state for the draft (see services/mutationQueue)
+const SYNC_CONFIG = {
+  pending: { label: 'Waiting to sync', color: 'warning' },
+  syncing: { label: 'Syncing...', color: 'textMuted' },
+  failed: { label: 'Sync failed', color: 'danger' },
+  conflict: { label: 'Changed elsewhere', color: 'warning' },
+};
+
+/**
+ * @param {boolean} [isTranslation] - Indent under the original it translates
+ * @param {boolean} [showLanguage]  - Tag the draft with its language
+ */
+const DraftCard = ({
+  draft, onPress, onLongPress, showPreview = true, syncStatus = null,
+  isTranslation = false, showLanguage = false,
+}) => {
   const { theme, isDarkMode } = useTheme();
   const styles = createStyles(theme, isDarkMode);
 
@@ -20,6 +35,7 @@ const DraftCard = ({ draft, onPress, onLongPress, showPreview = true }) => {
   const preview = truncateText(displayText, 110);
   const status = STATUS_CONFIG[draft.status] || STATUS_CONFIG.draft;
   const statusColor = status.color ? theme[status.color] : theme.primary;
+  const sync = syncStatus ? SYNC_CONFIG[syncStatus] : null;
 
   const getTimingText = () => {
     if (draft.status === 'scheduled' && draft.scheduledAt) {
@@ -28,14 +44,14 @@ const DraftCard = ({ draft, onPress, onLongPress, showPreview = true }) => {
     if (draft.status === 'published' && draft.publishedAt) {
       return formatRelativeTime(new Date(draft.publishedAt));
     }
-    return formatRelativeTime(new Date(draft.updatedAt));
+    return formatRelativeTime(new Date(draft.updatedAt || draft.createdAt));
   };
 
   return (
     <TouchableOpacity
       onPress={onPress}
       onLongPress={onLongPress}
-      style={styles.card}
+      style={[styles.card, isTranslation && styles.cardTranslation]}
       activeOpacity={0.72}
       delayLongPress={500}
     >
@@ -63,6 +79,17 @@ const DraftCard = ({ draft, onPress, onLongPress, showPreview = true }) => {
           <View style={styles.tonePill}>
             <Text style={styles.toneText}>{draft.tone}</Text>
           </View>
+          {showLanguage && draft.language && (
+            <View style={styles.languagePill}>
+              <Text style={styles.languageText}>{formatLanguage(draft.language)}</Text>
+            </View>
+          )}
+          {sync && (
+            <View style={styles.syncRow}>
+              <View style={[styles.syncDot, { backgroundColor: theme[sync.color] }]} />
+              <Text style={[styles.syncText, { color: theme[sync.color] }]}>{sync.label}</Text>
+            </View>
+          )}
           <Text style={styles.timing}>{getTimingText()}</Text>
         </View>
       </View>
@@ -95,6 +122,7 @@ const createStyles = (theme, isDarkMode) => StyleSheet.create({
     borderColor: theme.border,
     overflow: 'hidden',
   },
+  cardTranslation: { marginLeft: 20 },
   stripe: {
     width: 3,
     borderTopLeftRadius: 16,
@@ -150,6 +178,16 @@ const createStyles = (theme, isDarkMode) => StyleSheet.create({
     borderColor: theme.border,
   },
   toneText: { fontSize: 10, color: theme.textSecondary, fontWeight: '500' },
+  languagePill: {
+    paddingVertical: 3,
+    paddingHorizontal: 8,
+    borderRadius: 8,
+    backgroundColor: theme.accentGlow,
+  },
+  languageText: { fontSize: 10, color: theme.accent, fontWeight: '600' },
+  syncRow: { flexDirection: 'row', alignItems: 'center', gap: 5 },
+  syncDot: { width: 6, height: 6, borderRadius: 3 },
+  syncText: { fontSize: 10, fontWeight: '600' },
   timing: { fontSize: 11, color: theme.textMuted },
 
   compactCard: {
@@ -0,0 +1,81 @@
+// src/components/LanguageSelector.js
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView } from 'react-native';
+import { useTheme } from '../context/UserContext';
+import { TRANSCRIPTION_LANGUAGES, DEFAULT_TRANSCRIPTION_LANGUAGE } from '../utils/constants';
+
+/**
+ * Picks the language a recording is spoken in, or auto-detect
+ *
+ * @param {Object}   props
+ * @param {string}   props.selectedLanguage - Language code, or 'auto'
+ * @param {function} props.onSelectLanguage - Called with the chosen code
+ * @param {string}   [props.label]
+ * @param {Array}    [props.languages] - { code, label } options; defaults to every transcription language
+ */
+const LanguageSelector = ({
+  selectedLanguage = DEFAULT_TRANSCRIPTION_LANGUAGE,
+  onSelectLanguage,
+  label = null,
+  languages = TRANSCRIPTION_LANGUAGES,
+}) => {
+  const { theme, isDarkMode } = useTheme();
+  const styles = createStyles(theme, isDarkMode);
+
+  return (
+    <View style={styles.container}>
+      {label && <Text style={styles.label}>{label}</Text>}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.list}
+      >
+        {languages.map(({ code, label: name }) => {
+          const isSelected = selectedLanguage === code;
+          return (
+            <TouchableOpacity
+              key={code}
+              onPress={() => onSelectLanguage?.(code)}
+              style={[styles.chip, isSelected && styles.chipSelected]}
+              activeOpacity={0.72}
+            >
+              {isSelected && <View style={styles.chipDot} />}
+              <Text style={[styles.chipText, isSelected && styles.chipTextSelected]}>
+                {name}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    </View>
+  );
+};
+
+const createStyles = (theme, isDarkMode) => StyleSheet.create({
+  container: { marginBottom: 4 },
+  label: {
+    fontSize: 10, letterSpacing: 1.5,
+    textTransform: 'uppercase', color: theme.textMuted,
+    marginBottom: 10, fontWeight: '600',
+  },
+  list: { flexDirection: 'row', gap: 8, paddingRight: 4 },
+  chip: {
+    flexDirection: 'row', alignItems: 'center', gap: 6,
+    paddingVertical: 7, paddingHorizontal: 12,
+    borderRadius: 10,
+    backgroundColor: theme.surface,
+    borderWidth: 1.5, borderColor: theme.border,
+  },
+  chipSelected: {
+    borderColor: theme.accent,
+    backgroundColor: theme.accentGlow,
+  },
+  chipDot: {
+    width: 5, height: 5, borderRadius: 2.5,
+    backgroundColor: theme.accent,
+  },
+  chipText: { fontSize: 12, fontWeight: '500', color: theme.textMuted },
+  chipTextSelected: { fontWeight: '600', color: theme.accent },
+});
+
+export default LanguageSelector;
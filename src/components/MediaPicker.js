@@ -2,7 +2,7 @@
 import React, { useState } from 'react';
 import {
   View, Text, TouchableOpacity, StyleSheet,
-  ScrollView, Image, Alert, ActivityIndicator,
+  ScrollView, Image, Alert,
 } from 'react-native';
 import * as ImagePicker from 'expo-image-picker';
 import { useTheme } from '../context/UserContext';
@@ -21,13 +21,16 @@ const MAX_VIDEO = 1;
  * @param {Object}   props
  * @param {Array}    props.attachments        - Current list of attachments
  * @param {function} props.onMediaChange      - Called with updated attachments array
- * @param {function} props.onUploadMedia      - Called with (uri, type) → returns { assetUrn }
+ * @param {function} props.onUploadMedia      - Called with (uri, type, mimeType, onProgress) → returns { assetUrn }
  * @param {boolean}  props.disabled           - Disable picker while publishing
  */
 const MediaPicker = ({ attachments = [], onMediaChange, onUploadMedia, disabled = false }) => {
   const { theme, isDarkMode } = useTheme();
   const styles = createStyles(theme, isDarkMode);
   const [uploadingIndex, setUploadingIndex] = useState(null);
+  // Upload progress (0–1) by URI, for attachments queued or uploading.
+  // Not uploaded and not in here means the upload failed.
+  const [progress, setProgress] = useState({});
 
   const hasVideo = attachments.some((a) => a.mediaType === 'video');
   const canAddImage = !hasVideo && attachments.length < MAX_IMAGES;
@@ -97,27 +100,54 @@ const MediaPicker = ({ attachments = [], onMediaChange, onUploadMedia, disabled
     uploadAttachments(updated, 0);
   };
 
+  const setUploadProgress = (uri, value) => {
+    setProgress((prev) => {
+      const next = { ...prev };
+      if (value === null) delete next[uri];
+      else next[uri] = value;
+      return next;
+    });
+  };
+
   const uploadAttachments = async (allAttachments, startIndex) => {
     if (!onUploadMedia) return;
 
+    const queued = allAttachments.slice(startIndex).filter((a) => !a.uploaded);
+    setProgress((prev) => ({
+      ...prev,
+      ...Object.fromEntries(queued.map((a) => [a.uri, 0])),
+    }));
+
     for (let i = startIndex; i < allAttachments.length; i++) {
       const attachment = allAttachments[i];
       if (attachment.uploaded) continue;
 
       setUploadingIndex(i);
       try {
-        const { assetUrn } = await onUploadMedia(attachment.uri, attachment.mediaType, attachment.mimeType);
+        const { assetUrn } = await onUploadMedia(
+          attachment.uri, attachment.mediaType, attachment.mimeType,
+          ({ progress: value }) => setUploadProgress(attachment.uri, value),
+        );
         allAttachments = allAttachments.map((a, idx) =>
           idx === i ? { ...a, assetUrn, uploaded: true } : a
         );
         onMediaChange([...allAttachments]);
       } catch (error) {
-        Alert.alert('Upload Failed', `Failed to upload ${attachment.fileName}. It will be retried on publish.`);
+        Alert.alert(
+          'Upload Failed',
+          `${attachment.fileName} didn't finish uploading. Tap it to try again — it will pick up where it left off.`,
+        );
       }
+      setUploadProgress(attachment.uri, null);
       setUploadingIndex(null);
     }
   };
 
+  const retryUpload = (index) => {
+    if (uploadingIndex !== null || disabled) return;
+    uploadAttachments(attachments, index);
+  };
+
   const removeAttachment = (index) => {
     const updated = attachments.filter((_, i) => i !== index);
     onMediaChange(updated);
@@ -180,11 +210,33 @@ const MediaPicker = ({ attachments = [], onMediaChange, onUploadMedia, disabled
               </View>
             )}
 
-            {/* Uploading spinner */}
-            {uploadingIndex === index && (
-              <View style={styles.uploadingOverlay}>
-                <ActivityIndicator color="#fff" size="small" />
-              </View>
+            {/* Upload progress, or a retry after a failed upload */}
+            {!attachment.uploaded && (
+              progress[attachment.uri] !== undefined ? (
+                <View style={styles.uploadingOverlay}>
+                  <Text style={styles.progressText}>
+                    {uploadingIndex === index
+                      ? `${Math.round(progress[attachment.uri] * 100)}%`
+                      : 'Waiting'}
+                  </Text>
+                  <View style={styles.progressTrack}>
+                    <View
+                      style={[
+                        styles.progressFill,
+                        { width: `${Math.round(progress[attachment.uri] * 100)}%` },
+                      ]}
+                    />
+                  </View>
+                </View>
+              ) : (
+                <TouchableOpacity
+                  onPress={() => retryUpload(index)}
+                  style={styles.uploadingOverlay}
+                  activeOpacity={0.8}
+                >
+                  <Text style={styles.retryText}>Retry</Text>
+                </TouchableOpacity>
+              )
             )}
 
             {/* Uploaded tick */}
@@ -227,8 +279,10 @@ const MediaPicker = ({ attachments = [], onMediaChange, onUploadMedia, disabled
         <Text style={styles.captionText}>
           {hasVideo ? '1 video attached' : `${attachments.length} of ${MAX_IMAGES} images`}
         </Text>
-        {attachments.some((a) => !a.uploaded) && (
+        {attachments.some((a) => progress[a.uri] !== undefined) ? (
           <Text style={styles.captionUploading}>Uploading...</Text>
+        ) : attachments.some((a) => !a.uploaded) && (
+          <Text style={styles.captionFailed}>Upload failed · tap to retry</Text>
         )}
         {attachments.every((a) => a.uploaded) && (
           <Text style={styles.captionReady}>Ready to post</Text>
@@ -315,6 +369,15 @@ const createStyles = (theme, isDarkMode) => StyleSheet.create({
     backgroundColor: 'rgba(0,0,0,0.5)',
     justifyContent: 'center', alignItems: 'center',
   },
+  progressText: { fontSize: 11, fontWeight: '700', color: '#fff', fontVariant: ['tabular-nums'] },
+  progressTrack: {
+    position: 'absolute', bottom: 8, left: 8, right: 8,
+    height: 4, borderRadius: 2,
+    backgroundColor: 'rgba(255,255,255,0.3)',
+    overflow: 'hidden',
+  },
+  progressFill: { height: '100%', borderRadius: 2, backgroundColor: '#fff' },
+  retryText: { fontSize: 11, fontWeight: '700', color: '#fff' },
 
   // Uploaded badge
   uploadedBadge: {
@@ -357,6 +420,7 @@ const createStyles = (theme, isDarkMode) => StyleSheet.create({
   },
   captionText: { fontSize: 11, color: theme.textMuted },
   captionUploading: { fontSize: 11, color: theme.warning },
+  captionFailed: { fontSize: 11, color: theme.danger },
   captionReady: { fontSize: 11, color: theme.accent, fontWeight: '600' },
 });
 
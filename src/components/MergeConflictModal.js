@@ -0,0 +1,262 @@
+// src/components/MergeConflictModal.js
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+} from "react-native";
+import { useTheme } from "../context/UserContext";
+import { getDisplayText } from "../models/Draft";
+import { formatRelativeTime } from "../utils/validators";
+
+/**
+ * Shown when a save is rejected because the draft changed on another
+ * device. Lets the user keep their text, take the other device's, or
+ * hand-merge the two.
+ *
+ * @param {boolean}  visible
+ * @param {string}   localText   - Text from this device
+ * @param {Object}   serverDraft - Draft as saved by the other device
+ * @param {boolean}  isSaving
+ * @param {function} onResolve   - ({ strategy, text }) with strategy
+ *                                 "mine" | "theirs" | "merged"
+ * @param {function} onClose
+ */
+export default function MergeConflictModal({
+  visible,
+  localText = "",
+  serverDraft,
+  isSaving = false,
+  onResolve,
+  onClose,
+}) {
+  const { theme, isDarkMode } = useTheme();
+  const [isMerging, setIsMerging] = useState(false);
+  const [mergedText, setMergedText] = useState("");
+  const styles = createStyles(theme, isDarkMode);
+
+  const serverText = serverDraft ? getDisplayText(serverDraft) || "" : "";
+
+  useEffect(() => {
+    if (visible) {
+      setIsMerging(false);
+      setMergedText(localText);
+    }
+  }, [visible, localText]);
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <View style={styles.handle} />
+          <Text style={styles.title}>Edited on another device</Text>
+          <Text style={styles.subtitle}>
+            This draft was saved somewhere else while you were editing. Choose
+            which version to keep.
+          </Text>
+
+          {isMerging ? (
+            <TextInput
+              value={mergedText}
+              onChangeText={setMergedText}
+              style={styles.mergeInput}
+              multiline
+              textAlignVertical="top"
+              placeholderTextColor={theme.textMuted}
+              placeholder="Combine both versions..."
+            />
+          ) : (
+            <View style={styles.columns}>
+              <View style={styles.column}>
+                <Text style={styles.columnLabel}>This device</Text>
+                <ScrollView style={styles.columnBody} nestedScrollEnabled>
+                  <Text style={styles.columnText}>{localText}</Text>
+                </ScrollView>
+              </View>
+              <View style={styles.column}>
+                <Text style={[styles.columnLabel, styles.columnLabelOther]}>
+                  Other device
+                  {serverDraft?.updatedAt
+                    ? ` · ${formatRelativeTime(serverDraft.updatedAt)}`
+                    : ""}
+                </Text>
+                <ScrollView style={styles.columnBody} nestedScrollEnabled>
+                  <Text style={styles.columnText}>{serverText}</Text>
+                </ScrollView>
+              </View>
+            </View>
+          )}
+
+          {isSaving ? (
+            <ActivityIndicator
+              color={theme.primary}
+              size="small"
+              style={styles.spinner}
+            />
+          ) : isMerging ? (
+            <View style={styles.actions}>
+              <TouchableOpacity
+                onPress={() => setIsMerging(false)}
+                style={styles.secondaryBtn}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.secondaryBtnText}>Back</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                onPress={() =>
+                  onResolve?.({ strategy: "merged", text: mergedText })
+                }
+                style={styles.primaryBtn}
+                activeOpacity={0.85}
+                disabled={!mergedText.trim()}
+              >
+                <Text style={styles.primaryBtnText}>Save merged</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <>
+              <View style={styles.actions}>
+                <TouchableOpacity
+                  onPress={() =>
+                    onResolve?.({ strategy: "mine", text: localText })
+                  }
+                  style={styles.primaryBtn}
+                  activeOpacity={0.85}
+                >
+                  <Text style={styles.primaryBtnText}>Keep mine</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={() =>
+                    onResolve?.({ strategy: "theirs", text: serverText })
+                  }
+                  style={styles.secondaryBtn}
+                  activeOpacity={0.7}
+                >
+                  <Text style={styles.secondaryBtnText}>Keep theirs</Text>
+                </TouchableOpacity>
+              </View>
+              <TouchableOpacity
+                onPress={() => setIsMerging(true)}
+                style={styles.mergeBtn}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.mergeBtnText}>Merge by hand</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (theme, isDarkMode) =>
+  StyleSheet.create({
+    overlay: {
+      flex: 1,
+      backgroundColor: theme.overlay,
+      justifyContent: "flex-end",
+    },
+    sheet: {
+      backgroundColor: theme.surface,
+      borderTopLeftRadius: 28,
+      borderTopRightRadius: 28,
+      padding: 24,
+      paddingBottom: 40,
+      maxHeight: "90%",
+    },
+    handle: {
+      width: 36,
+      height: 4,
+      borderRadius: 2,
+      backgroundColor: theme.border,
+      alignSelf: "center",
+      marginBottom: 20,
+    },
+    title: {
+      fontSize: 18,
+      fontWeight: "700",
+      color: theme.text,
+      marginBottom: 6,
+    },
+    subtitle: {
+      fontSize: 13,
+      color: theme.textMuted,
+      lineHeight: 20,
+      marginBottom: 16,
+    },
+    columns: { flexDirection: "row", gap: 10, marginBottom: 16 },
+    column: {
+      flex: 1,
+      borderRadius: 14,
+      borderWidth: 1,
+      borderColor: theme.border,
+      backgroundColor: theme.surfaceElevated,
+      padding: 10,
+    },
+    columnLabel: {
+      fontSize: 11,
+      fontWeight: "700",
+      color: theme.primary,
+      textTransform: "uppercase",
+      letterSpacing: 0.5,
+      marginBottom: 6,
+    },
+    columnLabelOther: { color: theme.accent },
+    columnBody: { maxHeight: 260 },
+    columnText: { fontSize: 13, lineHeight: 20, color: theme.text },
+    mergeInput: {
+      minHeight: 200,
+      maxHeight: 320,
+      padding: 14,
+      borderRadius: 16,
+      backgroundColor: theme.surfaceElevated,
+      borderWidth: 1.5,
+      borderColor: theme.border,
+      color: theme.text,
+      fontSize: 14,
+      lineHeight: 22,
+      marginBottom: 16,
+    },
+    spinner: { marginVertical: 16 },
+    actions: { flexDirection: "row", gap: 10 },
+    primaryBtn: {
+      flex: 1,
+      padding: 14,
+      borderRadius: 14,
+      backgroundColor: theme.primary,
+      alignItems: "center",
+      shadowColor: theme.primary,
+      shadowOffset: { width: 0, height: 6 },
+      shadowOpacity: isDarkMode ? 0.4 : 0.2,
+      shadowRadius: 12,
+      elevation: 6,
+    },
+    primaryBtnText: { fontSize: 13, fontWeight: "700", color: "#fff" },
+    secondaryBtn: {
+      flex: 1,
+      padding: 14,
+      borderRadius: 14,
+      borderWidth: 1.5,
+      borderColor: theme.border,
+      alignItems: "center",
+    },
+    secondaryBtnText: {
+      fontSize: 13,
+      fontWeight: "600",
+      color: theme.textSecondary,
+    },
+    mergeBtn: { alignItems: "center", paddingTop: 14 },
+    mergeBtnText: { fontSize: 13, fontWeight: "600", color: theme.accent },
+  });
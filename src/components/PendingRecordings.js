@@ -0,0 +1,143 @@
+// src/components/PendingRecordings.js
+
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+} from "react-native";
+import { useTheme } from "../context/UserContext";
+import { formatDuration, formatRelativeTime } from "../utils/validators";
+import { getTotalDurationMs } from "../models/AudioSegment";
+
+/**
+ * Recordings that failed to process and are waiting in the inbox.
+ * Each one can be retried now or discarded.
+ *
+ * @param {Object[]} recordings - Processing inbox items
+ * @param {function} onRetry    - async (id) => { success, draft }
+ * @param {function} onDiscard  - (id)
+ */
+export default function PendingRecordings({ recordings, onRetry, onDiscard }) {
+  const { theme, isDarkMode } = useTheme();
+  const styles = createStyles(theme, isDarkMode);
+  const [retryingId, setRetryingId] = useState(null);
+
+  if (recordings.length === 0) return null;
+
+  const handleRetry = async (id) => {
+    setRetryingId(id);
+    try {
+      await onRetry(id);
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <View style={styles.headerDot} />
+        <Text style={styles.headerText}>
+          {recordings.length === 1
+            ? "1 recording waiting to process"
+            : `${recordings.length} recordings waiting to process`}
+        </Text>
+      </View>
+      <Text style={styles.hint}>
+        {"They'll be retried automatically when you're back online."}
+      </Text>
+
+      {recordings.map((item) => {
+        const isRetrying = retryingId === item.id;
+        return (
+          <View key={item.id} style={styles.row}>
+            <View style={styles.info}>
+              <Text style={styles.title}>
+                {formatDuration(getTotalDurationMs(item.segments))} ·{" "}
+                {item.tone}
+                {item.segments.length > 1
+                  ? ` · ${item.segments.length} parts`
+                  : ""}
+              </Text>
+              <Text style={styles.meta} numberOfLines={1}>
+                {formatRelativeTime(new Date(item.createdAt))}
+                {item.error ? ` · ${item.error}` : ""}
+              </Text>
+            </View>
+            <TouchableOpacity
+              onPress={() => handleRetry(item.id)}
+              style={styles.retryBtn}
+              disabled={!!retryingId}
+              activeOpacity={0.7}
+            >
+              {isRetrying ? (
+                <ActivityIndicator color={theme.primary} size="small" />
+              ) : (
+                <Text style={styles.retryText}>Retry</Text>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => onDiscard(item.id)}
+              style={styles.discardBtn}
+              disabled={isRetrying}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.discardText}>✕</Text>
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const createStyles = (theme, isDarkMode) =>
+  StyleSheet.create({
+    container: {
+      padding: 12,
+      gap: 8,
+      borderRadius: 16,
+      backgroundColor: theme.surface,
+      borderWidth: 1,
+      borderColor: `${theme.warning}40`,
+    },
+    headerRow: { flexDirection: "row", alignItems: "center", gap: 8 },
+    headerDot: {
+      width: 6,
+      height: 6,
+      borderRadius: 3,
+      backgroundColor: theme.warning,
+    },
+    headerText: { fontSize: 13, fontWeight: "600", color: theme.text },
+    hint: { fontSize: 11, color: theme.textMuted },
+    row: { flexDirection: "row", alignItems: "center", gap: 8 },
+    info: { flex: 1 },
+    title: {
+      fontSize: 12,
+      fontWeight: "600",
+      color: theme.textSecondary,
+      fontVariant: ["tabular-nums"],
+    },
+    meta: { fontSize: 11, color: theme.textMuted },
+    retryBtn: {
+      minWidth: 60,
+      paddingVertical: 6,
+      paddingHorizontal: 12,
+      borderRadius: 10,
+      backgroundColor: theme.primaryGlow,
+      alignItems: "center",
+    },
+    retryText: { fontSize: 12, fontWeight: "600", color: theme.primary },
+    discardBtn: {
+      width: 30,
+      height: 30,
+      borderRadius: 10,
+      backgroundColor: isDarkMode ? theme.surfaceHigh : theme.bg,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    discardText: { fontSize: 13, fontWeight: "600", color: theme.danger },
+  });
@@ -0,0 +1,64 @@
+// src/components/RecordingPanel.js
+
+import React from "react";
+import { View, Text, StyleSheet } from "react-native";
+import { useTheme } from "../context/UserContext";
+import { getAudioSources } from "../models/Draft";
+import { formatLanguage } from "../utils/validators";
+import AudioPlayer from "./AudioPlayer";
+
+/**
+ * The draft's original recording with its raw transcript alongside, so
+ * the refined post can be checked against what was actually said.
+ *
+ * @param {Object} draft - Needs audioUri/audioSegments and rawTranscript
+ */
+export default function RecordingPanel({ draft }) {
+  const { theme } = useTheme();
+  const styles = createStyles(theme);
+  const sources = getAudioSources(draft);
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.label}>ORIGINAL RECORDING</Text>
+      {sources.length > 0 ? (
+        <AudioPlayer sources={sources} />
+      ) : (
+        <Text style={styles.emptyText}>No recording saved for this post</Text>
+      )}
+
+      <View style={styles.divider} />
+
+      <Text style={styles.label}>
+        TRANSCRIPT
+        {draft.language
+          ? ` · ${formatLanguage(draft.language).toUpperCase()}`
+          : ""}
+      </Text>
+      <Text style={styles.transcript} selectable>
+        {draft.rawTranscript || "No transcript"}
+      </Text>
+    </View>
+  );
+}
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    card: {
+      padding: 14,
+      gap: 10,
+      borderRadius: 16,
+      backgroundColor: theme.surface,
+      borderWidth: 1,
+      borderColor: theme.border,
+    },
+    label: {
+      fontSize: 11,
+      fontWeight: "700",
+      letterSpacing: 1.2,
+      color: theme.textMuted,
+    },
+    emptyText: { fontSize: 12, color: theme.textMuted, fontStyle: "italic" },
+    divider: { height: 1, backgroundColor: theme.border },
+    transcript: { fontSize: 13, lineHeight: 20, color: theme.textSecondary },
+  });
@@ -0,0 +1,254 @@
+// src/components/RevisionHistoryModal.js
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+} from "react-native";
+import { useTheme } from "../context/UserContext";
+import { useDrafts } from "../context/DraftContext";
+import { REVISION_SOURCE_LABELS } from "../models/Revision";
+import { formatRelativeTime, truncateText } from "../utils/validators";
+import DiffView from "./DiffView";
+
+/**
+ * Browses a draft's revision history. Selecting a revision shows what
+ * restoring it would change in the current text.
+ *
+ * @param {boolean}  visible
+ * @param {string}   draftId
+ * @param {string}   currentText - Text currently in the editor
+ * @param {function} onRestore   - Called with the chosen revision
+ * @param {function} onClose
+ */
+export default function RevisionHistoryModal({
+  visible,
+  draftId,
+  currentText = "",
+  onRestore,
+  onClose,
+}) {
+  const { theme, isDarkMode } = useTheme();
+  const { getRevisions } = useDrafts();
+  const [revisions, setRevisions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const styles = createStyles(theme, isDarkMode);
+
+  useEffect(() => {
+    if (!visible || !draftId) return;
+    let cancelled = false;
+    setSelected(null);
+    setIsLoading(true);
+    getRevisions(draftId).then((history) => {
+      if (cancelled) return;
+      setRevisions(history);
+      setIsLoading(false);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [visible, draftId, getRevisions]);
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <View style={styles.handle} />
+          <View style={styles.header}>
+            {selected ? (
+              <TouchableOpacity
+                onPress={() => setSelected(null)}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.backText}>‹ History</Text>
+              </TouchableOpacity>
+            ) : (
+              <Text style={styles.title}>Version History</Text>
+            )}
+            <TouchableOpacity onPress={onClose} style={styles.closeBtn}>
+              <View style={styles.closeLine1} />
+              <View style={styles.closeLine2} />
+            </TouchableOpacity>
+          </View>
+
+          {isLoading ? (
+            <ActivityIndicator
+              color={theme.primary}
+              size="small"
+              style={styles.spinner}
+            />
+          ) : selected ? (
+            <>
+              <Text style={styles.diffCaption}>
+                {REVISION_SOURCE_LABELS[selected.source]} ·{" "}
+                {formatRelativeTime(selected.createdAt)} — restoring makes these
+                changes:
+              </Text>
+              <ScrollView style={styles.diffScroll}>
+                <DiffView oldText={currentText} newText={selected.text} />
+              </ScrollView>
+              <TouchableOpacity
+                onPress={() => onRestore?.(selected)}
+                style={styles.restoreBtn}
+                activeOpacity={0.85}
+                disabled={selected.text === currentText}
+              >
+                <Text style={styles.restoreBtnText}>Restore this version</Text>
+              </TouchableOpacity>
+            </>
+          ) : revisions.length === 0 ? (
+            <Text style={styles.emptyText}>
+              No earlier versions yet. Edits, tone changes and voice edits will
+              show up here.
+            </Text>
+          ) : (
+            <ScrollView style={styles.list}>
+              {revisions.map((revision, i) => (
+                <TouchableOpacity
+                  key={revision.id}
+                  onPress={() => setSelected(revision)}
+                  style={styles.row}
+                  activeOpacity={0.7}
+                >
+                  <View style={styles.rowHeader}>
+                    <Text style={styles.rowSource}>
+                      {REVISION_SOURCE_LABELS[revision.source]}
+                      {i === 0 ? " · Latest" : ""}
+                    </Text>
+                    <Text style={styles.rowTime}>
+                      {formatRelativeTime(revision.createdAt)}
+                    </Text>
+                  </View>
+                  <Text style={styles.rowMeta}>
+                    {revision.note || revision.tone}
+                  </Text>
+                  <Text style={styles.rowPreview} numberOfLines={2}>
+                    {truncateText(revision.text, 140)}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (theme, isDarkMode) =>
+  StyleSheet.create({
+    overlay: {
+      flex: 1,
+      backgroundColor: theme.overlay,
+      justifyContent: "flex-end",
+    },
+    sheet: {
+      backgroundColor: theme.surface,
+      borderTopLeftRadius: 28,
+      borderTopRightRadius: 28,
+      padding: 24,
+      paddingBottom: 40,
+      maxHeight: "85%",
+      minHeight: 320,
+    },
+    handle: {
+      width: 36,
+      height: 4,
+      borderRadius: 2,
+      backgroundColor: theme.border,
+      alignSelf: "center",
+      marginBottom: 20,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 12,
+    },
+    title: { fontSize: 18, fontWeight: "700", color: theme.text },
+    backText: { fontSize: 15, fontWeight: "600", color: theme.primary },
+    closeBtn: {
+      width: 28,
+      height: 28,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    closeLine1: {
+      position: "absolute",
+      width: 16,
+      height: 2,
+      backgroundColor: theme.textMuted,
+      borderRadius: 1,
+      transform: [{ rotate: "45deg" }],
+    },
+    closeLine2: {
+      position: "absolute",
+      width: 16,
+      height: 2,
+      backgroundColor: theme.textMuted,
+      borderRadius: 1,
+      transform: [{ rotate: "-45deg" }],
+    },
+    spinner: { marginVertical: 32 },
+    emptyText: {
+      fontSize: 13,
+      color: theme.textMuted,
+      lineHeight: 20,
+      textAlign: "center",
+      marginTop: 24,
+    },
+    list: { flexGrow: 0 },
+    row: {
+      padding: 12,
+      borderRadius: 14,
+      backgroundColor: theme.surfaceElevated,
+      borderWidth: 1,
+      borderColor: theme.border,
+      marginBottom: 8,
+      gap: 4,
+    },
+    rowHeader: { flexDirection: "row", justifyContent: "space-between" },
+    rowSource: { fontSize: 13, fontWeight: "700", color: theme.text },
+    rowTime: { fontSize: 11, color: theme.textMuted },
+    rowMeta: { fontSize: 11, fontWeight: "600", color: theme.primary },
+    rowPreview: { fontSize: 12, lineHeight: 18, color: theme.textSecondary },
+    diffCaption: {
+      fontSize: 12,
+      color: theme.textMuted,
+      lineHeight: 18,
+      marginBottom: 10,
+    },
+    diffScroll: {
+      flexGrow: 0,
+      maxHeight: 340,
+      padding: 12,
+      borderRadius: 14,
+      backgroundColor: theme.surfaceElevated,
+      borderWidth: 1,
+      borderColor: theme.border,
+      marginBottom: 16,
+    },
+    restoreBtn: {
+      padding: 14,
+      borderRadius: 14,
+      backgroundColor: theme.primary,
+      alignItems: "center",
+      shadowColor: theme.primary,
+      shadowOffset: { width: 0, height: 6 },
+      shadowOpacity: isDarkMode ? 0.4 : 0.2,
+      shadowRadius: 12,
+      elevation: 6,
+    },
+    restoreBtnText: { fontSize: 13, fontWeight: "700", color: "#fff" },
+  });
@@ -0,0 +1,63 @@
+// src/components/SaveStatusIndicator.js
+
+import React, { useState, useEffect } from "react";
+import { View, Text, StyleSheet } from "react-native";
+import { useTheme } from "../context/UserContext";
+import { SAVE_STATUS } from "../hooks/useAutosave";
+import { formatRelativeTime } from "../utils/validators";
+
+/**
+ * Formats how long ago something was saved, down to the second
+ * for the first minute
+ */
+const formatSavedAgo = (date, now) => {
+  const seconds = Math.floor((now - date.getTime()) / 1000);
+  if (seconds < 60) return `${Math.max(seconds, 1)}s ago`;
+  return formatRelativeTime(date);
+};
+
+/**
+ * Small "Saved · 2s ago" line for the editor header.
+ * Keeps its own clock so the editor doesn't re-render every second.
+ *
+ * @param {string} status      - One of SAVE_STATUS
+ * @param {Date}   lastSavedAt
+ */
+export default function SaveStatusIndicator({ status, lastSavedAt }) {
+  const { theme } = useTheme();
+  const styles = createStyles(theme);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (status !== SAVE_STATUS.SAVED || !lastSavedAt) return;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [status, lastSavedAt]);
+
+  const config = {
+    [SAVE_STATUS.PENDING]: { label: "Editing...", color: theme.textMuted },
+    [SAVE_STATUS.SAVING]: { label: "Saving...", color: theme.textMuted },
+    [SAVE_STATUS.ERROR]: { label: "Not saved", color: theme.danger },
+    [SAVE_STATUS.SAVED]: lastSavedAt && {
+      label: `Saved · ${formatSavedAgo(lastSavedAt, now)}`,
+      color: theme.success,
+    },
+  }[status];
+
+  if (!config) return null;
+
+  return (
+    <View style={styles.row}>
+      <View style={[styles.dot, { backgroundColor: config.color }]} />
+      <Text style={[styles.text, { color: config.color }]}>{config.label}</Text>
+    </View>
+  );
+}
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    row: { flexDirection: "row", alignItems: "center", gap: 5 },
+    dot: { width: 5, height: 5, borderRadius: 2.5 },
+    text: { fontSize: 11, fontWeight: "500", color: theme.textMuted },
+  });
@@ -0,0 +1,250 @@
+// src/components/SegmentList.js
+
+import React, { useState, useRef, useEffect } from "react";
+import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
+import { Audio } from "expo-av";
+import { useTheme } from "../context/UserContext";
+import { formatDuration } from "../utils/validators";
+import { getTotalDurationMs } from "../models/AudioSegment";
+import recordingStorage from "../services/recordingStorage";
+
+/**
+ * The takes recorded so far for a multi-part voice post, in the order
+ * they'll be stitched together. Each can be replayed, moved or removed.
+ *
+ * @param {Object[]} segments  - AudioSegment objects
+ * @param {function} onMove    - (index, direction) with direction -1 or 1
+ * @param {function} onDelete  - (segment)
+ * @param {boolean}  [disabled] - Lock the list while recording or processing
+ */
+export default function SegmentList({
+  segments,
+  onMove,
+  onDelete,
+  disabled = false,
+}) {
+  const { theme, isDarkMode } = useTheme();
+  const styles = createStyles(theme, isDarkMode);
+  const [playingId, setPlayingId] = useState(null);
+  const soundRef = useRef(null);
+
+  const stopPlayback = async () => {
+    const sound = soundRef.current;
+    soundRef.current = null;
+    setPlayingId(null);
+    if (sound) await sound.unloadAsync().catch(() => {});
+  };
+
+  useEffect(
+    () => () => {
+      soundRef.current?.unloadAsync().catch(() => {});
+    },
+    [],
+  );
+
+  // Don't talk over a new recording
+  useEffect(() => {
+    if (!disabled || !soundRef.current) return;
+    soundRef.current.unloadAsync().catch(() => {});
+    soundRef.current = null;
+    setPlayingId(null);
+  }, [disabled]);
+
+  const handlePlay = async (segment) => {
+    const wasPlaying = playingId === segment.id;
+    await stopPlayback();
+    if (wasPlaying) return;
+
+    try {
+      const { sound } = await Audio.Sound.createAsync(
+        { uri: recordingStorage.resolve(segment.uri) },
+        { shouldPlay: true },
+      );
+      soundRef.current = sound;
+      setPlayingId(segment.id);
+      sound.setOnPlaybackStatusUpdate((status) => {
+        if (status.didJustFinish && soundRef.current === sound) stopPlayback();
+      });
+    } catch (error) {
+      console.warn("Error playing segment:", error);
+    }
+  };
+
+  const handleDelete = async (segment) => {
+    if (playingId === segment.id) await stopPlayback();
+    onDelete(segment);
+  };
+
+  if (segments.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.headerRow}>
+        <Text style={styles.headerLabel}>
+          {segments.length} {segments.length === 1 ? "PART" : "PARTS"}
+        </Text>
+        <Text style={styles.headerTotal}>
+          {formatDuration(getTotalDurationMs(segments))}
+        </Text>
+      </View>
+
+      {segments.map((segment, index) => {
+        const isPlaying = playingId === segment.id;
+        return (
+          <View key={segment.id} style={styles.row}>
+            <TouchableOpacity
+              onPress={() => handlePlay(segment)}
+              style={[styles.playBtn, isPlaying && styles.playBtnActive]}
+              disabled={disabled}
+              activeOpacity={0.7}
+            >
+              {isPlaying ? (
+                <View style={styles.stopIcon} />
+              ) : (
+                <View style={styles.playIcon} />
+              )}
+            </TouchableOpacity>
+
+            <View style={styles.info}>
+              <Text style={styles.partLabel}>Part {index + 1}</Text>
+              <Text style={styles.partDuration} numberOfLines={1}>
+                {formatDuration(segment.durationMs)}
+                {segment.fileName ? ` · ${segment.fileName}` : ""}
+              </Text>
+            </View>
+
+            <TouchableOpacity
+              onPress={() => onMove(index, -1)}
+              style={styles.iconBtn}
+              disabled={disabled || index === 0}
+              activeOpacity={0.7}
+            >
+              <Text
+                style={[
+                  styles.iconText,
+                  (disabled || index === 0) && styles.iconTextDisabled,
+                ]}
+              >
+                ↑
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => onMove(index, 1)}
+              style={styles.iconBtn}
+              disabled={disabled || index === segments.length - 1}
+              activeOpacity={0.7}
+            >
+              <Text
+                style={[
+                  styles.iconText,
+                  (disabled || index === segments.length - 1) &&
+                    styles.iconTextDisabled,
+                ]}
+              >
+                ↓
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => handleDelete(segment)}
+              style={styles.iconBtn}
+              disabled={disabled}
+              activeOpacity={0.7}
+            >
+              <Text
+                style={[
+                  styles.iconText,
+                  styles.deleteText,
+                  disabled && styles.iconTextDisabled,
+                ]}
+              >
+                ✕
+              </Text>
+            </TouchableOpacity>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const createStyles = (theme, isDarkMode) =>
+  StyleSheet.create({
+    container: {
+      borderRadius: 16,
+      backgroundColor: theme.surface,
+      borderWidth: 1,
+      borderColor: theme.border,
+      paddingVertical: 6,
+    },
+    headerRow: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      paddingHorizontal: 14,
+      paddingVertical: 6,
+    },
+    headerLabel: {
+      fontSize: 11,
+      fontWeight: "700",
+      letterSpacing: 1.2,
+      color: theme.textMuted,
+    },
+    headerTotal: {
+      fontSize: 12,
+      fontWeight: "600",
+      color: theme.textSecondary,
+      fontVariant: ["tabular-nums"],
+    },
+    row: {
+      flexDirection: "row",
+      alignItems: "center",
+      paddingHorizontal: 10,
+      paddingVertical: 6,
+      gap: 4,
+    },
+    playBtn: {
+      width: 32,
+      height: 32,
+      borderRadius: 16,
+      backgroundColor: theme.primaryGlow,
+      justifyContent: "center",
+      alignItems: "center",
+      marginRight: 8,
+    },
+    playBtnActive: { backgroundColor: theme.primary },
+    playIcon: {
+      width: 0,
+      height: 0,
+      marginLeft: 3,
+      borderTopWidth: 6,
+      borderBottomWidth: 6,
+      borderLeftWidth: 10,
+      borderTopColor: "transparent",
+      borderBottomColor: "transparent",
+      borderLeftColor: theme.primary,
+    },
+    stopIcon: {
+      width: 10,
+      height: 10,
+      borderRadius: 2,
+      backgroundColor: "#fff",
+    },
+    info: { flex: 1 },
+    partLabel: { fontSize: 13, fontWeight: "600", color: theme.text },
+    partDuration: {
+      fontSize: 11,
+      color: theme.textMuted,
+      fontVariant: ["tabular-nums"],
+    },
+    iconBtn: {
+      width: 30,
+      height: 30,
+      borderRadius: 10,
+      backgroundColor: isDarkMode ? theme.surfaceHigh : theme.bg,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    iconText: { fontSize: 14, fontWeight: "600", color: theme.textSecondary },
+    iconTextDisabled: { opacity: 0.3 },
+    deleteText: { color: theme.danger },
+  });
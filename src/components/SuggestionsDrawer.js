@@ -0,0 +1,294 @@
+// src/components/SuggestionsDrawer.js
+
+import React, { useState, useEffect, useCallback, useRef } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+} from "react-native";
+import { useTheme } from "../context/UserContext";
+import { useDrafts } from "../context/DraftContext";
+import DiffView from "./DiffView";
+
+/**
+ * Lists the improvements the AI suggests for the post. Selecting one
+ * previews the change against the current text before it's applied.
+ *
+ * @param {boolean}  visible
+ * @param {string}   draftId
+ * @param {string}   currentText - Text currently in the editor
+ * @param {string}   tone
+ * @param {function} onPreview   - async (suggestion) => edited text
+ * @param {function} onApply     - (suggestion, text)
+ * @param {function} onClose
+ */
+export default function SuggestionsDrawer({
+  visible,
+  draftId,
+  currentText = "",
+  tone,
+  onPreview,
+  onApply,
+  onClose,
+}) {
+  const { theme, isDarkMode } = useTheme();
+  const { getSuggestions } = useDrafts();
+  const [suggestions, setSuggestions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [previewingId, setPreviewingId] = useState(null);
+  // { suggestion, text } once a preview is ready
+  const [preview, setPreview] = useState(null);
+  const styles = createStyles(theme, isDarkMode);
+
+  const load = useCallback(
+    async (refresh = false) => {
+      setIsLoading(true);
+      setError(null);
+      const result = await getSuggestions(draftId, currentText, {
+        tone,
+        refresh,
+      });
+      setIsLoading(false);
+      if (result.success) {
+        setSuggestions(result.suggestions);
+      } else {
+        setError(result.error || "Couldn't load suggestions.");
+      }
+    },
+    [getSuggestions, draftId, currentText, tone],
+  );
+
+  // Fetched when the drawer opens, for the text at that moment
+  const loadRef = useRef(load);
+  loadRef.current = load;
+  useEffect(() => {
+    if (!visible || !draftId) return;
+    setPreview(null);
+    loadRef.current();
+  }, [visible, draftId]);
+
+  const handleSelect = async (suggestion) => {
+    if (previewingId) return;
+    setPreviewingId(suggestion.id);
+    setError(null);
+    try {
+      setPreview({ suggestion, text: await onPreview(suggestion) });
+    } catch {
+      setError("Couldn't preview this change. Please try again.");
+    } finally {
+      setPreviewingId(null);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <View style={styles.handle} />
+          <View style={styles.header}>
+            {preview ? (
+              <TouchableOpacity
+                onPress={() => setPreview(null)}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.backText}>‹ Suggestions</Text>
+              </TouchableOpacity>
+            ) : (
+              <Text style={styles.title}>Suggestions</Text>
+            )}
+            <TouchableOpacity onPress={onClose} style={styles.closeBtn}>
+              <View style={styles.closeLine1} />
+              <View style={styles.closeLine2} />
+            </TouchableOpacity>
+          </View>
+
+          {error && <Text style={styles.errorText}>{error}</Text>}
+
+          {isLoading ? (
+            <ActivityIndicator
+              color={theme.primary}
+              size="small"
+              style={styles.spinner}
+            />
+          ) : preview ? (
+            <>
+              <Text style={styles.diffCaption}>
+                {preview.suggestion.title} — applying makes these changes:
+              </Text>
+              <ScrollView style={styles.diffScroll}>
+                <DiffView oldText={currentText} newText={preview.text} />
+              </ScrollView>
+              <TouchableOpacity
+                onPress={() => onApply(preview.suggestion, preview.text)}
+                style={styles.applyBtn}
+                activeOpacity={0.85}
+                disabled={preview.text === currentText}
+              >
+                <Text style={styles.applyBtnText}>Apply</Text>
+              </TouchableOpacity>
+            </>
+          ) : suggestions.length === 0 ? (
+            !error && (
+              <Text style={styles.emptyText}>
+                Nothing to suggest — this post is in good shape.
+              </Text>
+            )
+          ) : (
+            <ScrollView style={styles.list}>
+              {suggestions.map((suggestion) => (
+                <TouchableOpacity
+                  key={suggestion.id}
+                  onPress={() => handleSelect(suggestion)}
+                  style={styles.row}
+                  disabled={!!previewingId}
+                  activeOpacity={0.7}
+                >
+                  <View style={styles.rowText}>
+                    <Text style={styles.rowTitle}>{suggestion.title}</Text>
+                    {!!suggestion.detail && (
+                      <Text style={styles.rowDetail}>{suggestion.detail}</Text>
+                    )}
+                  </View>
+                  {previewingId === suggestion.id ? (
+                    <ActivityIndicator color={theme.primary} size="small" />
+                  ) : (
+                    <Text style={styles.rowAction}>Preview</Text>
+                  )}
+                </TouchableOpacity>
+              ))}
+              <TouchableOpacity
+                onPress={() => load(true)}
+                style={styles.refreshBtn}
+                disabled={!!previewingId}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.refreshText}>Suggest others</Text>
+              </TouchableOpacity>
+            </ScrollView>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (theme, isDarkMode) =>
+  StyleSheet.create({
+    overlay: {
+      flex: 1,
+      backgroundColor: theme.overlay,
+      justifyContent: "flex-end",
+    },
+    sheet: {
+      backgroundColor: theme.surface,
+      borderTopLeftRadius: 28,
+      borderTopRightRadius: 28,
+      padding: 24,
+      paddingBottom: 40,
+      maxHeight: "85%",
+      minHeight: 320,
+    },
+    handle: {
+      width: 36,
+      height: 4,
+      borderRadius: 2,
+      backgroundColor: theme.border,
+      alignSelf: "center",
+      marginBottom: 20,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 12,
+    },
+    title: { fontSize: 18, fontWeight: "700", color: theme.text },
+    backText: { fontSize: 15, fontWeight: "600", color: theme.primary },
+    closeBtn: {
+      width: 28,
+      height: 28,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    closeLine1: {
+      position: "absolute",
+      width: 16,
+      height: 2,
+      backgroundColor: theme.textMuted,
+      borderRadius: 1,
+      transform: [{ rotate: "45deg" }],
+    },
+    closeLine2: {
+      position: "absolute",
+      width: 16,
+      height: 2,
+      backgroundColor: theme.textMuted,
+      borderRadius: 1,
+      transform: [{ rotate: "-45deg" }],
+    },
+    spinner: { marginVertical: 32 },
+    errorText: { fontSize: 12, color: theme.danger, marginBottom: 10 },
+    emptyText: {
+      fontSize: 13,
+      color: theme.textMuted,
+      lineHeight: 20,
+      textAlign: "center",
+      marginTop: 24,
+    },
+    list: { flexGrow: 0 },
+    row: {
+      flexDirection: "row",
+      alignItems: "center",
+      gap: 12,
+      padding: 12,
+      borderRadius: 14,
+      backgroundColor: theme.surfaceElevated,
+      borderWidth: 1,
+      borderColor: theme.border,
+      marginBottom: 8,
+    },
+    rowText: { flex: 1, gap: 4 },
+    rowTitle: { fontSize: 13, fontWeight: "700", color: theme.text },
+    rowDetail: { fontSize: 12, lineHeight: 18, color: theme.textSecondary },
+    rowAction: { fontSize: 12, fontWeight: "600", color: theme.primary },
+    refreshBtn: { alignItems: "center", paddingVertical: 10 },
+    refreshText: { fontSize: 13, fontWeight: "600", color: theme.textMuted },
+    diffCaption: {
+      fontSize: 12,
+      color: theme.textMuted,
+      lineHeight: 18,
+      marginBottom: 10,
+    },
+    diffScroll: {
+      flexGrow: 0,
+      maxHeight: 340,
+      padding: 12,
+      borderRadius: 14,
+      backgroundColor: theme.surfaceElevated,
+      borderWidth: 1,
+      borderColor: theme.border,
+      marginBottom: 16,
+    },
+    applyBtn: {
+      padding: 14,
+      borderRadius: 14,
+      backgroundColor: theme.primary,
+      alignItems: "center",
+      shadowColor: theme.primary,
+      shadowOffset: { width: 0, height: 6 },
+      shadowOpacity: isDarkMode ? 0.4 : 0.2,
+      shadowRadius: 12,
+      elevation: 6,
+    },
+    applyBtnText: { fontSize: 13, fontWeight: "700", color: "#fff" },
+  });
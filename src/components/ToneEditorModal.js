@@ -0,0 +1,360 @@
+// src/components/ToneEditorModal.js
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+} from "react-native";
+import { useTheme } from "../context/UserContext";
+import { validateTone } from "../utils/validators";
+import { TONE_LIMITS } from "../utils/constants";
+
+// Rules are edited one per line
+const toLines = (rules) => (rules || []).join("\n");
+const fromLines = (text) => text.split("\n");
+
+/**
+ * Creates or edits a custom tone.
+ *
+ * @param {boolean}  visible
+ * @param {Object}   [tone]      - The tone being edited; empty for a new one
+ * @param {string[]} takenNames  - Names of every other tone
+ * @param {function} onSave      - async (fields) => { success, error }
+ * @param {function} [onDelete]  - async () => { success, error }
+ * @param {function} onClose
+ */
+export default function ToneEditorModal({
+  visible,
+  tone = null,
+  takenNames = [],
+  onSave,
+  onDelete,
+  onClose,
+}) {
+  const { theme, isDarkMode } = useTheme();
+  const styles = createStyles(theme, isDarkMode);
+  const [name, setName] = useState("");
+  const [description, setDescription] = useState("");
+  const [examples, setExamples] = useState([""]);
+  const [doRules, setDoRules] = useState("");
+  const [dontRules, setDontRules] = useState("");
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    setName(tone?.name || "");
+    setDescription(tone?.description || "");
+    setExamples(tone?.examples?.length ? tone.examples : [""]);
+    setDoRules(toLines(tone?.doRules));
+    setDontRules(toLines(tone?.dontRules));
+    setError(null);
+  }, [visible, tone]);
+
+  const updateExample = (index, text) =>
+    setExamples((current) => current.map((e, i) => (i === index ? text : e)));
+
+  const removeExample = (index) =>
+    setExamples((current) =>
+      current.length === 1 ? [""] : current.filter((_, i) => i !== index),
+    );
+
+  const run = async (action) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      const result = await action();
+      if (result.success) onClose();
+      else setError(result.error || "Something went wrong. Please try again.");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    const validation = validateTone({ name, description }, takenNames);
+    if (!validation.isValid) {
+      setError(validation.error);
+      return;
+    }
+    run(() =>
+      onSave({
+        name,
+        description,
+        examples,
+        doRules: fromLines(doRules),
+        dontRules: fromLines(dontRules),
+      }),
+    );
+  };
+
+  const handleDelete = () =>
+    Alert.alert(
+      `Delete "${tone.name}"?`,
+      "Drafts written in this tone keep their text.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Delete", style: "destructive", onPress: () => run(onDelete) },
+      ],
+    );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === "ios" ? "padding" : undefined}
+      >
+        <View style={styles.sheet}>
+          <View style={styles.handle} />
+          <View style={styles.header}>
+            <Text style={styles.title}>{tone ? "Edit Tone" : "New Tone"}</Text>
+            <TouchableOpacity onPress={onClose} style={styles.closeBtn}>
+              <View style={styles.closeLine1} />
+              <View style={styles.closeLine2} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView
+            style={styles.form}
+            keyboardShouldPersistTaps="handled"
+            showsVerticalScrollIndicator={false}
+          >
+            <Text style={styles.label}>NAME</Text>
+            <TextInput
+              value={name}
+              onChangeText={setName}
+              placeholder="e.g. Founder Update"
+              placeholderTextColor={theme.textMuted}
+              maxLength={TONE_LIMITS.MAX_NAME_LENGTH}
+              style={styles.input}
+            />
+
+            <Text style={styles.label}>HOW IT SHOULD SOUND</Text>
+            <TextInput
+              value={description}
+              onChangeText={setDescription}
+              placeholder="e.g. Candid and upbeat, short sentences, speaks to other founders"
+              placeholderTextColor={theme.textMuted}
+              multiline
+              style={[styles.input, styles.inputMultiline]}
+            />
+
+            <Text style={styles.label}>EXAMPLE POSTS</Text>
+            <Text style={styles.hint}>
+              Paste posts that already sound right — the AI will match them.
+            </Text>
+            {examples.map((example, i) => (
+              <View key={i} style={styles.exampleRow}>
+                <TextInput
+                  value={example}
+                  onChangeText={(text) => updateExample(i, text)}
+                  placeholder={`Example ${i + 1}`}
+                  placeholderTextColor={theme.textMuted}
+                  multiline
+                  style={[
+                    styles.input,
+                    styles.inputMultiline,
+                    styles.exampleInput,
+                  ]}
+                />
+                <TouchableOpacity
+                  onPress={() => removeExample(i)}
+                  style={styles.removeBtn}
+                  activeOpacity={0.7}
+                >
+                  <Text style={styles.removeText}>✕</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+            {examples.length < TONE_LIMITS.MAX_EXAMPLES && (
+              <TouchableOpacity
+                onPress={() => setExamples((current) => [...current, ""])}
+                style={styles.addBtn}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.addText}>+ Add example</Text>
+              </TouchableOpacity>
+            )}
+
+            <Text style={styles.label}>DO</Text>
+            <TextInput
+              value={doRules}
+              onChangeText={setDoRules}
+              placeholder={"One rule per line\ne.g. End with a question"}
+              placeholderTextColor={theme.textMuted}
+              multiline
+              style={[styles.input, styles.inputMultiline]}
+            />
+
+            <Text style={styles.label}>{"DON'T"}</Text>
+            <TextInput
+              value={dontRules}
+              onChangeText={setDontRules}
+              placeholder={"One rule per line\ne.g. No emojis or hashtags"}
+              placeholderTextColor={theme.textMuted}
+              multiline
+              style={[styles.input, styles.inputMultiline]}
+            />
+          </ScrollView>
+
+          {error && <Text style={styles.errorText}>{error}</Text>}
+
+          <View style={styles.actions}>
+            {tone && onDelete && (
+              <TouchableOpacity
+                onPress={handleDelete}
+                style={styles.deleteBtn}
+                disabled={isSaving}
+                activeOpacity={0.7}
+              >
+                <Text style={styles.deleteText}>Delete</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              onPress={handleSave}
+              style={styles.saveBtn}
+              disabled={isSaving}
+              activeOpacity={0.85}
+            >
+              {isSaving ? (
+                <ActivityIndicator color="#fff" size="small" />
+              ) : (
+                <Text style={styles.saveText}>Save Tone</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const createStyles = (theme, isDarkMode) =>
+  StyleSheet.create({
+    overlay: {
+      flex: 1,
+      backgroundColor: theme.overlay,
+      justifyContent: "flex-end",
+    },
+    sheet: {
+      backgroundColor: theme.surface,
+      borderTopLeftRadius: 28,
+      borderTopRightRadius: 28,
+      padding: 24,
+      paddingBottom: 40,
+      maxHeight: "90%",
+    },
+    handle: {
+      width: 36,
+      height: 4,
+      borderRadius: 2,
+      backgroundColor: theme.border,
+      alignSelf: "center",
+      marginBottom: 20,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 12,
+    },
+    title: { fontSize: 18, fontWeight: "700", color: theme.text },
+    closeBtn: {
+      width: 28,
+      height: 28,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    closeLine1: {
+      position: "absolute",
+      width: 16,
+      height: 2,
+      backgroundColor: theme.textMuted,
+      borderRadius: 1,
+      transform: [{ rotate: "45deg" }],
+    },
+    closeLine2: {
+      position: "absolute",
+      width: 16,
+      height: 2,
+      backgroundColor: theme.textMuted,
+      borderRadius: 1,
+      transform: [{ rotate: "-45deg" }],
+    },
+    form: { flexGrow: 0 },
+    label: {
+      fontSize: 11,
+      fontWeight: "700",
+      letterSpacing: 1.2,
+      color: theme.textMuted,
+      marginTop: 14,
+      marginBottom: 8,
+    },
+    hint: { fontSize: 12, color: theme.textMuted, marginBottom: 8 },
+    input: {
+      padding: 12,
+      borderRadius: 12,
+      backgroundColor: theme.surfaceElevated,
+      borderWidth: 1,
+      borderColor: theme.border,
+      color: theme.text,
+      fontSize: 14,
+    },
+    inputMultiline: { minHeight: 72, textAlignVertical: "top" },
+    exampleRow: {
+      flexDirection: "row",
+      alignItems: "flex-start",
+      gap: 8,
+      marginBottom: 8,
+    },
+    exampleInput: { flex: 1 },
+    removeBtn: {
+      width: 30,
+      height: 30,
+      borderRadius: 10,
+      backgroundColor: isDarkMode ? theme.surfaceHigh : theme.bg,
+      justifyContent: "center",
+      alignItems: "center",
+    },
+    removeText: { fontSize: 13, fontWeight: "600", color: theme.textMuted },
+    addBtn: { paddingVertical: 6 },
+    addText: { fontSize: 13, fontWeight: "600", color: theme.primary },
+    errorText: { fontSize: 12, color: theme.danger, marginTop: 12 },
+    actions: { flexDirection: "row", gap: 10, marginTop: 16 },
+    deleteBtn: {
+      paddingVertical: 14,
+      paddingHorizontal: 18,
+      borderRadius: 14,
+      borderWidth: 1,
+      borderColor: `${theme.danger}40`,
+      alignItems: "center",
+    },
+    deleteText: { fontSize: 13, fontWeight: "700", color: theme.danger },
+    saveBtn: {
+      flex: 1,
+      padding: 14,
+      borderRadius: 14,
+      backgroundColor: theme.primary,
+      alignItems: "center",
+      shadowColor: theme.primary,
+      shadowOffset: { width: 0, height: 6 },
+      shadowOpacity: isDarkMode ? 0.4 : 0.2,
+      shadowRadius: 12,
+      elevation: 6,
+    },
+    saveText: { fontSize: 13, fontWeight: "700", color: "#fff" },
+  });
@@ -2,16 +2,26 @@
 import React from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, ScrollView } from 'react-native';
 import { useTheme } from '../context/UserContext';
-import { TONES, TONE_DESCRIPTIONS } from '../utils/constants';
+import { useTones } from '../context/ToneContext';
 
+/**
+ * Picks a tone from the built-in ones and the user's custom tones
+ *
+ * @param {Object}   props
+ * @param {string}   props.selectedTone - Tone name
+ * @param {function} props.onSelectTone - Called with the chosen name
+ * @param {function} [props.onManageTones] - Shows a "Custom" entry that calls this
+ */
 const ToneSelector = ({
   selectedTone = 'Professional',
   onSelectTone,
+  onManageTones = null,
   showDescriptions = false,
   layout = 'horizontal',
   label = null,
 }) => {
   const { theme, isDarkMode } = useTheme();
+  const { tones } = useTones();
   const styles = createStyles(theme, isDarkMode);
 
   if (layout === 'vertical') {
@@ -19,11 +29,11 @@ const ToneSelector = ({
       <View style={styles.container}>
         {label && <Text style={styles.label}>{label}</Text>}
         <View style={styles.verticalList}>
-          {TONES.map((tone) => {
+          {tones.map(({ id, name: tone, description }) => {
             const isSelected = selectedTone === tone;
             return (
               <TouchableOpacity
-                key={tone}
+                key={id}
                 onPress={() => onSelectTone?.(tone)}
                 style={[styles.verticalItem, isSelected && styles.verticalItemSelected]}
                 activeOpacity={0.72}
@@ -37,13 +47,22 @@ const ToneSelector = ({
                       {tone}
                     </Text>
                     {showDescriptions && (
-                      <Text style={styles.verticalItemDesc}>{TONE_DESCRIPTIONS[tone]}</Text>
+                      <Text style={styles.verticalItemDesc}>{description}</Text>
                     )}
                   </View>
                 </View>
               </TouchableOpacity>
             );
           })}
+          {onManageTones && (
+            <TouchableOpacity
+              onPress={onManageTones}
+              style={[styles.verticalItem, styles.manageItem]}
+              activeOpacity={0.72}
+            >
+              <Text style={styles.manageText}>+ Create a custom tone</Text>
+            </TouchableOpacity>
+          )}
         </View>
       </View>
     );
@@ -57,11 +76,11 @@ const ToneSelector = ({
         showsHorizontalScrollIndicator={false}
         contentContainerStyle={styles.horizontalList}
       >
-        {TONES.map((tone) => {
+        {tones.map(({ id, name: tone }) => {
           const isSelected = selectedTone === tone;
           return (
             <TouchableOpacity
-              key={tone}
+              key={id}
               onPress={() => onSelectTone?.(tone)}
               style={[styles.chip, isSelected && styles.chipSelected]}
               activeOpacity={0.72}
@@ -73,6 +92,15 @@ const ToneSelector = ({
             </TouchableOpacity>
           );
         })}
+        {onManageTones && (
+          <TouchableOpacity
+            onPress={onManageTones}
+            style={[styles.chip, styles.manageChip]}
+            activeOpacity={0.72}
+          >
+            <Text style={styles.manageText}>+ Custom</Text>
+          </TouchableOpacity>
+        )}
       </ScrollView>
     </View>
   );
@@ -105,6 +133,8 @@ const createStyles = (theme, isDarkMode) => StyleSheet.create({
   },
   chipText: { fontSize: 13, fontWeight: '500', color: theme.textMuted },
   chipTextSelected: { fontWeight: '600', color: theme.primary },
+  manageChip: { borderStyle: 'dashed' },
+  manageText: { fontSize: 13, fontWeight: '600', color: theme.textSecondary },
 
   // Vertical
   verticalList: { gap: 8 },
@@ -132,6 +162,7 @@ const createStyles = (theme, isDarkMode) => StyleSheet.create({
   verticalItemLabel: { fontSize: 14, fontWeight: '500', color: theme.text },
   verticalItemLabelSelected: { fontWeight: '700', color: theme.primary },
   verticalItemDesc: { fontSize: 12, color: theme.textMuted, marginTop: 3, lineHeight: 17 },
+  manageItem: { borderStyle: 'dashed', alignItems: 'center' },
 });
 
 export default ToneSelector;
\ No newline at end of file
@@ -0,0 +1,136 @@
+// src/components/TranslatePanel.js
+
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ActivityIndicator,
+} from "react-native";
+import { useTheme } from "../context/UserContext";
+import { formatLanguage } from "../utils/validators";
+import {
+  TRANSCRIPTION_LANGUAGES,
+  AUTO_DETECT_LANGUAGE,
+} from "../utils/constants";
+import LanguageSelector from "./LanguageSelector";
+
+/**
+ * Translate the draft into another language, and jump between the
+ * drafts already linked to it.
+ *
+ * @param {Object}   draft        - The draft open in the editor
+ * @param {Object[]} linkedDrafts - Its original and other translations
+ * @param {string}   tone         - Kept in the translation
+ * @param {function} onTranslate  - async (languageCode)
+ * @param {function} onOpen       - (draft)
+ */
+export default function TranslatePanel({
+  draft,
+  linkedDrafts,
+  tone,
+  onTranslate,
+  onOpen,
+}) {
+  const { theme } = useTheme();
+  const styles = createStyles(theme);
+  const [translatingTo, setTranslatingTo] = useState(null);
+
+  const languages = TRANSCRIPTION_LANGUAGES.filter(
+    (l) => l.code !== AUTO_DETECT_LANGUAGE && l.code !== draft.language,
+  );
+
+  const handleSelect = async (code) => {
+    if (translatingTo) return;
+    setTranslatingTo(code);
+    try {
+      await onTranslate(code);
+    } finally {
+      setTranslatingTo(null);
+    }
+  };
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.label}>TRANSLATE INTO</Text>
+      <LanguageSelector
+        selectedLanguage={translatingTo}
+        onSelectLanguage={handleSelect}
+        languages={languages}
+      />
+      {translatingTo ? (
+        <View style={styles.statusRow}>
+          <ActivityIndicator color={theme.primary} size="small" />
+          <Text style={styles.hint}>
+            Translating into {formatLanguage(translatingTo)}…
+          </Text>
+        </View>
+      ) : (
+        <Text style={styles.hint}>
+          Keeps the {tone} tone and opens as a new linked draft.
+        </Text>
+      )}
+
+      {linkedDrafts.length > 0 && (
+        <>
+          <View style={styles.divider} />
+          <Text style={styles.label}>LINKED DRAFTS</Text>
+          {linkedDrafts.map((linked) => (
+            <TouchableOpacity
+              key={linked.id}
+              onPress={() => onOpen(linked)}
+              style={styles.linkRow}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.linkLanguage}>
+                {linked.translationOf
+                  ? formatLanguage(linked.language)
+                  : "Original"}
+              </Text>
+              <Text style={styles.linkTitle} numberOfLines={1}>
+                {linked.title || "Untitled draft"}
+              </Text>
+              <Text style={styles.linkChevron}>›</Text>
+            </TouchableOpacity>
+          ))}
+        </>
+      )}
+    </View>
+  );
+}
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    card: {
+      padding: 14,
+      gap: 10,
+      borderRadius: 16,
+      backgroundColor: theme.surface,
+      borderWidth: 1,
+      borderColor: theme.border,
+    },
+    label: {
+      fontSize: 11,
+      fontWeight: "700",
+      letterSpacing: 1.2,
+      color: theme.textMuted,
+    },
+    statusRow: { flexDirection: "row", alignItems: "center", gap: 8 },
+    hint: { fontSize: 12, color: theme.textMuted },
+    divider: { height: 1, backgroundColor: theme.border },
+    linkRow: {
+      flexDirection: "row",
+      alignItems: "center",
+      gap: 8,
+      paddingVertical: 4,
+    },
+    linkLanguage: {
+      minWidth: 72,
+      fontSize: 12,
+      fontWeight: "600",
+      color: theme.primary,
+    },
+    linkTitle: { flex: 1, fontSize: 13, color: theme.textSecondary },
+    linkChevron: { fontSize: 16, color: theme.textMuted },
+  });
@@ -0,0 +1,224 @@
+// src/components/VariantPicker.js
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+} from "react-native";
+import { useTheme } from "../context/UserContext";
+
+/**
+ * Swipeable cards of alternative refinements, shown after recording.
+ *
+ * @param {boolean}  visible
+ * @param {Object[]} variants   - [{ label, text }]; empty while loading
+ * @param {boolean}  isLoading
+ * @param {function} onChoose   - async (variant) => void
+ * @param {function} onSkip     - Keep the draft as it is
+ */
+export default function VariantPicker({
+  visible,
+  variants = [],
+  isLoading = false,
+  onChoose,
+  onSkip,
+}) {
+  const { theme, isDarkMode } = useTheme();
+  const styles = createStyles(theme, isDarkMode);
+  const [pageWidth, setPageWidth] = useState(0);
+  const [index, setIndex] = useState(0);
+  const [isChoosing, setIsChoosing] = useState(false);
+
+  useEffect(() => {
+    if (visible) setIndex(0);
+  }, [visible, variants]);
+
+  const handleScroll = (e) => {
+    if (!pageWidth) return;
+    setIndex(Math.round(e.nativeEvent.contentOffset.x / pageWidth));
+  };
+
+  const handleChoose = async () => {
+    const variant = variants[index];
+    if (!variant) return;
+    setIsChoosing(true);
+    try {
+      await onChoose(variant);
+    } finally {
+      setIsChoosing(false);
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent
+      onRequestClose={onSkip}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <View style={styles.handle} />
+          <View style={styles.header}>
+            <Text style={styles.title}>Pick a Version</Text>
+            <TouchableOpacity
+              onPress={onSkip}
+              disabled={isChoosing}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.skipText}>Skip</Text>
+            </TouchableOpacity>
+          </View>
+
+          {isLoading ? (
+            <View style={styles.loading}>
+              <ActivityIndicator color={theme.primary} />
+              <Text style={styles.loadingText}>Writing a few versions...</Text>
+            </View>
+          ) : (
+            <>
+              <View
+                style={styles.pager}
+                onLayout={(e) => setPageWidth(e.nativeEvent.layout.width)}
+              >
+                <ScrollView
+                  horizontal
+                  pagingEnabled
+                  showsHorizontalScrollIndicator={false}
+                  onMomentumScrollEnd={handleScroll}
+                >
+                  {variants.map((variant, i) => (
+                    <View key={i} style={[styles.page, { width: pageWidth }]}>
+                      <View style={styles.card}>
+                        <Text style={styles.cardLabel}>{variant.label}</Text>
+                        <ScrollView
+                          style={styles.cardBody}
+                          nestedScrollEnabled
+                          showsVerticalScrollIndicator={false}
+                        >
+                          <Text style={styles.cardText}>{variant.text}</Text>
+                        </ScrollView>
+                      </View>
+                    </View>
+                  ))}
+                </ScrollView>
+              </View>
+
+              <View style={styles.dots}>
+                {variants.map((variant, i) => (
+                  <View
+                    key={i}
+                    style={[styles.dot, i === index && styles.dotActive]}
+                  />
+                ))}
+              </View>
+
+              <TouchableOpacity
+                onPress={handleChoose}
+                style={styles.chooseBtn}
+                disabled={isChoosing}
+                activeOpacity={0.85}
+              >
+                {isChoosing ? (
+                  <ActivityIndicator color="#fff" />
+                ) : (
+                  <Text style={styles.chooseBtnText}>Use this version</Text>
+                )}
+              </TouchableOpacity>
+              <Text style={styles.hint}>
+                {"The others stay in the draft's history."}
+              </Text>
+            </>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const createStyles = (theme, isDarkMode) =>
+  StyleSheet.create({
+    overlay: {
+      flex: 1,
+      backgroundColor: theme.overlay,
+      justifyContent: "flex-end",
+    },
+    sheet: {
+      backgroundColor: theme.surface,
+      borderTopLeftRadius: 28,
+      borderTopRightRadius: 28,
+      padding: 24,
+      paddingBottom: 40,
+      maxHeight: "90%",
+    },
+    handle: {
+      width: 36,
+      height: 4,
+      borderRadius: 2,
+      backgroundColor: theme.border,
+      alignSelf: "center",
+      marginBottom: 20,
+    },
+    header: {
+      flexDirection: "row",
+      justifyContent: "space-between",
+      alignItems: "center",
+      marginBottom: 16,
+    },
+    title: { fontSize: 18, fontWeight: "700", color: theme.text },
+    skipText: { fontSize: 14, fontWeight: "600", color: theme.textMuted },
+    loading: { alignItems: "center", paddingVertical: 48, gap: 12 },
+    loadingText: { fontSize: 13, color: theme.textMuted },
+    pager: { height: 320 },
+    page: { paddingHorizontal: 2 },
+    card: {
+      flex: 1,
+      padding: 16,
+      borderRadius: 18,
+      backgroundColor: isDarkMode ? theme.surfaceElevated : theme.bg,
+      borderWidth: 1,
+      borderColor: theme.border,
+    },
+    cardLabel: {
+      fontSize: 11,
+      fontWeight: "700",
+      letterSpacing: 1.2,
+      color: theme.primary,
+      textTransform: "uppercase",
+      marginBottom: 10,
+    },
+    cardBody: { flex: 1 },
+    cardText: { fontSize: 15, lineHeight: 22, color: theme.text },
+    dots: {
+      flexDirection: "row",
+      justifyContent: "center",
+      gap: 6,
+      marginTop: 14,
+    },
+    dot: {
+      width: 6,
+      height: 6,
+      borderRadius: 3,
+      backgroundColor: theme.border,
+    },
+    dotActive: { width: 18, backgroundColor: theme.primary },
+    chooseBtn: {
+      marginTop: 18,
+      paddingVertical: 15,
+      borderRadius: 16,
+      backgroundColor: theme.primary,
+      alignItems: "center",
+    },
+    chooseBtnText: { fontSize: 15, fontWeight: "700", color: "#fff" },
+    hint: {
+      fontSize: 12,
+      color: theme.textMuted,
+      textAlign: "center",
+      marginTop: 10,
+    },
+  });
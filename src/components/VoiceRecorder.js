@@ -9,23 +9,34 @@ import {
 } from "react";
 import {
   Animated,
+  AppState,
   StyleSheet,
   Text,
   TouchableOpacity,
   View,
 } from "react-native";
-import { useTheme } from "../context/UserContext";
+import { useTheme, useUser } from "../context/UserContext";
 import { RECORDING_CONFIG } from "../utils/constants";
 import { formatDuration, validateRecordingDuration } from "../utils/validators";
+import { isSilent, normalizeMetering } from "../utils/audio";
+import recoveryService from "../services/recoveryService";
+import { useStreamingTranscription } from "../hooks/useStreamingTranscription";
+import CountdownRing from "./CountdownRing";
 
 const PHASES = {
   IDLE: "idle",
   RECORDING: "recording",
+  PAUSED: "paused",
   PROCESSING: "processing",
   DONE: "done",
   ERROR: "error",
 };
 
+const TIMER_TICK_MS = 250;
+const WAVEFORM_BARS = 20;
+const BAR_MIN_HEIGHT = 3;
+const BAR_MAX_HEIGHT = 31;
+
 const VoiceRecorder = forwardRef(
   (
     {
@@ -35,24 +46,72 @@ const VoiceRecorder = forwardRef(
       onError,
       onReviewPost,
       processingMessage = "Refining your post...",
+      // Return to idle after each take instead of processing it, so the
+      // parent can collect several takes and process them together
+      collectSegments = false,
+      maxDurationMs = RECORDING_CONFIG.MAX_DURATION_MS,
+      idleHint = "Tap to start recording",
+      // Transcribe in chunks while recording and show the text as it comes.
+      // Stopping hands over { uri, durationMs, chunks } and goes straight
+      // to processing, chunks carrying the text transcribed so far.
+      streamTranscript = false,
+      language, // spoken language code or "auto", for live transcription
+      // Keep a marker while recording so a take cut short by a crash or
+      // the OS can be recovered on the next launch
+      recoverable = false,
     },
     ref,
   ) => {
     const { theme, isDarkMode } = useTheme();
     const styles = createStyles(theme, isDarkMode);
+    const { autoStopEnabled, autoStopSilenceMs } = useUser();
+    const streaming = useStreamingTranscription({ language });
 
     const [phase, setPhase] = useState(PHASES.IDLE);
     const [duration, setDuration] = useState(0);
     const [errorMessage, setErrorMessage] = useState(null);
+    const [isInputQuiet, setIsInputQuiet] = useState(false);
+    // Fraction of the silence auto-stop countdown left, null when not counting
+    const [autoStopRemaining, setAutoStopRemaining] = useState(null);
+    const [wasInterrupted, setWasInterrupted] = useState(false);
 
     const recordingRef = useRef(null);
+    const recoverableRef = useRef(recoverable);
+    recoverableRef.current = recoverable;
+    // Status callbacks and AppState events need the phase without waiting
+    // for a re-render
+    const phaseRef = useRef(PHASES.IDLE);
+    const interruptRef = useRef(null);
+    // Recordings keep the status callback they were prepared with, so it
+    // goes through a ref to see the current props
+    const statusRef = useRef(null);
+    const lastMarkerAtRef = useRef(0);
     const lastRecordingUriRef = useRef(null);
     const durationIntervalRef = useRef(null);
+    // Elapsed time is kept in refs, not state, so timers never read a
+    // stale value: time banked from earlier segments + the running one
+    const accumulatedMsRef = useRef(0);
+    const segmentStartedAtRef = useRef(null);
     const pulseAnim = useRef(new Animated.Value(1)).current;
     const pulseOpacity = useRef(new Animated.Value(0.4)).current;
     const waveformValues = useRef(
-      Array.from({ length: 20 }, () => new Animated.Value(3)),
+      Array.from(
+        { length: WAVEFORM_BARS },
+        () => new Animated.Value(BAR_MIN_HEIGHT),
+      ),
     ).current;
+    // Most recent mic levels (0–1), oldest first, one per bar
+    const levelsRef = useRef(new Array(WAVEFORM_BARS).fill(0));
+    const lastHeardAtRef = useRef(0);
+    const isInputQuietRef = useRef(false);
+    const speechMsRef = useRef(0);
+    // Live transcription: where the current chunk began, and the chunk
+    // cut in flight (stopping the file and starting the next one)
+    const chunkStartedAtRef = useRef(0);
+    const chunkCutRef = useRef(null);
+    // Chunks of this take already cut, { uri, durationMs }, for the marker
+    const cutChunksRef = useRef([]);
+    const isStoppingRef = useRef(false);
     const dotAnim = useRef([
       new Animated.Value(0.3),
       new Animated.Value(0.3),
@@ -60,6 +119,7 @@ const VoiceRecorder = forwardRef(
     ]).current;
 
     useImperativeHandle(ref, () => ({
+      setProcessing: () => setPhase(PHASES.PROCESSING),
       setDone: () => setPhase(PHASES.DONE),
       setError: (msg) => {
         setErrorMessage(msg || "Processing failed");
@@ -73,14 +133,23 @@ const VoiceRecorder = forwardRef(
       },
     }));
 
+    useEffect(() => {
+      phaseRef.current = phase;
+    }, [phase]);
+
     useEffect(() => {
       Audio.requestPermissionsAsync();
       return () => {
         if (durationIntervalRef.current)
           clearInterval(durationIntervalRef.current);
         if (recordingRef.current) {
-          recordingRef.current.stopAndUnloadAsync().catch(() => {});
+          // Unmounting is a deliberate exit (closing the screen or modal),
+          // not an interruption, so there's nothing to offer back later
+          const recording = recordingRef.current;
+          recording.setOnRecordingStatusUpdate(null);
+          recording.stopAndUnloadAsync().catch(() => {});
           recordingRef.current = null;
+          clearMarker();
         }
         setPhase(PHASES.IDLE);
         setDuration(0);
@@ -118,19 +187,7 @@ const VoiceRecorder = forwardRef(
           ]),
         );
         pulse.start();
-        const waveInterval = setInterval(() => {
-          waveformValues.forEach((anim) => {
-            Animated.timing(anim, {
-              toValue: Math.random() * 28 + 3,
-              duration: 120,
-              useNativeDriver: false,
-            }).start();
-          });
-        }, 120);
-        return () => {
-          pulse.stop();
-          clearInterval(waveInterval);
-        };
+        return () => pulse.stop();
       }
       if (phase === PHASES.PROCESSING) {
         dotAnim.forEach((anim, i) => {
@@ -155,6 +212,246 @@ const VoiceRecorder = forwardRef(
       }
     }, [phase]);
 
+    // The OS stops the mic once we're in the background, so pause cleanly
+    useEffect(() => {
+      const subscription = AppState.addEventListener("change", (state) => {
+        if (state === "background") interruptRef.current?.();
+      });
+      return () => subscription.remove();
+    }, []);
+
+    // Every file of the take so far: chunks already cut, then the one
+    // still recording
+    const saveMarker = (durationMs) => {
+      if (!recoverableRef.current || !recordingRef.current) return;
+      lastMarkerAtRef.current = Date.now();
+      recoveryService.saveRecordingMarker({
+        chunks: [
+          ...cutChunksRef.current,
+          {
+            uri: recordingRef.current.getURI(),
+            durationMs: durationMs - chunkStartedAtRef.current,
+          },
+        ],
+        durationMs,
+      });
+    };
+
+    const clearMarker = () => {
+      if (recoverableRef.current) recoveryService.clearRecordingMarker();
+    };
+
+    /**
+     * A call, another app taking the mic or going to the background.
+     * The take so far is kept and the recorder waits in PAUSED.
+     */
+    const handleInterruption = async () => {
+      if (phaseRef.current !== PHASES.RECORDING || !recordingRef.current)
+        return;
+      phaseRef.current = PHASES.PAUSED;
+      await chunkCutRef.current;
+      try {
+        await recordingRef.current.pauseAsync();
+      } catch {
+        // Already stopped by the OS
+      }
+      const durationMs = freezeTimer();
+      setInputQuiet(false);
+      setAutoStopRemaining(null);
+      setWasInterrupted(true);
+      setPhase(PHASES.PAUSED);
+      saveMarker(durationMs);
+    };
+    interruptRef.current = handleInterruption;
+
+    const setInputQuiet = (quiet) => {
+      if (isInputQuietRef.current === quiet) return;
+      isInputQuietRef.current = quiet;
+      setIsInputQuiet(quiet);
+    };
+
+    const resetMeter = () => {
+      levelsRef.current = new Array(WAVEFORM_BARS).fill(0);
+      waveformValues.forEach((anim) => anim.setValue(BAR_MIN_HEIGHT));
+      lastHeardAtRef.current = Date.now();
+      speechMsRef.current = 0;
+      setInputQuiet(false);
+      setAutoStopRemaining(null);
+    };
+
+    /**
+     * Ends the recording once the speaker has said something and then
+     * gone quiet for the configured time. Short pauses between
+     * sentences don't show the countdown at all.
+     */
+    const updateAutoStop = (silentForMs) => {
+      if (
+        !autoStopEnabled ||
+        speechMsRef.current < RECORDING_CONFIG.AUTO_STOP_MIN_SPEECH_MS
+      ) {
+        setAutoStopRemaining(null);
+        return;
+      }
+      if (silentForMs >= autoStopSilenceMs) {
+        stopRecording();
+        return;
+      }
+      setAutoStopRemaining(
+        silentForMs >= RECORDING_CONFIG.AUTO_STOP_COUNTDOWN_DELAY_MS
+          ? 1 - silentForMs / autoStopSilenceMs
+          : null,
+      );
+    };
+
+    /**
+     * Drives the waveform from the mic level, flags a silent mic and
+     * feeds the silence auto-stop. Platforms without metering leave the
+     * bars flat and never warn or auto-stop.
+     */
+    const handleRecordingStatus = (status) => {
+      if (!status.isRecording) {
+        // Stopped underneath us while we think we're recording
+        if (!status.isDoneRecording) handleInterruption();
+        return;
+      }
+      if (status.metering === undefined) return;
+
+      const level = normalizeMetering(status.metering);
+      levelsRef.current = [...levelsRef.current.slice(1), level];
+      waveformValues.forEach((anim, i) => {
+        Animated.timing(anim, {
+          toValue:
+            BAR_MIN_HEIGHT +
+            levelsRef.current[i] * (BAR_MAX_HEIGHT - BAR_MIN_HEIGHT),
+          duration: RECORDING_CONFIG.METERING_INTERVAL_MS,
+          useNativeDriver: false,
+        }).start();
+      });
+
+      const now = Date.now();
+      if (!isSilent(status.metering)) {
+        lastHeardAtRef.current = now;
+        speechMsRef.current += RECORDING_CONFIG.METERING_INTERVAL_MS;
+      }
+      const silentForMs = now - lastHeardAtRef.current;
+      setInputQuiet(silentForMs >= RECORDING_CONFIG.NO_INPUT_WARNING_MS);
+      updateAutoStop(silentForMs);
+      if (streamTranscript) maybeCutChunk(silentForMs);
+    };
+    statusRef.current = handleRecordingStatus;
+
+    const prepareRecording = async () => {
+      const recording = new Audio.Recording();
+      await recording.prepareToRecordAsync({
+        ...Audio.RecordingOptionsPresets.HIGH_QUALITY,
+        isMeteringEnabled: true,
+      });
+      recording.setProgressUpdateInterval(
+        RECORDING_CONFIG.METERING_INTERVAL_MS,
+      );
+      // A prepared recording reports not recording until it's started and
+      // becomes the current one, which isn't an interruption
+      recording.setOnRecordingStatusUpdate((status) => {
+        if (recording === recordingRef.current) statusRef.current(status);
+      });
+      return recording;
+    };
+
+    /**
+     * Live transcription works on finished files, so the recording is cut
+     * into chunks as it goes. Only one recording can be open at a time and
+     * whatever is said while switching files is lost, so cuts only happen
+     * when it's quiet: at a pause, or after a long chunk at the first
+     * silent moment. Without one the chunk simply keeps recording.
+     */
+    const maybeCutChunk = (silentForMs) => {
+      if (
+        chunkCutRef.current ||
+        isStoppingRef.current ||
+        phaseRef.current !== PHASES.RECORDING
+      )
+        return;
+      const chunkMs = getElapsedMs() - chunkStartedAtRef.current;
+      const isPause = silentForMs >= RECORDING_CONFIG.STREAM_CUT_PAUSE_MS;
+      if (
+        (isPause && chunkMs >= RECORDING_CONFIG.STREAM_CHUNK_MIN_MS) ||
+        (silentForMs > 0 && chunkMs >= RECORDING_CONFIG.STREAM_CHUNK_MAX_MS)
+      ) {
+        chunkCutRef.current = cutChunk().finally(() => {
+          chunkCutRef.current = null;
+        });
+      }
+    };
+
+    const cutChunk = async () => {
+      const previous = recordingRef.current;
+      try {
+        previous.setOnRecordingStatusUpdate(null);
+        await previous.stopAndUnloadAsync();
+        // The clock only counts what was recorded, not the switch-over
+        const cutAt = freezeTimer();
+        const chunk = {
+          uri: previous.getURI(),
+          durationMs: cutAt - chunkStartedAtRef.current,
+        };
+        streaming.addChunk(chunk);
+        cutChunksRef.current = [...cutChunksRef.current, chunk];
+        chunkStartedAtRef.current = cutAt;
+
+        const next = await prepareRecording();
+        await next.startAsync();
+        recordingRef.current = next;
+        saveMarker(cutAt);
+        if (phaseRef.current === PHASES.RECORDING) startTimer();
+      } catch (error) {
+        stopTimer();
+        recordingRef.current = null;
+        setErrorMessage(error.message || "Failed to continue recording");
+        setPhase(PHASES.ERROR);
+        onError?.(error);
+      }
+    };
+
+    const getElapsedMs = () =>
+      accumulatedMsRef.current +
+      (segmentStartedAtRef.current
+        ? Date.now() - segmentStartedAtRef.current
+        : 0);
+
+    const stopTimer = () => {
+      if (durationIntervalRef.current) {
+        clearInterval(durationIntervalRef.current);
+        durationIntervalRef.current = null;
+      }
+    };
+
+    const startTimer = () => {
+      stopTimer();
+      segmentStartedAtRef.current = Date.now();
+      durationIntervalRef.current = setInterval(() => {
+        const elapsed = getElapsedMs();
+        setDuration(elapsed);
+        if (
+          Date.now() - lastMarkerAtRef.current >=
+          RECORDING_CONFIG.MARKER_SAVE_INTERVAL_MS
+        ) {
+          saveMarker(elapsed);
+        }
+        if (elapsed >= maxDurationMs) stopRecording();
+      }, TIMER_TICK_MS);
+    };
+
+    /**
+     * Bank the running segment's time and stop the clock
+     */
+    const freezeTimer = () => {
+      stopTimer();
+      accumulatedMsRef.current = getElapsedMs();
+      segmentStartedAtRef.current = null;
+      setDuration(accumulatedMsRef.current);
+      return accumulatedMsRef.current;
+    };
+
     const startRecording = async () => {
       try {
         setErrorMessage(null);
@@ -173,11 +470,11 @@ const VoiceRecorder = forwardRef(
           playsInSilentModeIOS: true,
         });
 
-        const recording = new Audio.Recording();
-
-        await recording.prepareToRecordAsync(
-          Audio.RecordingOptionsPresets.HIGH_QUALITY,
-        );
+        const recording = await prepareRecording();
+        resetMeter();
+        streaming.reset();
+        chunkStartedAtRef.current = 0;
+        cutChunksRef.current = [];
 
         await recording.startAsync();
 
@@ -186,14 +483,11 @@ const VoiceRecorder = forwardRef(
         recordingRef.current = recording;
         setPhase(PHASES.RECORDING);
         setDuration(0);
+        setWasInterrupted(false);
+        accumulatedMsRef.current = 0;
+        saveMarker(0);
         onRecordingStart?.();
-        durationIntervalRef.current = setInterval(() => {
-          setDuration((prev) => {
-            const next = prev + 1000;
-            if (next >= RECORDING_CONFIG.MAX_DURATION_MS) stopRecording();
-            return next;
-          });
-        }, 1000);
+        startTimer();
       } catch (error) {
         console.log("START RECORDING ERROR:", error); // 👈 ADD THIS
         setErrorMessage(error.message || "Failed to start recording");
@@ -202,20 +496,57 @@ const VoiceRecorder = forwardRef(
       }
     };
 
+    const pauseRecording = async () => {
+      if (!recordingRef.current) return;
+      phaseRef.current = PHASES.PAUSED;
+      try {
+        await chunkCutRef.current;
+        await recordingRef.current.pauseAsync();
+        saveMarker(freezeTimer());
+        setInputQuiet(false);
+        setAutoStopRemaining(null);
+        setPhase(PHASES.PAUSED);
+      } catch (error) {
+        setErrorMessage(error.message || "Failed to pause recording");
+        setPhase(PHASES.ERROR);
+        onError?.(error);
+      }
+    };
+
+    const resumeRecording = async () => {
+      if (!recordingRef.current) return;
+      try {
+        await recordingRef.current.startAsync();
+        lastHeardAtRef.current = Date.now();
+        startTimer();
+        setWasInterrupted(false);
+        setPhase(PHASES.RECORDING);
+      } catch (error) {
+        setErrorMessage(error.message || "Failed to resume recording");
+        setPhase(PHASES.ERROR);
+        onError?.(error);
+      }
+    };
+
     const stopRecording = async () => {
       console.log("STOP RECORDING CALLED"); // 👈 MUST appear
+      if (!recordingRef.current || isStoppingRef.current) return;
+      isStoppingRef.current = true;
       try {
-        if (durationIntervalRef.current) {
-          clearInterval(durationIntervalRef.current);
-          durationIntervalRef.current = null;
-        }
+        // Let a chunk cut finish so we stop the file that's recording now
+        await chunkCutRef.current;
         if (!recordingRef.current) return;
-        const validation = validateRecordingDuration(duration);
+        // No more level updates, so auto-stop can't fire a second time
+        recordingRef.current.setOnRecordingStatusUpdate(null);
+        setAutoStopRemaining(null);
+        const durationMs = freezeTimer();
+        const validation = validateRecordingDuration(durationMs);
         if (!validation.isValid) {
           setErrorMessage(validation.error);
           setPhase(PHASES.ERROR);
           await recordingRef.current.stopAndUnloadAsync();
           recordingRef.current = null;
+          clearMarker();
           return;
         }
         const recording = recordingRef.current;
@@ -223,31 +554,65 @@ const VoiceRecorder = forwardRef(
         await recording.stopAndUnloadAsync();
 
         const uri = recording.getURI();
+        recordingRef.current = null;
+        // Handed off from here on — nothing left to recover
+        clearMarker();
+
+        if (streamTranscript) {
+          streaming.addChunk({
+            uri,
+            durationMs: durationMs - chunkStartedAtRef.current,
+          });
+          accumulatedMsRef.current = 0;
+          setPhase(PHASES.PROCESSING);
+          onProcessingStart?.();
+          const chunks = await streaming.finish(
+            RECORDING_CONFIG.STREAM_FINISH_TIMEOUT_MS,
+          );
+          onRecordingComplete?.({ uri, durationMs, chunks });
+          return;
+        }
+
+        if (collectSegments) {
+          accumulatedMsRef.current = 0;
+          setPhase(PHASES.IDLE);
+          setDuration(0);
+          onRecordingComplete?.({ uri, durationMs });
+          return;
+        }
+
         lastRecordingUriRef.current = uri;
 
         console.log("FINAL URI:", uri); // 👈 ADD THIS
 
-        recordingRef.current = null;
         setPhase(PHASES.PROCESSING);
         onProcessingStart?.();
-        onRecordingComplete?.({ uri, durationMs: duration });
-        console.log("SENDING RECORDING:", { uri, duration });
+        onRecordingComplete?.({ uri, durationMs });
+        console.log("SENDING RECORDING:", { uri, durationMs });
       } catch (error) {
         setErrorMessage(error.message || "Failed to stop recording");
         setPhase(PHASES.ERROR);
         onError?.(error);
+      } finally {
+        isStoppingRef.current = false;
       }
     };
 
     const cancelRecording = async () => {
-      if (durationIntervalRef.current)
-        clearInterval(durationIntervalRef.current);
+      phaseRef.current = PHASES.IDLE;
+      stopTimer();
+      await chunkCutRef.current;
+      segmentStartedAtRef.current = null;
+      accumulatedMsRef.current = 0;
+      setAutoStopRemaining(null);
       if (recordingRef.current) {
+        recordingRef.current.setOnRecordingStatusUpdate(null);
         try {
           await recordingRef.current.stopAndUnloadAsync();
         } catch (e) {}
         recordingRef.current = null;
       }
+      clearMarker();
       setPhase(PHASES.IDLE);
       setDuration(0);
       setErrorMessage(null);
@@ -259,7 +624,7 @@ const VoiceRecorder = forwardRef(
       if (phase === PHASES.IDLE) {
         console.log("→ STARTING RECORDING");
         startRecording();
-      } else if (phase === PHASES.RECORDING) {
+      } else if (phase === PHASES.RECORDING || phase === PHASES.PAUSED) {
         console.log("→ STOPPING RECORDING");
         stopRecording();
       } else if (phase === PHASES.DONE) {
@@ -270,7 +635,7 @@ const VoiceRecorder = forwardRef(
 
     const renderIdle = () => (
       <View style={styles.stateWrap}>
-        <Text style={styles.idleHint}>Tap to start recording</Text>
+        <Text style={styles.idleHint}>{idleHint}</Text>
         <TouchableOpacity
           onPress={handlePress}
           style={styles.mainButton}
@@ -288,51 +653,120 @@ const VoiceRecorder = forwardRef(
       </View>
     );
 
-    const renderRecording = () => (
-      <View style={styles.stateWrap}>
-        <View style={styles.durationRow}>
-          <View style={styles.recDot} />
-          <Text style={styles.durationText}>{formatDuration(duration)}</Text>
-        </View>
-        <View style={styles.pulseWrap}>
-          <Animated.View
-            style={[
-              styles.pulseRing,
-              styles.pulseRing1,
-              { transform: [{ scale: pulseAnim }], opacity: pulseOpacity },
-            ]}
-          />
-          <Animated.View
-            style={[
-              styles.pulseRing,
-              styles.pulseRing2,
-              { transform: [{ scale: pulseAnim }], opacity: pulseOpacity },
-            ]}
-          />
-          <TouchableOpacity
-            onPress={handlePress}
-            style={styles.stopButton}
-            activeOpacity={0.85}
-          >
-            <View style={styles.stopIcon} />
-          </TouchableOpacity>
-        </View>
-        <View style={styles.waveform}>
-          {waveformValues.map((anim, i) => (
-            <Animated.View
-              key={i}
-              style={[
-                styles.waveBar,
-                { height: anim, opacity: 0.5 + (i % 3) * 0.15 },
-              ]}
-            />
-          ))}
+    const renderRecording = (isPaused = false) => {
+      const isCountingDown = !isPaused && autoStopRemaining !== null;
+      return (
+        <View style={styles.stateWrap}>
+          <View style={styles.durationRow}>
+            <View style={[styles.recDot, isPaused && styles.recDotPaused]} />
+            <Text style={styles.durationText}>{formatDuration(duration)}</Text>
+            {isPaused && <Text style={styles.pausedLabel}>Paused</Text>}
+          </View>
+          <View style={styles.pulseWrap}>
+            {isCountingDown && (
+              <CountdownRing
+                remaining={autoStopRemaining}
+                size={104}
+                color={theme.danger}
+                trackColor={theme.border}
+              />
+            )}
+            {!isPaused && !isCountingDown && (
+              <>
+                <Animated.View
+                  style={[
+                    styles.pulseRing,
+                    styles.pulseRing1,
+                    {
+                      transform: [{ scale: pulseAnim }],
+                      opacity: pulseOpacity,
+                    },
+                  ]}
+                />
+                <Animated.View
+                  style={[
+                    styles.pulseRing,
+                    styles.pulseRing2,
+                    {
+                      transform: [{ scale: pulseAnim }],
+                      opacity: pulseOpacity,
+                    },
+                  ]}
+                />
+              </>
+            )}
+            <TouchableOpacity
+              onPress={handlePress}
+              style={styles.stopButton}
+              activeOpacity={0.85}
+            >
+              <View style={styles.stopIcon} />
+            </TouchableOpacity>
+          </View>
+          <View style={styles.waveform}>
+            {waveformValues.map((anim, i) => (
+              <Animated.View
+                key={i}
+                style={[
+                  styles.waveBar,
+                  { height: anim, opacity: 0.5 + (i % 3) * 0.15 },
+                ]}
+              />
+            ))}
+          </View>
+          {streamTranscript && (
+            <View style={styles.liveTranscript}>
+              <Text
+                style={[
+                  styles.liveTranscriptText,
+                  !streaming.partialText && styles.liveTranscriptPlaceholder,
+                ]}
+                numberOfLines={3}
+                ellipsizeMode="head"
+              >
+                {streaming.partialText ||
+                  "Listening · your words will appear here"}
+              </Text>
+            </View>
+          )}
+          {isPaused && wasInterrupted && (
+            <Text style={styles.quietWarning}>
+              Interrupted by a call or another app · resume when ready
+            </Text>
+          )}
+          {isCountingDown ? (
+            <Text style={styles.autoStopHint}>
+              Stopping in{" "}
+              {Math.ceil((autoStopRemaining * autoStopSilenceMs) / 1000)}s ·
+              keep talking to continue
+            </Text>
+          ) : (
+            isInputQuiet && (
+              <Text style={styles.quietWarning}>
+                {"We can't hear you — check your mic or move closer"}
+              </Text>
+            )
+          )}
+          <View style={styles.controlsRow}>
+            <TouchableOpacity
+              onPress={isPaused ? resumeRecording : pauseRecording}
+              style={styles.pauseBtn}
+              activeOpacity={0.7}
+            >
+              <Text style={styles.pauseText}>
+                {isPaused ? "Resume" : "Pause"}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={cancelRecording}
+              style={styles.cancelBtn}
+            >
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
         </View>
-        <TouchableOpacity onPress={cancelRecording} style={styles.cancelBtn}>
-          <Text style={styles.cancelText}>Cancel</Text>
-        </TouchableOpacity>
-      </View>
-    );
+      );
+    };
 
     const renderProcessing = () => (
       <View style={styles.stateWrap}>
@@ -435,6 +869,7 @@ const VoiceRecorder = forwardRef(
       <View style={styles.container}>
         {phase === PHASES.IDLE && renderIdle()}
         {phase === PHASES.RECORDING && renderRecording()}
+        {phase === PHASES.PAUSED && renderRecording(true)}
         {phase === PHASES.PROCESSING && renderProcessing()}
         {phase === PHASES.DONE && renderDone()}
         {phase === PHASES.ERROR && renderError()}
@@ -531,6 +966,14 @@ const createStyles = (theme, isDarkMode) =>
       borderRadius: 4,
       backgroundColor: theme.danger,
     },
+    recDotPaused: { backgroundColor: theme.textMuted },
+    pausedLabel: {
+      fontSize: 11,
+      fontWeight: "600",
+      letterSpacing: 1,
+      textTransform: "uppercase",
+      color: theme.textMuted,
+    },
     durationText: {
       fontSize: 22,
       fontWeight: "700",
@@ -581,7 +1024,52 @@ const createStyles = (theme, isDarkMode) =>
       marginBottom: 24,
     },
     waveBar: { width: 3, borderRadius: 2, backgroundColor: theme.primary },
+    liveTranscript: {
+      width: "100%",
+      minHeight: 60,
+      paddingHorizontal: 8,
+      marginTop: -8,
+      marginBottom: 20,
+      justifyContent: "flex-end",
+    },
+    liveTranscriptText: {
+      fontSize: 14,
+      lineHeight: 20,
+      color: theme.textSecondary,
+      textAlign: "center",
+    },
+    liveTranscriptPlaceholder: {
+      fontSize: 12,
+      color: theme.textMuted,
+      fontStyle: "italic",
+    },
+    quietWarning: {
+      fontSize: 12,
+      fontWeight: "500",
+      color: theme.warning,
+      textAlign: "center",
+      marginTop: -12,
+      marginBottom: 16,
+    },
+    autoStopHint: {
+      fontSize: 12,
+      fontWeight: "500",
+      color: theme.textMuted,
+      textAlign: "center",
+      marginTop: -12,
+      marginBottom: 16,
+    },
 
+    controlsRow: { flexDirection: "row", alignItems: "center", gap: 8 },
+    pauseBtn: {
+      paddingVertical: 9,
+      paddingHorizontal: 22,
+      borderRadius: 20,
+      backgroundColor: theme.surface,
+      borderWidth: 1.5,
+      borderColor: theme.border,
+    },
+    pauseText: { fontSize: 13, fontWeight: "600", color: theme.text },
     cancelBtn: { paddingVertical: 10, paddingHorizontal: 24 },
     cancelText: { fontSize: 13, color: theme.textMuted },
 
@@ -6,11 +6,36 @@ import {
   useContext,
   useEffect,
   useReducer,
+  useRef,
 } from "react";
+import NetInfo from "@react-native-community/netinfo";
 import aiService from "../services/aiService";
 import draftService from "../services/draftService";
+import draftStore from "../services/draftStore";
 import publishService from "../services/publishService";
+import revisionService from "../services/revisionService";
+import recordingStorage from "../services/recordingStorage";
+import processingInbox from "../services/processingInbox";
+import uploadService from "../services/uploadService";
+import voiceProfileService from "../services/voiceProfileService";
+import mutationQueue, {
+  MUTATION_STATUS,
+  MUTATION_TYPES,
+  createLocalId,
+  isLocalId,
+} from "../services/mutationQueue";
+import {
+  createDraft,
+  generateTitleFromContent,
+  getAudioSources,
+  getDisplayText,
+} from "../models/Draft";
+import { REVISION_SOURCES, inferRevisionSource } from "../models/Revision";
 import { useAuth } from "./AuthContext";
+import {
+  API_CONFIG,
+  DEFAULT_TRANSCRIPTION_LANGUAGE,
+} from "../utils/constants";
 
 /**
  * Draft state structure
@@ -28,6 +53,8 @@ const initialState = {
   isProcessing: false,
   error: null,
   filter: "all",
+  pendingMutations: [],
+  pendingRecordings: [],
 };
 
 /**
@@ -47,6 +74,7 @@ const DRAFT_ACTIONS = {
 
   UPDATE_DRAFT_SUCCESS: "UPDATE_DRAFT_SUCCESS",
   DELETE_DRAFT_SUCCESS: "DELETE_DRAFT_SUCCESS",
+  REPLACE_DRAFT_ID: "REPLACE_DRAFT_ID",
 
   PROCESS_VOICE_START: "PROCESS_VOICE_START",
   PROCESS_VOICE_SUCCESS: "PROCESS_VOICE_SUCCESS",
@@ -60,6 +88,9 @@ const DRAFT_ACTIONS = {
   UPLOAD_MEDIA_START: "UPLOAD_MEDIA_START",
   UPLOAD_MEDIA_SUCCESS: "UPLOAD_MEDIA_SUCCESS",
   UPLOAD_MEDIA_FAIL: "UPLOAD_MEDIA_FAIL",
+
+  SET_PENDING_MUTATIONS: "SET_PENDING_MUTATIONS",
+  SET_PENDING_RECORDINGS: "SET_PENDING_RECORDINGS",
 };
 
 /**
@@ -129,6 +160,18 @@ const draftReducer = (state, action) => {
         },
       };
 
+    case DRAFT_ACTIONS.REPLACE_DRAFT_ID: {
+      // An offline-created draft reached the server and got its real id
+      const { previousId, draft } = action.payload;
+      const swap = (d) => (d?.id === previousId ? { ...d, ...draft } : d);
+      return {
+        ...state,
+        drafts: state.drafts.map(swap),
+        currentDraft: swap(state.currentDraft),
+        recentDraft: swap(state.recentDraft),
+      };
+    }
+
     case DRAFT_ACTIONS.PROCESS_VOICE_START:
       return { ...state, isProcessing: true, error: null };
 
@@ -161,6 +204,12 @@ const draftReducer = (state, action) => {
     case DRAFT_ACTIONS.UPLOAD_MEDIA_FAIL:
       return { ...state, isProcessing: false };
 
+    case DRAFT_ACTIONS.SET_PENDING_MUTATIONS:
+      return { ...state, pendingMutations: action.payload.mutations };
+
+    case DRAFT_ACTIONS.SET_PENDING_RECORDINGS:
+      return { ...state, pendingRecordings: action.payload.recordings };
+
     default:
       return state;
   }
@@ -177,42 +226,181 @@ const DraftContext = createContext(null);
 export const DraftProvider = ({ children }) => {
   const [state, dispatch] = useReducer(draftReducer, initialState);
   const { isAuthenticated } = useAuth();
+  // State plus updates that haven't re-rendered yet (see applyDraftUpdate)
+  const latestStateRef = useRef(state);
+  latestStateRef.current = state;
+  const storedDraftsRef = useRef(null); // drafts as last written to draftStore
+  const wasAuthenticatedRef = useRef(false);
+  const retryingRecordingsRef = useRef(new Set()); // inbox ids being processed
+  // draftId → { text, suggestions } from the last suggestions fetched for it
+  const suggestionsRef = useRef(new Map());
+  // Last connectivity seen, so the inbox retries only on reconnecting
+  const wasOnlineRef = useRef(false);
+
+  /**
+   * Store an updated draft. findDraft sees it straight away, before the
+   * re-render, so a handler that saves and then acts on the draft again
+   * works from what was saved.
+   */
+  const applyDraftUpdate = useCallback((draft) => {
+    const action = {
+      type: DRAFT_ACTIONS.UPDATE_DRAFT_SUCCESS,
+      payload: { draft },
+    };
+    latestStateRef.current = draftReducer(latestStateRef.current, action);
+    dispatch(action);
+  }, []);
+
+  /**
+   * Queue a write that failed because the device is offline
+   */
+  const queueMutation = useCallback(async (mutation) => {
+    const mutations = await mutationQueue.enqueue(mutation);
+    dispatch({
+      type: DRAFT_ACTIONS.SET_PENDING_MUTATIONS,
+      payload: { mutations },
+    });
+  }, []);
+
+  /**
+   * Replay queued offline writes against the API
+   */
+  const syncPendingMutations = useCallback(async () => {
+    await mutationQueue.replay({
+      onSynced: (item, serverDraft, { hasLaterWrites }) => {
+        if (!serverDraft) return;
+        if (item.type === MUTATION_TYPES.CREATE) {
+          revisionService.moveRevisions(item.draftId, serverDraft.id);
+          dispatch({
+            type: DRAFT_ACTIONS.REPLACE_DRAFT_ID,
+            payload: {
+              previousId: item.draftId,
+              // Keep the optimistic content if newer edits are still queued
+              draft: hasLaterWrites ? { id: serverDraft.id } : serverDraft,
+            },
+          });
+        } else if (!hasLaterWrites) {
+          applyDraftUpdate(serverDraft);
+        }
+      },
+      onChange: (mutations) =>
+        dispatch({
+          type: DRAFT_ACTIONS.SET_PENDING_MUTATIONS,
+          payload: { mutations },
+        }),
+    });
+  }, [applyDraftUpdate]);
 
   /**
-   * Fetch all drafts
+   * Fetch all drafts.
+   * Renders straight from the local store, then reconciles with the server.
+   * State always holds every stored draft; filtering happens client-side.
    */
   const fetchDrafts = useCallback(async (filter = null) => {
     dispatch({ type: DRAFT_ACTIONS.FETCH_DRAFTS_START });
+    const status = filter === "all" ? null : filter;
+
+    const local = await draftStore.getAll();
+    const pending = await mutationQueue.getAll();
+    storedDraftsRef.current = local;
+    if (local.length > 0 || pending.length > 0) {
+      dispatch({
+        type: DRAFT_ACTIONS.FETCH_DRAFTS_SUCCESS,
+        payload: { drafts: mutationQueue.applyTo(local, pending) },
+      });
+    }
+
     try {
-      const status = filter === "all" ? null : filter;
-      const drafts = await draftService.getDrafts({ status });
+      const fetched = await draftService.getDrafts({ status });
+      // A full page may not be every draft, so it can't show which are gone
+      const isComplete = fetched.length < API_CONFIG.DRAFTS_PAGE_SIZE;
+      const queued = await mutationQueue.getAll();
+      const stored = await draftStore.reconcile(fetched, {
+        status,
+        keepIds: queued.map((m) => m.draftId),
+        isComplete,
+      });
+      const drafts = mutationQueue.applyTo(stored, queued);
+      storedDraftsRef.current = stored;
       dispatch({
         type: DRAFT_ACTIONS.FETCH_DRAFTS_SUCCESS,
         payload: { drafts },
       });
+      if (!status) voiceProfileService.refreshProfile(drafts);
+      // Only a complete, unfiltered fetch knows every draft that still owns
+      // a file
+      if (!status && isComplete) {
+        const inbox = await processingInbox.getAll();
+        recordingStorage.cleanupOrphans([
+          ...drafts.flatMap((d) => getAudioSources(d).map((a) => a.uri)),
+          ...inbox.flatMap((i) => i.segments.map((a) => a.uri)),
+        ]);
+      }
       return drafts;
     } catch (error) {
       dispatch({
         type: DRAFT_ACTIONS.FETCH_DRAFTS_FAIL,
         payload: { error: error.message },
       });
-      const cached = await draftService.getCachedDrafts();
-      if (cached.length > 0) {
-        dispatch({
-          type: DRAFT_ACTIONS.FETCH_DRAFTS_SUCCESS,
-          payload: { drafts: cached },
-        });
-      }
       return [];
     }
   }, []);
 
+  /**
+   * Mirror reducer changes into the local store.
+   * Only drafts whose object identity changed are rewritten; nothing is
+   * written until the store has been read once (storedDraftsRef is set).
+   */
+  useEffect(() => {
+    const previous = storedDraftsRef.current;
+    if (!previous || previous === state.drafts) return;
+
+    const changed = state.drafts.filter((d) => !previous.includes(d));
+    const currentIds = new Set(state.drafts.map((d) => d.id));
+    const removedIds = previous
+      .filter((d) => !currentIds.has(d.id))
+      .map((d) => d.id);
+
+    storedDraftsRef.current = state.drafts;
+    draftStore.putMany(changed);
+    draftStore.removeMany(removedIds);
+  }, [state.drafts]);
+
+  /**
+   * Wipe local drafts and queued writes when the user logs out
+   */
+  useEffect(() => {
+    if (isAuthenticated) {
+      wasAuthenticatedRef.current = true;
+    } else if (wasAuthenticatedRef.current) {
+      wasAuthenticatedRef.current = false;
+      storedDraftsRef.current = null;
+      suggestionsRef.current.clear();
+      draftStore.clear();
+      mutationQueue.clear();
+      revisionService.clearAll();
+      processingInbox.clear();
+      recordingStorage.clearAll();
+      uploadService.clearSessions();
+      voiceProfileService.clear();
+    }
+  }, [isAuthenticated]);
+
   /**
    * Fetch stats and recent draft on auth
    */
   useEffect(() => {
     if (isAuthenticated) {
       const loadInitialData = async () => {
+        // Show whatever is on disk straight away, even before the network
+        const local = await draftStore.getAll();
+        const pending = await mutationQueue.getAll();
+        storedDraftsRef.current = local;
+        dispatch({
+          type: DRAFT_ACTIONS.FETCH_DRAFTS_SUCCESS,
+          payload: { drafts: mutationQueue.applyTo(local, pending) },
+        });
+
         try {
           const stats = await draftService.getStats();
           dispatch({ type: DRAFT_ACTIONS.SET_STATS, payload: { stats } });
@@ -233,20 +421,290 @@ export const DraftProvider = ({ children }) => {
   }, [isAuthenticated]);
 
   /**
-   * Process voice recording (transcribe + refine + create draft)
+   * Load the offline queue and replay it whenever connectivity returns.
+   * NetInfo fires immediately with the current state, which covers launch.
+   */
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    mutationQueue.getAll().then((mutations) =>
+      dispatch({
+        type: DRAFT_ACTIONS.SET_PENDING_MUTATIONS,
+        payload: { mutations },
+      }),
+    );
+
+    const unsubscribe = NetInfo.addEventListener((net) => {
+      if (net.isConnected && net.isInternetReachable !== false) {
+        syncPendingMutations();
+      }
+    });
+    return unsubscribe;
+  }, [isAuthenticated, syncPendingMutations]);
+
+  /**
+   * Look up a draft in state by id
+   */
+  const findDraft = useCallback((draftId) => {
+    const { drafts, currentDraft } = latestStateRef.current;
+    return (
+      drafts.find((d) => d.id === draftId) ||
+      (currentDraft?.id === draftId ? currentDraft : null)
+    );
+  }, []);
+
+  /**
+   * Add an entry to a draft's revision history.
+   * The draft's current text seeds the history if it's empty.
+   */
+  const recordRevision = useCallback(
+    (draftId, revision) => {
+      const draft = findDraft(draftId);
+      const seed = draft && {
+        text: getDisplayText(draft),
+        tone: draft.tone,
+        source: inferRevisionSource(draft),
+        createdAt: draft.updatedAt,
+      };
+      return revisionService.addRevision(draftId, revision, seed);
+    },
+    [findDraft],
+  );
+
+  /**
+   * Get a draft's revision history, newest first
+   */
+  const getRevisions = useCallback(
+    (draftId) => revisionService.getRevisions(draftId),
+    [],
+  );
+
+  /**
+   * PATCH a draft. When offline the update is queued and applied
+   * optimistically so the edit survives until we reconnect.
+   * The version we last saw is sent along; if another device saved in the
+   * meantime the result carries `conflict.serverDraft` for the merge view.
+   * Text changes are recorded in the revision history once accepted.
+   *
+   * @param {string} draftId
+   * @param {Object} updates
+   * @param {Object} [options]
+   * @param {Object} [options.basedOn] - Draft revision the edit was made on
+   * @param {string} [options.source]  - REVISION_SOURCES value for the history
+   * @param {string} [options.note]    - Extra context for the history entry
+   */
+  const persistDraftUpdate = useCallback(
+    async (
+      draftId,
+      updates,
+      { basedOn, source = REVISION_SOURCES.USER_EDIT, note = null } = {},
+    ) => {
+      const existing = findDraft(draftId);
+      const baseDraft = basedOn || existing;
+      const base = baseDraft
+        ? { version: baseDraft.version, updatedAt: baseDraft.updatedAt }
+        : null;
+      const record = () =>
+        updates.userEditedText !== undefined &&
+        recordRevision(draftId, {
+          text: updates.userEditedText,
+          tone: updates.tone || existing?.tone,
+          source,
+          note,
+        });
+
+      try {
+        if (isLocalId(draftId)) {
+          // Not on the server yet — its CREATE is still queued
+          throw { code: "NETWORK_ERROR" };
+        }
+        const updatedDraft = await draftService.updateDraft(
+          draftId,
+          updates,
+          base,
+        );
+        applyDraftUpdate(updatedDraft);
+        await record();
+        return { success: true };
+      } catch (error) {
+        if (error.code === "CONFLICT") {
+          return {
+            success: false,
+            error: error.message,
+            conflict: { serverDraft: error.serverDraft },
+          };
+        }
+        if (error.code !== "NETWORK_ERROR") {
+          return { success: false, error: error.message };
+        }
+        await queueMutation({
+          type: MUTATION_TYPES.UPDATE,
+          draftId,
+          payload: updates,
+          base,
+        });
+        if (existing) {
+          // Keep the server's version so the replay can still detect conflicts
+          applyDraftUpdate({ ...existing, ...updates });
+        }
+        await record();
+        return { success: true, queued: true };
+      }
+    },
+    [findDraft, queueMutation, recordRevision, applyDraftUpdate],
+  );
+
+  /**
+   * Settle a save conflict from the merge view.
+   * "theirs" adopts the other device's draft; anything else saves the given
+   * text on top of the server revision.
+   *
+   * @param {string} draftId
+   * @param {Object} serverDraft - Draft returned with the conflict
+   * @param {Object} resolution
+   * @param {string} resolution.strategy - "mine" | "theirs" | "merged"
+   * @param {Object} [resolution.updates] - Fields to save for mine/merged
+   */
+  const resolveConflict = useCallback(
+    async (draftId, serverDraft, { strategy, updates = {} }) => {
+      let result;
+      if (strategy === "theirs") {
+        applyDraftUpdate(serverDraft);
+        result = { success: true, draft: serverDraft };
+      } else {
+        result = await persistDraftUpdate(draftId, updates, {
+          basedOn: serverDraft,
+        });
+      }
+      // A conflict found while syncing offline edits is settled now too.
+      // Taking theirs gives up the local edits queued behind it as well.
+      if (result.success) {
+        const merged = result.queued ? null : findDraft(draftId);
+        const base = merged
+          ? { version: merged.version, updatedAt: merged.updatedAt }
+          : null;
+        const mutations =
+          strategy === "theirs"
+            ? await mutationQueue.discard(draftId)
+            : await mutationQueue.dropConflicts(draftId, base);
+        dispatch({
+          type: DRAFT_ACTIONS.SET_PENDING_MUTATIONS,
+          payload: { mutations },
+        });
+      }
+      return result;
+    },
+    [findDraft, persistDraftUpdate, applyDraftUpdate],
+  );
+
+  /**
+   * Create a draft from finished AI output. When only the create call
+   * fails offline, the draft is kept locally and the create is queued.
+   * @returns {Promise<Object>} the draft
+   */
+  const createDraftOrQueue = useCallback(
+    async (draftData) => {
+      try {
+        return await draftService.createDraft(draftData);
+      } catch (error) {
+        if (error.code !== "NETWORK_ERROR") throw error;
+        // The AI result is in hand — keep it locally until we reconnect
+        const draft = createDraft({
+          ...draftData,
+          id: createLocalId(),
+          userEditedText: draftData.aiRefinedText,
+          title: generateTitleFromContent(
+            draftData.aiRefinedText || draftData.rawTranscript,
+          ),
+        });
+        await queueMutation({
+          type: MUTATION_TYPES.CREATE,
+          draftId: draft.id,
+          payload: draftData,
+        });
+        return draft;
+      }
+    },
+    [queueMutation],
+  );
+
+  /**
+   * Turn recorded audio into a new draft (transcribe + refine + create).
+   * @returns {Promise<Object>} the draft
+   */
+  const createDraftFromRecording = useCallback(
+    async (segments, tone, language) => {
+      const result = await aiService.processVoiceSegments(segments, {
+        tone,
+        language,
+      });
+      const draftData = {
+        rawTranscript: result.transcript,
+        aiRefinedText: result.refinedText,
+        tone,
+        language: result.language,
+        audioUri: segments[0].uri,
+        audioDurationMs: result.durationMs,
+        audioSegments:
+          segments.length > 1
+            ? segments.map(({ uri, durationMs }) => ({ uri, durationMs }))
+            : [],
+      };
+
+      const draft = await createDraftOrQueue(draftData);
+      await revisionService.addRevision(draft.id, {
+        text: result.refinedText,
+        tone,
+        source: REVISION_SOURCES.REFINE,
+      });
+      // Refining already came up with suggestions — keep them for the editor
+      if (result.suggestions?.length) {
+        suggestionsRef.current.set(draft.id, {
+          text: result.refinedText,
+          suggestions: result.suggestions,
+        });
+      }
+      return draft;
+    },
+    [createDraftOrQueue],
+  );
+
+  /**
+   * Process voice recording (transcribe + refine + create draft).
+   * Takes a single recording URI, or a list of segments ({ uri, durationMs })
+   * recorded in several takes that become one draft.
+   * `language` is the spoken language code, or "auto" to detect it.
+   * If processing fails while offline or the backend is down, the recording
+   * is kept in the processing inbox and `queued` is set on the result.
    */
   const processVoiceRecording = useCallback(
-    async (audioUri, tone = "Professional") => {
+    async (
+      audio,
+      tone = "Professional",
+      language = DEFAULT_TRANSCRIPTION_LANGUAGE,
+    ) => {
       dispatch({ type: DRAFT_ACTIONS.PROCESS_VOICE_START });
+      const segments = await Promise.all(
+        (Array.isArray(audio) ? audio : [{ uri: audio }]).map(
+          async (segment) => ({
+            uri: await recordingStorage.persistRecording(segment.uri),
+            durationMs: segment.durationMs || 0,
+            // Set for imported files, whose format may not be m4a
+            mimeType: segment.mimeType || null,
+            // Set for chunks already transcribed while recording
+            transcript: segment.transcript ?? null,
+            language: segment.language || null,
+            continuesPrevious: !!segment.continuesPrevious,
+          }),
+        ),
+      );
+
       try {
-        const result = await aiService.processVoicePost(audioUri, { tone });
-        const draft = await draftService.createDraft({
-          rawTranscript: result.transcript,
-          aiRefinedText: result.refinedText,
+        const draft = await createDraftFromRecording(
+          segments,
           tone,
-          audioUri,
-          audioDurationMs: result.durationMs,
-        });
+          language,
+        );
         dispatch({
           type: DRAFT_ACTIONS.PROCESS_VOICE_SUCCESS,
           payload: { draft },
@@ -261,93 +719,418 @@ export const DraftProvider = ({ children }) => {
           type: DRAFT_ACTIONS.PROCESS_VOICE_FAIL,
           payload: { error: error.message },
         });
+        if (!processingInbox.isRetryable(error)) {
+          return { success: false, error: error.message };
+        }
+        const recordings = await processingInbox.add({
+          segments,
+          tone,
+          language,
+          error,
+        });
+        dispatch({
+          type: DRAFT_ACTIONS.SET_PENDING_RECORDINGS,
+          payload: { recordings },
+        });
+        return { success: false, error: error.message, queued: true };
+      }
+    },
+    [createDraftFromRecording],
+  );
+
+  /**
+   * Process a recording from the inbox again.
+   * Runs in the background, so it leaves currentDraft alone.
+   */
+  const retryPendingRecording = useCallback(
+    async (recordingId) => {
+      if (retryingRecordingsRef.current.has(recordingId)) {
+        return { success: false, error: "Already retrying" };
+      }
+      const item = (await processingInbox.getAll()).find(
+        (i) => i.id === recordingId,
+      );
+      if (!item) return { success: false, error: "Recording not found" };
+
+      retryingRecordingsRef.current.add(recordingId);
+      try {
+        const draft = await createDraftFromRecording(
+          item.segments,
+          item.tone,
+          item.language,
+        );
+        const recordings = await processingInbox.remove(recordingId);
+        dispatch({
+          type: DRAFT_ACTIONS.SET_PENDING_RECORDINGS,
+          payload: { recordings },
+        });
+        dispatch({
+          type: DRAFT_ACTIONS.CREATE_DRAFT_SUCCESS,
+          payload: { draft },
+        });
+        return { success: true, draft };
+      } catch (error) {
+        const recordings = await processingInbox.markFailed(
+          recordingId,
+          error,
+        );
+        dispatch({
+          type: DRAFT_ACTIONS.SET_PENDING_RECORDINGS,
+          payload: { recordings },
+        });
         return { success: false, error: error.message };
+      } finally {
+        retryingRecordingsRef.current.delete(recordingId);
       }
     },
-    [],
+    [createDraftFromRecording],
   );
 
   /**
-   * Update current draft text
+   * Retry everything in the inbox, oldest first.
+   * Stops at the first NETWORK_ERROR — we're still offline.
    */
-  const updateDraftText = useCallback(async (draftId, text) => {
-    try {
-      const updatedDraft = await draftService.updateDraft(draftId, {
-        userEditedText: text,
-      });
-      dispatch({
-        type: DRAFT_ACTIONS.UPDATE_DRAFT_SUCCESS,
-        payload: { draft: updatedDraft },
-      });
-      return { success: true };
-    } catch (error) {
-      return { success: false, error: error.message };
+  const retryAllPendingRecordings = useCallback(async () => {
+    const items = await processingInbox.getAll();
+    for (const item of items) {
+      const result = await retryPendingRecording(item.id);
+      if (!result.success && !(await NetInfo.fetch()).isConnected) break;
+    }
+  }, [retryPendingRecording]);
+
+  /**
+   * Give up on a recording in the inbox and delete its audio
+   */
+  const discardPendingRecording = useCallback(async (recordingId) => {
+    const item = (await processingInbox.getAll()).find(
+      (i) => i.id === recordingId,
+    );
+    const recordings = await processingInbox.remove(recordingId);
+    dispatch({
+      type: DRAFT_ACTIONS.SET_PENDING_RECORDINGS,
+      payload: { recordings },
+    });
+    if (item) {
+      recordingStorage.deleteRecordings(item.segments.map((s) => s.uri));
     }
   }, []);
 
   /**
-   * Update draft tone and re-refine
+   * Load the processing inbox and retry it whenever connectivity returns
+   */
+  useEffect(() => {
+    if (!isAuthenticated) {
+      wasOnlineRef.current = false;
+      return;
+    }
+
+    processingInbox.getAll().then((recordings) =>
+      dispatch({
+        type: DRAFT_ACTIONS.SET_PENDING_RECORDINGS,
+        payload: { recordings },
+      }),
+    );
+
+    // NetInfo also fires on network handoffs and detail changes; only
+    // coming back online is worth reprocessing for
+    const unsubscribe = NetInfo.addEventListener((net) => {
+      const isOnline = !!net.isConnected && net.isInternetReachable !== false;
+      const cameOnline = isOnline && !wasOnlineRef.current;
+      wasOnlineRef.current = isOnline;
+      if (cameOnline) retryAllPendingRecordings();
+    });
+    return unsubscribe;
+  }, [isAuthenticated, retryAllPendingRecordings]);
+
+  /**
+   * Update current draft text
+   */
+  const updateDraftText = useCallback(
+    (draftId, text) => persistDraftUpdate(draftId, { userEditedText: text }),
+    [persistDraftUpdate],
+  );
+
+  /**
+   * Update draft tone and re-refine.
+   * Pass `text` when the editor holds text the draft in state doesn't.
    */
   const updateDraftTone = useCallback(
-    async (draftId, newTone) => {
+    async (draftId, newTone, { text } = {}) => {
       try {
-        const draft =
-          state.drafts.find((d) => d.id === draftId) || state.currentDraft;
+        const draft = findDraft(draftId);
         if (!draft) throw new Error("Draft not found");
 
         const { refinedText } = await aiService.changeTone(
-          draft.userEditedText || draft.aiRefinedText,
+          text ?? (draft.userEditedText || draft.aiRefinedText),
           newTone,
         );
 
-        const updatedDraft = await draftService.updateDraft(draftId, {
-          tone: newTone,
-          aiRefinedText: refinedText,
-          userEditedText: refinedText,
-        });
+        const result = await persistDraftUpdate(
+          draftId,
+          {
+            tone: newTone,
+            aiRefinedText: refinedText,
+            userEditedText: refinedText,
+          },
+          {
+            source: REVISION_SOURCES.TONE_CHANGE,
+            note: `${draft.tone} → ${newTone}`,
+          },
+        );
+        if (!result.success) throw new Error(result.error);
+
+        return { success: true, refinedText };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+    [findDraft, persistDraftUpdate],
+  );
+
+  /**
+   * Note a draft as published and learn from it straight away
+   * @param {string} draftId
+   * @param {string} publishedAt
+   */
+  const markDraftPublished = useCallback(
+    (draftId, publishedAt) => {
+      const draft = findDraft(draftId);
+      if (!draft) return;
+      applyDraftUpdate({ ...draft, status: "published", publishedAt });
+      voiceProfileService.refreshProfile(latestStateRef.current.drafts);
+    },
+    [findDraft, applyDraftUpdate],
+  );
 
+  /**
+   * Carry a custom tone's new name over to the drafts written in it.
+   * Drafts refer to their tone by name, so they'd otherwise be left
+   * pointing at a tone that no longer exists. That covers drafts in
+   * state, stored on the device, still queued, and on the server past the
+   * first page; offline, updates queue like any other edit.
+   * @returns {Promise<Object>} { success, error }
+   */
+  const renameDraftTone = useCallback(
+    async (oldName, newName) => {
+      try {
+        const mutations = await mutationQueue.renameTone(oldName, newName);
         dispatch({
-          type: DRAFT_ACTIONS.UPDATE_DRAFT_SUCCESS,
-          payload: { draft: updatedDraft },
+          type: DRAFT_ACTIONS.SET_PENDING_MUTATIONS,
+          payload: { mutations },
         });
-        return { success: true, refinedText };
+
+        const affected = new Set();
+        [...(await draftStore.getAll()), ...latestStateRef.current.drafts]
+          .filter((d) => d.tone === oldName)
+          .forEach((d) => affected.add(d.id));
+
+        let reachedServer = true;
+        try {
+          for (let offset = 0; ; offset += API_CONFIG.DRAFTS_PAGE_SIZE) {
+            const page = await draftService.getDrafts({ offset });
+            page
+              .filter((d) => d.tone === oldName)
+              .forEach((d) => affected.add(d.id));
+            if (page.length < API_CONFIG.DRAFTS_PAGE_SIZE) break;
+          }
+        } catch {
+          // Drafts that are only on the server can't be found for now
+          reachedServer = false;
+        }
+
+        const results = await Promise.all(
+          [...affected].map((id) => persistDraftUpdate(id, { tone: newName })),
+        );
+        const failed = results.filter((r) => !r.success).length;
+        if (failed > 0) {
+          throw new Error(
+            `${failed} draft${failed === 1 ? "" : "s"} couldn't be updated.`,
+          );
+        }
+        if (!reachedServer) {
+          throw new Error("Drafts not on this device couldn't be checked.");
+        }
+        return { success: true };
       } catch (error) {
         return { success: false, error: error.message };
       }
     },
-    [state.drafts, state.currentDraft],
+    [persistDraftUpdate],
   );
 
   /**
-   * Save draft
+   * Ask for alternative refinements of a draft, to choose from.
+   * The draft's own text comes first.
+   * @returns {Promise<Object>} { success, variants: [{ label, text }] }
    */
-  const saveDraft = useCallback(async (draftId, updates) => {
+  const getRefinementVariants = useCallback(async (draft) => {
+    const currentText = getDisplayText(draft);
     try {
-      const updatedDraft = await draftService.updateDraft(draftId, updates);
-      dispatch({
-        type: DRAFT_ACTIONS.UPDATE_DRAFT_SUCCESS,
-        payload: { draft: updatedDraft },
-      });
-      return { success: true };
+      const { variants } = await aiService.generateVariants(
+        draft.rawTranscript,
+        { tone: draft.tone, currentText },
+      );
+      return {
+        success: true,
+        variants: [
+          { label: "Original", text: currentText },
+          ...variants.filter((v) => v.text !== currentText),
+        ],
+      };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }, []);
 
   /**
-   * Schedule draft
+   * Make one variant the draft's text. The others are kept in its
+   * revision history so they can still be restored from the editor.
+   * @param {string} draftId
+   * @param {Object} chosen - One of `variants`
+   * @param {Object[]} variants - Everything that was offered
    */
-  const scheduleDraft = useCallback(
-    async (draftId, scheduledAt) => {
+  const chooseVariant = useCallback(
+    async (draftId, chosen, variants) => {
+      const draft = findDraft(draftId);
+      if (!draft) return { success: false, error: "Draft not found" };
+      const currentText = getDisplayText(draft);
+
+      // The current text is already in the history
+      for (const variant of variants) {
+        if (variant === chosen || variant.text === currentText) continue;
+        await recordRevision(draftId, {
+          text: variant.text,
+          tone: draft.tone,
+          source: REVISION_SOURCES.VARIANT,
+          note: variant.label,
+        });
+      }
+
+      const revision = {
+        source: REVISION_SOURCES.VARIANT,
+        note: `${chosen.label} · chosen`,
+      };
+      if (chosen.text === currentText) {
+        // Nothing to save, but it should be the latest entry again
+        await recordRevision(draftId, {
+          text: chosen.text,
+          tone: draft.tone,
+          ...revision,
+        });
+        return { success: true };
+      }
+      return persistDraftUpdate(
+        draftId,
+        { aiRefinedText: chosen.text, userEditedText: chosen.text },
+        revision,
+      );
+    },
+    [findDraft, recordRevision, persistDraftUpdate],
+  );
+
+  /**
+   * Improvements the AI suggests for a draft's text. Reuses the last
+   * suggestions for the draft while the text they were made for is
+   * unchanged; `refresh` asks again anyway.
+   * @returns {Promise<Object>} { success, suggestions }
+   */
+  const getSuggestions = useCallback(
+    async (draftId, text, { tone = "Professional", refresh = false } = {}) => {
+      const cached = suggestionsRef.current.get(draftId);
+      if (!refresh && cached && cached.text === text) {
+        return { success: true, suggestions: cached.suggestions };
+      }
       try {
-        const updatedDraft = await draftService.scheduleDraft(
-          draftId,
-          scheduledAt,
+        const { suggestions } = await aiService.getSuggestions(text, { tone });
+        suggestionsRef.current.set(draftId, { text, suggestions });
+        return { success: true, suggestions };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+    [],
+  );
+
+  /**
+   * Translate a draft into a new sibling draft, keeping its tone.
+   * Translations of a translation link back to the original.
+   * @param {Object} source - The draft being translated
+   * @param {string} targetLanguage - Language code
+   * @param {Object} [options] - { text, tone } to use instead of the saved ones
+   */
+  const translateDraft = useCallback(
+    async (source, targetLanguage, { text, tone } = {}) => {
+      if (isLocalId(source.id)) {
+        return {
+          success: false,
+          error: "This draft hasn't synced yet. Try again once you're online.",
+        };
+      }
+      try {
+        const draftTone = tone || source.tone;
+        const { translatedText } = await aiService.translate(
+          text || source.userEditedText || source.aiRefinedText,
+          targetLanguage,
+          { tone: draftTone },
         );
+        const draft = await createDraftOrQueue({
+          rawTranscript: source.rawTranscript,
+          aiRefinedText: translatedText,
+          tone: draftTone,
+          language: targetLanguage,
+          translationOf: source.translationOf || source.id,
+        });
+        await revisionService.addRevision(draft.id, {
+          text: translatedText,
+          tone: draftTone,
+          source: REVISION_SOURCES.TRANSLATE,
+        });
         dispatch({
-          type: DRAFT_ACTIONS.UPDATE_DRAFT_SUCCESS,
-          payload: { draft: updatedDraft },
+          type: DRAFT_ACTIONS.CREATE_DRAFT_SUCCESS,
+          payload: { draft },
         });
+        return { success: true, draft };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+    [createDraftOrQueue],
+  );
+
+  /**
+   * Save draft
+   * @param {Object} [options] - { source, note } for the revision history
+   */
+  const saveDraft = useCallback(
+    (draftId, updates, options) =>
+      persistDraftUpdate(draftId, updates, options),
+    [persistDraftUpdate],
+  );
+
+  /**
+   * Schedule draft
+   */
+  const scheduleDraft = useCallback(
+    async (draftId, scheduledAt) => {
+      try {
+        let updatedDraft;
+        try {
+          if (isLocalId(draftId)) throw { code: "NETWORK_ERROR" };
+          updatedDraft = await draftService.scheduleDraft(draftId, scheduledAt);
+        } catch (error) {
+          if (error.code !== "NETWORK_ERROR") throw error;
+          await queueMutation({
+            type: MUTATION_TYPES.SCHEDULE,
+            draftId,
+            payload: { scheduledAt: scheduledAt.toISOString() },
+          });
+          updatedDraft = {
+            ...findDraft(draftId),
+            status: "scheduled",
+            scheduledAt,
+          };
+        }
+        applyDraftUpdate(updatedDraft);
         dispatch({
           type: DRAFT_ACTIONS.SET_STATS,
           payload: {
@@ -362,24 +1145,107 @@ export const DraftProvider = ({ children }) => {
         return { success: false, error: error.message };
       }
     },
-    [state.stats],
+    [state.stats, findDraft, queueMutation, applyDraftUpdate],
   );
 
   /**
    * Delete draft
    */
-  const deleteDraft = useCallback(async (draftId) => {
-    try {
-      await draftService.deleteDraft(draftId);
+  const deleteDraft = useCallback(
+    async (draftId) => {
+      const draft = findDraft(draftId);
+      try {
+        try {
+          if (isLocalId(draftId)) throw { code: "NETWORK_ERROR" };
+          await draftService.deleteDraft(draftId);
+        } catch (error) {
+          if (error.code !== "NETWORK_ERROR") throw error;
+          await queueMutation({ type: MUTATION_TYPES.DELETE, draftId });
+        }
+        dispatch({
+          type: DRAFT_ACTIONS.DELETE_DRAFT_SUCCESS,
+          payload: { draftId },
+        });
+        revisionService.clearRevisions(draftId);
+        if (draft) {
+          recordingStorage.deleteRecordings(
+            getAudioSources(draft).map((a) => a.uri),
+          );
+        }
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+    [findDraft, queueMutation],
+  );
+
+  /**
+   * Sync state of a draft's queued writes:
+   * 'pending' | 'syncing' | 'failed' | 'conflict' | null
+   */
+  const getSyncStatus = useCallback(
+    (draftId) => {
+      const items = state.pendingMutations.filter((m) => m.draftId === draftId);
+      if (items.length === 0) return null;
+      if (items.some((m) => m.status === MUTATION_STATUS.CONFLICT)) {
+        return MUTATION_STATUS.CONFLICT;
+      }
+      if (items.some((m) => m.status === MUTATION_STATUS.FAILED)) {
+        return MUTATION_STATUS.FAILED;
+      }
+      if (items.some((m) => m.status === MUTATION_STATUS.SYNCING)) {
+        return MUTATION_STATUS.SYNCING;
+      }
+      return MUTATION_STATUS.PENDING;
+    },
+    [state.pendingMutations],
+  );
+
+  /**
+   * A conflict found while syncing a draft's offline edits, in the same
+   * shape as a save's `conflict`, or null
+   * @returns {Object|null} { serverDraft }
+   */
+  const getSyncConflict = useCallback(
+    (draftId) => {
+      const item = state.pendingMutations.find(
+        (m) => m.draftId === draftId && m.status === MUTATION_STATUS.CONFLICT,
+      );
+      return item ? { serverDraft: item.serverDraft } : null;
+    },
+    [state.pendingMutations],
+  );
+
+  /**
+   * Retry a draft's failed writes
+   */
+  const retrySync = useCallback(
+    async (draftId) => {
+      const mutations = await mutationQueue.resetFailed(draftId);
       dispatch({
-        type: DRAFT_ACTIONS.DELETE_DRAFT_SUCCESS,
-        payload: { draftId },
+        type: DRAFT_ACTIONS.SET_PENDING_MUTATIONS,
+        payload: { mutations },
       });
-      return { success: true };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  }, []);
+      await syncPendingMutations();
+    },
+    [syncPendingMutations],
+  );
+
+  /**
+   * Throw away a draft's unsynced writes and reload from the server
+   */
+  const discardPendingChanges = useCallback(
+    async (draftId) => {
+      const mutations = await mutationQueue.discard(draftId);
+      dispatch({
+        type: DRAFT_ACTIONS.SET_PENDING_MUTATIONS,
+        payload: { mutations },
+      });
+      await fetchDrafts();
+    },
+    [fetchDrafts],
+  );
 
   /**
    * Set current draft for editing
@@ -418,10 +1284,12 @@ export const DraftProvider = ({ children }) => {
   }, [state.drafts, state.filter]);
 
   // ── FIX: uploadMedia defined BEFORE the value object so it's not undefined ──
-  const uploadMedia = useCallback(async (uri, type, mimeType) => {
+  const uploadMedia = useCallback(async (uri, type, mimeType, onProgress) => {
     dispatch({ type: DRAFT_ACTIONS.UPLOAD_MEDIA_START });
     try {
-      const result = await publishService.uploadMedia(uri, type, mimeType);
+      const result = await publishService.uploadMedia(uri, type, mimeType, {
+        onProgress,
+      });
       dispatch({ type: DRAFT_ACTIONS.UPLOAD_MEDIA_SUCCESS });
       return { assetUrn: result.assetUrn };
     } catch (error) {
@@ -435,11 +1303,28 @@ export const DraftProvider = ({ children }) => {
     filteredDrafts: getFilteredDrafts(),
     fetchDrafts,
     processVoiceRecording,
+    retryPendingRecording,
+    retryAllPendingRecordings,
+    discardPendingRecording,
     updateDraftText,
     updateDraftTone,
+    renameDraftTone,
+    markDraftPublished,
+    translateDraft,
+    getRefinementVariants,
+    chooseVariant,
+    getSuggestions,
     saveDraft,
+    resolveConflict,
+    getRevisions,
+    recordRevision,
     scheduleDraft,
     deleteDraft,
+    getSyncStatus,
+    retrySync,
+    getSyncConflict,
+    discardPendingChanges,
+    syncPendingMutations,
     setCurrentDraft,
     clearCurrentDraft,
     setFilter,
@@ -0,0 +1,210 @@
+// src/context/ToneContext.js
+
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useReducer,
+  useRef,
+} from "react";
+import toneService from "../services/toneService";
+import { BUILT_IN_TONES } from "../models/Tone";
+import { useAuth } from "./AuthContext";
+import { useUser } from "./UserContext";
+
+/**
+ * Tone state structure
+ */
+const initialState = {
+  customTones: [],
+  isLoading: false,
+  error: null,
+};
+
+/**
+ * Action types
+ */
+const TONE_ACTIONS = {
+  FETCH_TONES_START: "FETCH_TONES_START",
+  FETCH_TONES_SUCCESS: "FETCH_TONES_SUCCESS",
+  FETCH_TONES_FAIL: "FETCH_TONES_FAIL",
+
+  CREATE_TONE_SUCCESS: "CREATE_TONE_SUCCESS",
+  UPDATE_TONE_SUCCESS: "UPDATE_TONE_SUCCESS",
+  DELETE_TONE_SUCCESS: "DELETE_TONE_SUCCESS",
+
+  RESET: "RESET",
+};
+
+/**
+ * Tone reducer
+ */
+const toneReducer = (state, action) => {
+  switch (action.type) {
+    case TONE_ACTIONS.FETCH_TONES_START:
+      return { ...state, isLoading: true, error: null };
+
+    case TONE_ACTIONS.FETCH_TONES_SUCCESS:
+      return { ...state, customTones: action.payload.tones, isLoading: false };
+
+    case TONE_ACTIONS.FETCH_TONES_FAIL:
+      return { ...state, isLoading: false, error: action.payload.error };
+
+    case TONE_ACTIONS.CREATE_TONE_SUCCESS:
+      return {
+        ...state,
+        customTones: [...state.customTones, action.payload.tone],
+      };
+
+    case TONE_ACTIONS.UPDATE_TONE_SUCCESS:
+      return {
+        ...state,
+        customTones: state.customTones.map((t) =>
+          t.id === action.payload.tone.id ? action.payload.tone : t,
+        ),
+      };
+
+    case TONE_ACTIONS.DELETE_TONE_SUCCESS:
+      return {
+        ...state,
+        customTones: state.customTones.filter(
+          (t) => t.id !== action.payload.toneId,
+        ),
+      };
+
+    case TONE_ACTIONS.RESET:
+      return initialState;
+
+    default:
+      return state;
+  }
+};
+
+/**
+ * Tone Context
+ */
+const ToneContext = createContext(null);
+
+/**
+ * Tone Provider Component
+ */
+export const ToneProvider = ({ children }) => {
+  const [state, dispatch] = useReducer(toneReducer, initialState);
+  const { isAuthenticated } = useAuth();
+  const { preferredTone, setPreferredTone } = useUser();
+  const wasAuthenticatedRef = useRef(false);
+
+  /**
+   * Load the user's custom tones
+   */
+  const fetchTones = useCallback(async () => {
+    dispatch({ type: TONE_ACTIONS.FETCH_TONES_START });
+    try {
+      const tones = await toneService.getCustomTones();
+      dispatch({ type: TONE_ACTIONS.FETCH_TONES_SUCCESS, payload: { tones } });
+    } catch (error) {
+      dispatch({
+        type: TONE_ACTIONS.FETCH_TONES_FAIL,
+        payload: { error: error.message },
+      });
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      wasAuthenticatedRef.current = true;
+      fetchTones();
+    } else if (wasAuthenticatedRef.current) {
+      wasAuthenticatedRef.current = false;
+      toneService.clear();
+      dispatch({ type: TONE_ACTIONS.RESET });
+    }
+  }, [isAuthenticated, fetchTones]);
+
+  /**
+   * @param {Object} fields - { name, description, examples, doRules, dontRules }
+   */
+  const createTone = useCallback(async (fields) => {
+    try {
+      const tone = await toneService.createTone(fields);
+      dispatch({ type: TONE_ACTIONS.CREATE_TONE_SUCCESS, payload: { tone } });
+      return { success: true, tone };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  /**
+   * Renaming the preferred tone carries the preference over. Drafts in the
+   * tone are renamed by the caller with DraftContext's renameDraftTone,
+   * since drafts live below this provider.
+   */
+  const updateTone = useCallback(
+    async (toneId, fields) => {
+      try {
+        const previous = state.customTones.find((t) => t.id === toneId);
+        const tone = await toneService.updateTone(toneId, fields);
+        dispatch({
+          type: TONE_ACTIONS.UPDATE_TONE_SUCCESS,
+          payload: { tone },
+        });
+        if (previous && previous.name === preferredTone) {
+          setPreferredTone(tone.name);
+        }
+        return { success: true, tone };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+    [state.customTones, preferredTone, setPreferredTone],
+  );
+
+  /**
+   * Drafts already in a deleted tone keep its name; new AI calls for them
+   * fall back to Professional
+   */
+  const deleteTone = useCallback(
+    async (toneId) => {
+      try {
+        const tone = state.customTones.find((t) => t.id === toneId);
+        await toneService.deleteTone(toneId);
+        dispatch({
+          type: TONE_ACTIONS.DELETE_TONE_SUCCESS,
+          payload: { toneId },
+        });
+        if (tone && tone.name === preferredTone) {
+          setPreferredTone(BUILT_IN_TONES[0].name);
+        }
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+    [state.customTones, preferredTone, setPreferredTone],
+  );
+
+  const value = {
+    ...state,
+    tones: [...BUILT_IN_TONES, ...state.customTones],
+    fetchTones,
+    createTone,
+    updateTone,
+    deleteTone,
+  };
+
+  return <ToneContext.Provider value={value}>{children}</ToneContext.Provider>;
+};
+
+/**
+ * Custom hook to use tone context
+ */
+export const useTones = () => {
+  const context = useContext(ToneContext);
+  if (!context) {
+    throw new Error("useTones must be used within a ToneProvider");
+  }
+  return context;
+};
+
+export default ToneContext;
@@ -2,7 +2,13 @@
 
 import React, { createContext, useContext, useReducer, useCallback } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { STORAGE_KEYS, darkTheme, lightTheme } from '../utils/constants';
+import {
+  STORAGE_KEYS,
+  RECORDING_CONFIG,
+  DEFAULT_TRANSCRIPTION_LANGUAGE,
+  darkTheme,
+  lightTheme,
+} from '../utils/constants';
 import { useAuth } from './AuthContext';
 
 /**
@@ -13,6 +19,11 @@ const initialState = {
   theme: darkTheme,
   preferredTone: 'Professional',
   notificationsEnabled: true,
+  autoStopEnabled: true,
+  autoStopSilenceMs: RECORDING_CONFIG.AUTO_STOP_SILENCE_MS,
+  liveTranscriptionEnabled: false,
+  variantsEnabled: false,
+  transcriptionLanguage: DEFAULT_TRANSCRIPTION_LANGUAGE,
 };
 
 /**
@@ -22,6 +33,10 @@ const USER_ACTIONS = {
   SET_THEME_MODE: 'SET_THEME_MODE',
   SET_PREFERRED_TONE: 'SET_PREFERRED_TONE',
   SET_NOTIFICATIONS: 'SET_NOTIFICATIONS',
+  SET_AUTO_STOP: 'SET_AUTO_STOP',
+  SET_LIVE_TRANSCRIPTION: 'SET_LIVE_TRANSCRIPTION',
+  SET_VARIANTS: 'SET_VARIANTS',
+  SET_TRANSCRIPTION_LANGUAGE: 'SET_TRANSCRIPTION_LANGUAGE',
   LOAD_PREFERENCES: 'LOAD_PREFERENCES',
 };
 
@@ -49,6 +64,31 @@ const userReducer = (state, action) => {
         notificationsEnabled: action.payload,
       };
 
+    case USER_ACTIONS.SET_AUTO_STOP:
+      return {
+        ...state,
+        autoStopEnabled: action.payload.enabled,
+        autoStopSilenceMs: action.payload.silenceMs,
+      };
+
+    case USER_ACTIONS.SET_LIVE_TRANSCRIPTION:
+      return {
+        ...state,
+        liveTranscriptionEnabled: action.payload,
+      };
+
+    case USER_ACTIONS.SET_VARIANTS:
+      return {
+        ...state,
+        variantsEnabled: action.payload,
+      };
+
+    case USER_ACTIONS.SET_TRANSCRIPTION_LANGUAGE:
+      return {
+        ...state,
+        transcriptionLanguage: action.payload,
+      };
+
     case USER_ACTIONS.LOAD_PREFERENCES:
       return {
         ...state,
@@ -81,12 +121,30 @@ export const UserProvider = ({ children }) => {
       try {
         const themeModeStr = await AsyncStorage.getItem(STORAGE_KEYS.THEME_MODE);
         const isDarkMode = themeModeStr !== 'light'; // Default to dark
+        const autoStopStr = await AsyncStorage.getItem(STORAGE_KEYS.AUTO_STOP);
+        const autoStop = autoStopStr ? JSON.parse(autoStopStr) : {};
+        const liveTranscriptionStr = await AsyncStorage.getItem(
+          STORAGE_KEYS.LIVE_TRANSCRIPTION
+        );
+        const transcriptionLanguage = await AsyncStorage.getItem(
+          STORAGE_KEYS.TRANSCRIPTION_LANGUAGE
+        );
+        const variantsStr = await AsyncStorage.getItem(
+          STORAGE_KEYS.REFINEMENT_VARIANTS
+        );
 
         dispatch({
           type: USER_ACTIONS.LOAD_PREFERENCES,
           payload: {
             isDarkMode,
             preferredTone: user?.preferredTone || 'Professional',
+            autoStopEnabled: autoStop.enabled ?? true,
+            autoStopSilenceMs:
+              autoStop.silenceMs || RECORDING_CONFIG.AUTO_STOP_SILENCE_MS,
+            liveTranscriptionEnabled: liveTranscriptionStr === 'true',
+            variantsEnabled: variantsStr === 'true',
+            transcriptionLanguage:
+              transcriptionLanguage || DEFAULT_TRANSCRIPTION_LANGUAGE,
           },
         });
       } catch (error) {
@@ -165,12 +223,82 @@ export const UserProvider = ({ children }) => {
     });
   }, [state.notificationsEnabled]);
 
+  /**
+   * Update the silence auto-stop setting for voice capture
+   * @param {Object} updates - { enabled?, silenceMs? }
+   */
+  const setAutoStop = useCallback(async (updates) => {
+    const autoStop = {
+      enabled: state.autoStopEnabled,
+      silenceMs: state.autoStopSilenceMs,
+      ...updates,
+    };
+
+    dispatch({
+      type: USER_ACTIONS.SET_AUTO_STOP,
+      payload: autoStop,
+    });
+
+    await AsyncStorage.setItem(STORAGE_KEYS.AUTO_STOP, JSON.stringify(autoStop));
+  }, [state.autoStopEnabled, state.autoStopSilenceMs]);
+
+  /**
+   * Toggle live transcription while recording
+   */
+  const toggleLiveTranscription = useCallback(async () => {
+    const newValue = !state.liveTranscriptionEnabled;
+
+    dispatch({
+      type: USER_ACTIONS.SET_LIVE_TRANSCRIPTION,
+      payload: newValue,
+    });
+
+    await AsyncStorage.setItem(
+      STORAGE_KEYS.LIVE_TRANSCRIPTION,
+      String(newValue)
+    );
+  }, [state.liveTranscriptionEnabled]);
+
+  /**
+   * Toggle offering several refinements to choose from after recording
+   */
+  const toggleVariants = useCallback(async () => {
+    const newValue = !state.variantsEnabled;
+
+    dispatch({
+      type: USER_ACTIONS.SET_VARIANTS,
+      payload: newValue,
+    });
+
+    await AsyncStorage.setItem(
+      STORAGE_KEYS.REFINEMENT_VARIANTS,
+      String(newValue)
+    );
+  }, [state.variantsEnabled]);
+
+  /**
+   * Set the language recordings are spoken in
+   * @param {string} language - Language code, or 'auto' to detect it
+   */
+  const setTranscriptionLanguage = useCallback(async (language) => {
+    dispatch({
+      type: USER_ACTIONS.SET_TRANSCRIPTION_LANGUAGE,
+      payload: language,
+    });
+
+    await AsyncStorage.setItem(STORAGE_KEYS.TRANSCRIPTION_LANGUAGE, language);
+  }, []);
+
   const value = {
     ...state,
     toggleTheme,
     setThemeMode,
     setPreferredTone,
     toggleNotifications,
+    setAutoStop,
+    toggleLiveTranscription,
+    toggleVariants,
+    setTranscriptionLanguage,
   };
 
   return (
@@ -0,0 +1,140 @@
+// src/hooks/useAutosave.js
+import { useState, useRef, useCallback, useEffect } from "react";
+import { AppState } from "react-native";
+import recoveryService from "../services/recoveryService";
+import { EDITOR_CONFIG } from "../utils/constants";
+
+export const SAVE_STATUS = {
+  IDLE: "idle",
+  PENDING: "pending",
+  SAVING: "saving",
+  SAVED: "saved",
+  ERROR: "error",
+};
+
+/**
+ * Debounced autosave for the editor.
+ * Changes are saved once editing pauses, and flushed right away when the
+ * app goes to the background or the screen unmounts. A local snapshot is
+ * kept until the save lands so a crash doesn't lose the edit.
+ *
+ * @param {Object}   options
+ * @param {string}   options.draftId
+ * @param {Object}   options.data    - Fields to save
+ * @param {boolean}  options.isDirty - Whether `data` differs from the saved draft
+ * @param {boolean}  [options.enabled]
+ * @param {function} options.onSave  - async (data) => boolean
+ * @param {number}   [options.delayMs]
+ */
+export const useAutosave = ({
+  draftId,
+  data,
+  isDirty,
+  enabled = true,
+  onSave,
+  delayMs = EDITOR_CONFIG.AUTOSAVE_DELAY_MS,
+}) => {
+  const [status, setStatus] = useState(SAVE_STATUS.IDLE);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const latest = useRef({ draftId, data, isDirty, enabled, onSave });
+  const saveTimer = useRef(null);
+  const snapshotTimer = useRef(null);
+  const inFlight = useRef(null);
+  const lastSavedJson = useRef(null);
+
+  const serialized = JSON.stringify(data);
+
+  useEffect(() => {
+    latest.current = { draftId, data, isDirty, enabled, onSave };
+  });
+
+  /**
+   * Save now if there's anything unsaved.
+   * @returns {Promise<boolean>} true when nothing is left unsaved
+   */
+  const flush = useCallback(async () => {
+    clearTimeout(saveTimer.current);
+    // Let a running save finish first, then re-check what's left
+    if (inFlight.current) await inFlight.current;
+
+    const {
+      draftId: id,
+      data: current,
+      isDirty: dirty,
+      enabled: on,
+    } = latest.current;
+    const json = JSON.stringify(current);
+    if (!id || !dirty || json === lastSavedJson.current) return true;
+    if (!on) return false;
+
+    setStatus(SAVE_STATUS.SAVING);
+    inFlight.current = latest.current.onSave(current).catch(() => false);
+    const saved = await inFlight.current;
+    inFlight.current = null;
+
+    if (saved) {
+      lastSavedJson.current = json;
+      setLastSavedAt(new Date());
+      setStatus(SAVE_STATUS.SAVED);
+      // Keep the snapshot if more edits came in while we were saving
+      if (JSON.stringify(latest.current.data) === json) {
+        clearTimeout(snapshotTimer.current);
+        recoveryService.clearEditorSnapshot(id);
+      }
+    } else {
+      setStatus(SAVE_STATUS.ERROR);
+    }
+    return saved;
+  }, []);
+
+  // Debounce saves (and the cheaper local snapshot) while editing
+  useEffect(() => {
+    if (draftId && !isDirty) {
+      // Matches the server copy, whoever saved it
+      lastSavedJson.current = serialized;
+      clearTimeout(snapshotTimer.current);
+      return;
+    }
+    if (!draftId || !enabled) return;
+    if (serialized === lastSavedJson.current) return;
+
+    setStatus(SAVE_STATUS.PENDING);
+    clearTimeout(snapshotTimer.current);
+    snapshotTimer.current = setTimeout(
+      () => recoveryService.saveEditorSnapshot(draftId, JSON.parse(serialized)),
+      EDITOR_CONFIG.SNAPSHOT_DELAY_MS,
+    );
+    clearTimeout(saveTimer.current);
+    saveTimer.current = setTimeout(flush, delayMs);
+  }, [draftId, serialized, isDirty, enabled, delayMs, flush]);
+
+  // A new draft starts with a clean slate
+  useEffect(() => {
+    setLastSavedAt(null);
+    setStatus(SAVE_STATUS.IDLE);
+  }, [draftId]);
+
+  // Flush when the app is backgrounded — it may never come back
+  useEffect(() => {
+    const subscription = AppState.addEventListener("change", (state) => {
+      if (state === "background" || state === "inactive") flush();
+    });
+    return () => subscription.remove();
+  }, [flush]);
+
+  // ...and when leaving the screen
+  useEffect(
+    () => () => {
+      clearTimeout(snapshotTimer.current);
+      const { draftId: id, data: current, isDirty: dirty } = latest.current;
+      if (id && dirty && JSON.stringify(current) !== lastSavedJson.current) {
+        // Cleared again by flush if the save goes through
+        recoveryService.saveEditorSnapshot(id, current);
+        flush();
+      }
+    },
+    [flush],
+  );
+
+  return { status, lastSavedAt, flush };
+};
@@ -0,0 +1,74 @@
+// src/hooks/useRecordingRecovery.js
+import { useEffect } from "react";
+import { Alert } from "react-native";
+import { useRouter } from "expo-router";
+import recoveryService from "../services/recoveryService";
+import recordingStorage from "../services/recordingStorage";
+import { RECORDING_CONFIG } from "../utils/constants";
+import { formatDuration } from "../utils/validators";
+
+/**
+ * Offers to recover a recording the app was killed or interrupted in the
+ * middle of. Processing it hands the take to the Record screen, where it
+ * can be sent as-is or added to.
+ */
+export const useRecordingRecovery = () => {
+  const router = useRouter();
+
+  useEffect(() => {
+    const checkForUnfinished = async () => {
+      const marker = await recoveryService.getRecordingMarker();
+      if (!marker) return;
+
+      // Markers from before live transcription name a single file
+      const allChunks = marker.chunks || [
+        { uri: marker.uri, durationMs: marker.durationMs },
+      ];
+      const found = await Promise.all(
+        allChunks.map((chunk) => recordingStorage.exists(chunk.uri)),
+      );
+      const existing = allChunks.filter((chunk, i) => found[i]);
+      const durationMs = existing.reduce((sum, c) => sum + c.durationMs, 0);
+      if (durationMs < RECORDING_CONFIG.MIN_DURATION_MS) {
+        // Nothing worth offering
+        await recoveryService.clearRecordingMarker();
+        return;
+      }
+
+      // Out of the cache folder before the OS gets to them
+      const chunks = await Promise.all(
+        existing.map(async (chunk) => ({
+          uri: await recordingStorage.persistRecording(chunk.uri),
+          durationMs: chunk.durationMs,
+        })),
+      );
+      await recoveryService.clearRecordingMarker();
+
+      Alert.alert(
+        "Unfinished Recording",
+        `You have an unfinished recording (${formatDuration(
+          durationMs,
+        )}). Process it or discard it?`,
+        [
+          {
+            text: "Discard",
+            style: "destructive",
+            onPress: () =>
+              recordingStorage.deleteRecordings(chunks.map((c) => c.uri)),
+          },
+          {
+            text: "Process It",
+            onPress: () =>
+              router.push({
+                pathname: "/(tabs)/record",
+                params: { recoveredChunks: JSON.stringify(chunks) },
+              }),
+          },
+        ],
+        { cancelable: false },
+      );
+    };
+
+    checkForUnfinished();
+  }, [router]);
+};
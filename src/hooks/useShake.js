@@ -0,0 +1,59 @@
+// src/hooks/useShake.js
+import { useEffect, useRef } from "react";
+import { Accelerometer } from "expo-sensors";
+import { EDITOR_CONFIG } from "../utils/constants";
+
+const UPDATE_INTERVAL_MS = 100;
+
+/**
+ * Calls `onShake` when the device is shaken.
+ * Readings are in g, so a phone at rest reads ~1 — a shake is a spike well
+ * above that. Further shakes are ignored for the cooldown period.
+ *
+ * @param {function} onShake
+ * @param {Object}   [options]
+ * @param {boolean}  [options.enabled]
+ * @param {number}   [options.threshold]  - Acceleration in g that counts
+ * @param {number}   [options.cooldownMs]
+ */
+export const useShake = (
+  onShake,
+  {
+    enabled = true,
+    threshold = EDITOR_CONFIG.SHAKE_THRESHOLD_G,
+    cooldownMs = EDITOR_CONFIG.SHAKE_COOLDOWN_MS,
+  } = {},
+) => {
+  const onShakeRef = useRef(onShake);
+  const lastShakeAt = useRef(0);
+
+  useEffect(() => {
+    onShakeRef.current = onShake;
+  }, [onShake]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    let subscription = null;
+    let cancelled = false;
+
+    Accelerometer.isAvailableAsync()
+      .then((available) => {
+        if (!available || cancelled) return;
+        Accelerometer.setUpdateInterval(UPDATE_INTERVAL_MS);
+        subscription = Accelerometer.addListener(({ x, y, z }) => {
+          const force = Math.sqrt(x * x + y * y + z * z);
+          const now = Date.now();
+          if (force > threshold && now - lastShakeAt.current > cooldownMs) {
+            lastShakeAt.current = now;
+            onShakeRef.current?.();
+          }
+        });
+      })
+      .catch(() => {});
+
+    return () => {
+      cancelled = true;
+      subscription?.remove();
+    };
+  }, [enabled, threshold, cooldownMs]);
+};
@@ -0,0 +1,92 @@
+// src/hooks/useStreamingTranscription.js
+import { useState, useRef, useCallback } from "react";
+import aiService from "../services/aiService";
+import { DEFAULT_TRANSCRIPTION_LANGUAGE } from "../utils/constants";
+
+const createSessionId = () =>
+  `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+const joinChunks = (chunks) =>
+  chunks
+    .map((c) => c.transcript)
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * Transcribes a recording while it's still going.
+ * The recorder hands over each finished chunk; chunks are uploaded one at
+ * a time, in order, and `partialText` grows as their text comes back.
+ * A chunk that fails keeps `transcript: null` and is transcribed again
+ * when the recording is processed.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.language] - Spoken language code, or "auto"
+ */
+export const useStreamingTranscription = ({
+  language = DEFAULT_TRANSCRIPTION_LANGUAGE,
+} = {}) => {
+  const [partialText, setPartialText] = useState("");
+  const chunksRef = useRef([]);
+  const queueRef = useRef(Promise.resolve());
+  const sessionIdRef = useRef(createSessionId());
+
+  /**
+   * Start over for a new recording. Uploads still running for the old one
+   * are ignored when they finish.
+   */
+  const reset = useCallback(() => {
+    chunksRef.current = [];
+    queueRef.current = Promise.resolve();
+    sessionIdRef.current = createSessionId();
+    setPartialText("");
+  }, []);
+
+  /**
+   * Queue a finished chunk for transcription
+   * @param {Object} chunk - { uri, durationMs }
+   */
+  const addChunk = useCallback(
+    ({ uri, durationMs }) => {
+      const chunk = { uri, durationMs, transcript: null, language: null };
+      const index = chunksRef.current.length;
+      const sessionId = sessionIdRef.current;
+      chunksRef.current.push(chunk);
+
+      queueRef.current = queueRef.current.then(async () => {
+        try {
+          const result = await aiService.transcribeChunk(uri, {
+            sessionId,
+            index,
+            language,
+          });
+          if (sessionId !== sessionIdRef.current) return;
+          chunk.transcript = result.text;
+          chunk.language = result.language;
+          setPartialText(joinChunks(chunksRef.current));
+        } catch (error) {
+          console.warn("Live transcription chunk failed:", error);
+        }
+      });
+    },
+    [language],
+  );
+
+  /**
+   * Wait for queued chunks, but no longer than `timeoutMs`
+   * @param {number} timeoutMs
+   * @returns {Promise<Array<{uri, durationMs, transcript, language}>>} Every chunk, in order
+   */
+  const finish = useCallback(async (timeoutMs) => {
+    let timer;
+    await Promise.race([
+      queueRef.current,
+      new Promise((resolve) => {
+        timer = setTimeout(resolve, timeoutMs);
+      }),
+    ]);
+    clearTimeout(timer);
+    return chunksRef.current.map((c) => ({ ...c }));
+  }, []);
+
+  return { partialText, addChunk, finish, reset };
+};
@@ -0,0 +1,149 @@
+// src/hooks/useUndoRedo.js
+import { useState, useRef, useCallback, useEffect } from "react";
+import { EDITOR_CONFIG } from "../utils/constants";
+
+const isSameSnapshot = (a, b) =>
+  !!a && !!b && a.text === b.text && a.tone === b.tone;
+
+/**
+ * In-session undo/redo for the editor.
+ * Snapshots are `{ text, tone }`. AI operations are recorded as single
+ * steps; typing is grouped into one step per pause.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.limit]         - Max undo steps kept
+ * @param {number} [options.typingDelayMs] - Pause that closes a typing step
+ */
+export const useUndoRedo = ({
+  limit = EDITOR_CONFIG.UNDO_LIMIT,
+  typingDelayMs = EDITOR_CONFIG.TYPING_CHECKPOINT_MS,
+} = {}) => {
+  const past = useRef([]);
+  const future = useRef([]);
+  const present = useRef(null);
+  const pendingTyping = useRef(null);
+  const typingTimer = useRef(null);
+  const [counts, setCounts] = useState({ undo: 0, redo: 0 });
+
+  const syncCounts = useCallback(() => {
+    setCounts({ undo: past.current.length, redo: future.current.length });
+  }, []);
+
+  const commit = useCallback(
+    (snapshot, label) => {
+      if (!present.current || isSameSnapshot(snapshot, present.current)) {
+        present.current = present.current || { ...snapshot, label };
+        return;
+      }
+      past.current = [...past.current, present.current].slice(-limit);
+      present.current = { ...snapshot, label };
+      future.current = [];
+      syncCounts();
+    },
+    [limit, syncCounts],
+  );
+
+  const flushTyping = useCallback(() => {
+    clearTimeout(typingTimer.current);
+    typingTimer.current = null;
+    if (pendingTyping.current) {
+      commit(pendingTyping.current, "typing");
+      pendingTyping.current = null;
+      syncCounts();
+    }
+  }, [commit, syncCounts]);
+
+  useEffect(() => () => clearTimeout(typingTimer.current), []);
+
+  /**
+   * Start a fresh history from the given snapshot (e.g. a newly loaded draft)
+   */
+  const reset = useCallback(
+    (snapshot) => {
+      clearTimeout(typingTimer.current);
+      pendingTyping.current = null;
+      past.current = [];
+      future.current = [];
+      present.current = { ...snapshot, label: null };
+      syncCounts();
+    },
+    [syncCounts],
+  );
+
+  /**
+   * Record a discrete change (tone change, voice edit, restore...)
+   * @param {Object} snapshot - { text, tone } after the change
+   * @param {string} label    - Shown when undoing, e.g. "tone change"
+   */
+  const record = useCallback(
+    (snapshot, label) => {
+      flushTyping();
+      commit(snapshot, label);
+    },
+    [flushTyping, commit],
+  );
+
+  /**
+   * Note a keystroke; becomes an undo step once typing pauses
+   */
+  const recordTyping = useCallback(
+    (snapshot) => {
+      pendingTyping.current = snapshot;
+      clearTimeout(typingTimer.current);
+      typingTimer.current = setTimeout(flushTyping, typingDelayMs);
+      if (!isSameSnapshot(snapshot, present.current)) {
+        // Reflect the step-to-be in the buttons before the pause closes it
+        setCounts({ undo: past.current.length + 1, redo: 0 });
+      }
+    },
+    [flushTyping, typingDelayMs],
+  );
+
+  /**
+   * Step back one change
+   * @returns {{ snapshot: Object, label: string }|null} state to apply
+   */
+  const undo = useCallback(() => {
+    flushTyping();
+    if (past.current.length === 0) return null;
+    const undone = present.current;
+    future.current = [...future.current, undone];
+    present.current = past.current[past.current.length - 1];
+    past.current = past.current.slice(0, -1);
+    syncCounts();
+    return { snapshot: present.current, label: undone.label };
+  }, [flushTyping, syncCounts]);
+
+  /**
+   * Re-apply the last undone change
+   * @returns {{ snapshot: Object, label: string }|null} state to apply
+   */
+  const redo = useCallback(() => {
+    flushTyping();
+    if (future.current.length === 0) return null;
+    past.current = [...past.current, present.current];
+    present.current = future.current[future.current.length - 1];
+    future.current = future.current.slice(0, -1);
+    syncCounts();
+    return { snapshot: present.current, label: present.current.label };
+  }, [flushTyping, syncCounts]);
+
+  /**
+   * Label of the change Undo would revert, for prompts like "Undo typing?"
+   */
+  const peekUndoLabel = useCallback(
+    () => (pendingTyping.current ? "typing" : present.current?.label),
+    [],
+  );
+
+  return {
+    reset,
+    record,
+    recordTyping,
+    undo,
+    redo,
+    peekUndoLabel,
+    canUndo: counts.undo > 0,
+    canRedo: counts.redo > 0,
+  };
+};
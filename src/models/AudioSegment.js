@@ -0,0 +1,53 @@
+// src/models/AudioSegment.js
+
+/**
+ * One take in a multi-part voice post. Segments are recorded one after
+ * another, can be reordered, and are processed together into one draft.
+ */
+
+/**
+ * Creates an audio segment object
+ * @param {Object} params
+ * @param {string} params.uri        - Device-local recording file; stored ones by name (see recordingStorage)
+ * @param {number} params.durationMs
+ * @param {string} [params.mimeType] - For imported files
+ * @param {string} [params.fileName] - Original name of an imported file
+ * @param {string} [params.transcript] - Text already transcribed live
+ * @param {string} [params.language] - Language heard in that text
+ * @param {boolean} [params.continuesPrevious] - Chunk cut from the same take as the one before
+ * @returns {Object} AudioSegment object
+ */
+export const createAudioSegment = ({
+  id = `seg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+  uri = '',
+  durationMs = 0,
+  mimeType = null,
+  fileName = null,
+  transcript = null,
+  language = null,
+  continuesPrevious = false,
+  recordedAt = new Date(),
+}) => ({
+  id,
+  uri,
+  durationMs,
+
+  // Only set for imported files
+  mimeType,
+  fileName,
+
+  // Only set for chunks of a live-transcribed take
+  transcript,
+  language,
+  continuesPrevious,
+
+  recordedAt,
+});
+
+/**
+ * Total length of a list of segments
+ * @param {Object[]} segments
+ * @returns {number}
+ */
+export const getTotalDurationMs = (segments) =>
+  segments.reduce((total, segment) => total + (segment.durationMs || 0), 0);
@@ -1,6 +1,8 @@
+import { TONES } from '../utils/constants';
+
 /**
  * Draft status options: 'draft' | 'scheduled' | 'published'
- * Tone options: 'Professional' | 'Reflective' | 'Thought Leader' | 'Casual-Pro'
+ * Tone: a built-in tone or the name of one of the user's custom tones
  */
 
 /**
@@ -20,12 +22,18 @@ export const createDraft = ({
   userEditedText = '',
   title = '',
   tone = 'Professional',
+  language = null,
+  translationOf = null,
   status = 'draft',
   scheduledAt = null,
   publishedAt = null,
   audioUri = null,
   audioDurationMs = 0,
-  mediaAttachments = []
+  audioSegments = [],
+  mediaAttachments = [],
+  createdAt = new Date(),
+  updatedAt = new Date(),
+  version = 0
 }) => ({
   id,
   userId,
@@ -38,23 +46,58 @@ export const createDraft = ({
   // Metadata
   title,
   tone,
+  language,             // Spoken language of the recording, e.g. 'en' (detected when auto)
   status,
+
+  // Id of the draft this one was translated from, null for originals
+  translationOf,
   
   // Scheduling
   scheduledAt,
   publishedAt,
   
   // Timestamps
-  createdAt: new Date(),
-  updatedAt: new Date(),
+  createdAt,
+  updatedAt,
+
+  // Server revision counter, sent back on updates to detect conflicts
+  version,
   
   // Audio reference (optional, for replay)
   audioUri,
   audioDurationMs,
+  audioSegments,       // [{ uri, durationMs }] when recorded in several takes
 
   mediaAttachments
 });
 
+/**
+ * Gets the draft's recordings in playback order
+ * @param {Object} draft
+ * @returns {Array<{uri: string, durationMs: number}>}
+ */
+export const getAudioSources = (draft) => {
+  if (draft.audioSegments?.length > 0) return draft.audioSegments;
+  return draft.audioUri
+    ? [{ uri: draft.audioUri, durationMs: draft.audioDurationMs }]
+    : [];
+};
+
+/**
+ * Orders drafts so each one's translations follow right after it.
+ * Translations whose original isn't in the list stay where they are.
+ * @param {Object[]} drafts
+ * @returns {Object[]}
+ */
+export const groupTranslations = (drafts) => {
+  const ids = new Set(drafts.map((d) => d.id));
+  const isGrouped = (d) => !!d.translationOf && ids.has(d.translationOf);
+  return drafts.flatMap((d) => {
+    if (isGrouped(d)) return [];
+    return [d, ...drafts.filter((t) => isGrouped(t) && t.translationOf === d.id)];
+  });
+};
+
 /**
  * Gets display-ready text (prioritizes user edits)
  * @param {Object} draft
@@ -77,14 +120,10 @@ export const generateTitleFromContent = (text, maxLength = 40) => {
 };
 
 /**
- * Available tones
+ * Built-in tones. Users can add their own, so a draft's tone may be any
+ * tone name (see models/Tone).
  */
-export const DRAFT_TONES = [
-  'Professional',
-  'Reflective',
-  'Thought Leader',
-  'Casual-Pro',
-];
+export const DRAFT_TONES = TONES;
 
 /**
  * Available statuses
@@ -0,0 +1,69 @@
+// src/models/Revision.js
+
+/**
+ * A revision is a snapshot of a draft's text at one point in its history,
+ * tagged with what produced it.
+ */
+
+export const REVISION_SOURCES = {
+  REFINE: 'refine',
+  USER_EDIT: 'user_edit',
+  TONE_CHANGE: 'tone_change',
+  VOICE_EDIT: 'voice_edit',
+  TEXT_EDIT: 'text_edit',
+  RESTORE: 'restore',
+  TRANSLATE: 'translate',
+  VARIANT: 'variant',
+  SUGGESTION: 'suggestion',
+};
+
+export const REVISION_SOURCE_LABELS = {
+  [REVISION_SOURCES.REFINE]: 'AI refine',
+  [REVISION_SOURCES.USER_EDIT]: 'Your edit',
+  [REVISION_SOURCES.TONE_CHANGE]: 'Tone change',
+  [REVISION_SOURCES.VOICE_EDIT]: 'Voice edit',
+  [REVISION_SOURCES.TEXT_EDIT]: 'Typed edit',
+  [REVISION_SOURCES.RESTORE]: 'Restored',
+  [REVISION_SOURCES.TRANSLATE]: 'Translation',
+  [REVISION_SOURCES.VARIANT]: 'Alternative',
+  [REVISION_SOURCES.SUGGESTION]: 'Suggestion',
+};
+
+/**
+ * Creates a revision object
+ * @param {Object} params
+ * @param {string} params.draftId
+ * @param {string} params.text
+ * @param {string} params.tone
+ * @param {string} params.source - One of REVISION_SOURCES
+ * @param {string} [params.note]  - Extra context, e.g. the tone changed from
+ * @returns {Object} Revision object
+ */
+export const createRevision = ({
+  id = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+  draftId = '',
+  text = '',
+  tone = 'Professional',
+  source = REVISION_SOURCES.USER_EDIT,
+  note = null,
+  createdAt = new Date(),
+}) => ({
+  id,
+  draftId,
+  text,
+  tone,
+  source,
+  note,
+  createdAt,
+});
+
+/**
+ * Works out which source produced a draft's current text, for seeding
+ * the history of drafts created before revisions were tracked
+ * @param {Object} draft
+ * @returns {string}
+ */
+export const inferRevisionSource = (draft) =>
+  draft.userEditedText && draft.userEditedText !== draft.aiRefinedText
+    ? REVISION_SOURCES.USER_EDIT
+    : REVISION_SOURCES.REFINE;
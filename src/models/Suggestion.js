@@ -0,0 +1,48 @@
+// src/models/Suggestion.js
+
+/**
+ * A suggestion is one improvement the AI proposes for a post, such as a
+ * stronger hook or a call to action. Its instruction is what gets sent to
+ * the edit endpoint when the user applies it.
+ */
+
+/**
+ * Creates a suggestion object
+ * @param {Object} params
+ * @param {string} params.id
+ * @param {string} params.title - Short summary, e.g. "Open with a stronger hook"
+ * @param {string} [params.detail] - Why it would help
+ * @param {string} params.instruction - Edit instruction that applies it
+ * @returns {Object} Suggestion object
+ */
+export const createSuggestion = ({
+  id = '',
+  title = '',
+  detail = '',
+  instruction = '',
+}) => ({
+  id,
+  title,
+  detail,
+  instruction,
+});
+
+/**
+ * Normalises suggestions from the AI endpoints, which may be plain
+ * strings or objects
+ * @param {Array<string|Object>} raw
+ * @returns {Object[]} Suggestion objects, without empty ones
+ */
+export const toSuggestions = (raw) =>
+  (raw || [])
+    .map((item, i) =>
+      typeof item === 'string'
+        ? createSuggestion({ id: `${i}`, title: item, instruction: item })
+        : createSuggestion({
+            id: item.id ? `${item.id}` : `${i}`,
+            title: item.title || item.instruction || '',
+            detail: item.detail || item.reason || '',
+            instruction: item.instruction || item.title || '',
+          }),
+    )
+    .filter((s) => s.instruction.trim());
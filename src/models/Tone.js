@@ -0,0 +1,66 @@
+// src/models/Tone.js
+
+import { TONES, TONE_DESCRIPTIONS } from '../utils/constants';
+
+/**
+ * A tone tells the AI how a post should sound. The built-in tones only
+ * have a name and description; custom tones a user writes can add example
+ * posts and do/don't rules. Drafts refer to their tone by name.
+ */
+
+/**
+ * Creates a tone object
+ * @param {Object} params
+ * @param {string} params.id
+ * @param {string} params.name
+ * @param {string} params.description
+ * @param {string[]} [params.examples]  - Posts written in this tone
+ * @param {string[]} [params.doRules]   - e.g. "Open with a question"
+ * @param {string[]} [params.dontRules] - e.g. "No emojis"
+ * @param {boolean} [params.isCustom]
+ * @returns {Object} Tone object
+ */
+export const createTone = ({
+  id = '',
+  name = '',
+  description = '',
+  examples = [],
+  doRules = [],
+  dontRules = [],
+  isCustom = true,
+  createdAt = new Date(),
+  updatedAt = new Date(),
+}) => ({
+  id,
+  name,
+  description,
+  examples,
+  doRules,
+  dontRules,
+  isCustom,
+  createdAt,
+  updatedAt,
+});
+
+/**
+ * The four tones every user has
+ */
+export const BUILT_IN_TONES = TONES.map((name) =>
+  createTone({
+    id: name,
+    name,
+    description: TONE_DESCRIPTIONS[name],
+    isCustom: false,
+  })
+);
+
+/**
+ * Fields the AI endpoints take to describe a tone
+ * @param {Object} tone
+ * @returns {Object} { toneDescription, toneExamples, toneRules }
+ */
+export const getTonePromptFields = (tone) => ({
+  toneDescription: tone.description,
+  toneExamples: tone.examples,
+  toneRules: { do: tone.doRules, dont: tone.dontRules },
+});
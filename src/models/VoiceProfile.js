@@ -0,0 +1,71 @@
+// src/models/VoiceProfile.js
+
+/**
+ * A voice profile summarises how the user writes, learned from posts
+ * they published or rewrote by hand. It goes along with AI requests so
+ * refined text keeps sounding like them.
+ */
+
+export const EMOJI_USE = {
+  NONE: 'none',
+  LIGHT: 'light',
+  HEAVY: 'heavy',
+};
+
+export const EMOJI_USE_LABELS = {
+  [EMOJI_USE.NONE]: 'None',
+  [EMOJI_USE.LIGHT]: 'A few',
+  [EMOJI_USE.HEAVY]: 'Lots',
+};
+
+/**
+ * Creates a voice profile object
+ * @param {Object} params
+ * @param {boolean} [params.enabled] - Whether AI requests include it
+ * @param {number} params.avgSentenceLength - Words per sentence
+ * @param {string} params.emojiUse - One of EMOJI_USE
+ * @param {string[]} params.signaturePhrases - Phrases the user keeps coming back to
+ * @param {string[]} params.formattingHabits - e.g. "Short paragraphs"
+ * @param {string} [params.notes] - Anything else, written by the user
+ * @param {number} params.sampleCount - Posts it was learned from
+ * @param {boolean} [params.isEdited] - Changed by hand since it was learned
+ * @returns {Object} Voice profile object
+ */
+export const createVoiceProfile = ({
+  enabled = true,
+  avgSentenceLength = 0,
+  emojiUse = EMOJI_USE.NONE,
+  signaturePhrases = [],
+  formattingHabits = [],
+  notes = '',
+  sampleCount = 0,
+  isEdited = false,
+  updatedAt = new Date(),
+}) => ({
+  enabled,
+  avgSentenceLength,
+  emojiUse,
+  signaturePhrases,
+  formattingHabits,
+  notes,
+  sampleCount,
+  isEdited,
+  updatedAt,
+});
+
+/**
+ * The part of the profile the AI endpoints take
+ * @param {Object} profile
+ * @returns {Object|null} null when there's nothing to send
+ */
+export const getVoicePromptFields = (profile) => {
+  if (!profile || !profile.enabled) return null;
+  if (profile.sampleCount === 0 && !profile.isEdited) return null;
+  return {
+    avgSentenceLength: profile.avgSentenceLength,
+    emojiUse: profile.emojiUse,
+    signaturePhrases: profile.signaturePhrases,
+    formattingHabits: profile.formattingHabits,
+    notes: profile.notes,
+  };
+};
@@ -1,25 +1,96 @@
 import api from "./api";
-import { TONE_DESCRIPTIONS } from "../utils/constants";
+import uploadService from "./uploadService";
+import toneService from "./toneService";
+import voiceProfileService from "./voiceProfileService";
+import recordingStorage from "./recordingStorage";
+import {
+  AUTO_DETECT_LANGUAGE,
+  DEFAULT_TRANSCRIPTION_LANGUAGE,
+  VARIANTS_CONFIG,
+} from "../utils/constants";
+import { getTonePromptFields } from "../models/Tone";
+import { toSuggestions } from "../models/Suggestion";
+import { getAudioFilePart } from "../utils/audio";
 
-const aiService = {
-  transcribeAudio: async (audioUri, { language = "en" } = {}) => {
-    const formData = new FormData();
-    formData.append("audio", {
-      uri: audioUri,
-      type: "audio/m4a",
-      name: "recording.m4a",
-    });
-    formData.append("language", language);
+// Custom tones only exist for this user, so the backend gets the whole
+// definition rather than just the name
+const describeTone = (tone) => getTonePromptFields(toneService.getTone(tone));
 
-    const response = await api.post("/ai/transcribe", formData, {
-      headers: { "Content-Type": "multipart/form-data" },
+// How the user writes, so refined text keeps sounding like them.
+// Left out entirely until there's a profile to send.
+const describeVoice = async () => {
+  const voiceProfile = await voiceProfileService.getPromptFields();
+  return voiceProfile ? { voiceProfile } : {};
+};
+
+// Multipart fields have to be strings
+const toFormFields = (fields) =>
+  Object.fromEntries(
+    Object.entries(fields).map(([key, value]) => [
+      key,
+      typeof value === "string" ? value : JSON.stringify(value),
+    ]),
+  );
+
+// The language the backend heard, or the one we asked for
+const resolveLanguage = (response, requested) =>
+  response.language || (requested === AUTO_DETECT_LANGUAGE ? null : requested);
+
+const aiService = {
+  // `mimeType` and `fileName` default from the URI's extension.
+  // `language` can be "auto" to have the backend detect it.
+  // Long recordings are uploaded in resumable chunks (see uploadService).
+  transcribeAudio: async (
+    audioUri,
+    {
+      language = DEFAULT_TRANSCRIPTION_LANGUAGE,
+      mimeType,
+      fileName,
+      onProgress,
+    } = {},
+  ) => {
+    const response = await uploadService.postFile("/ai/transcribe", {
+      field: "audio",
+      file: getAudioFilePart(recordingStorage.resolve(audioUri), {
+        mimeType,
+        fileName,
+      }),
+      fields: { language },
+      onProgress,
       timeout: 120000, // 2 min
+      retry: true,
+      retryTimeouts: false,
     });
 
     return {
       transcript: response.transcript,
       confidence: response.confidence || 1.0,
       durationMs: response.durationMs || 0,
+      language: resolveLanguage(response, language),
+    };
+  },
+
+  // One piece of a recording still in progress. Chunks of the same
+  // recording share a sessionId so the backend can carry context across them
+  transcribeChunk: async (
+    audioUri,
+    { sessionId, index, language = DEFAULT_TRANSCRIPTION_LANGUAGE },
+  ) => {
+    const formData = new FormData();
+    formData.append("audio", getAudioFilePart(audioUri));
+    formData.append("sessionId", sessionId);
+    formData.append("index", String(index));
+    formData.append("language", language);
+
+    const response = await api.post("/ai/transcribe-stream", formData, {
+      headers: { "Content-Type": "multipart/form-data" },
+      timeout: 30000,
+      retry: true,
+    });
+
+    return {
+      text: response.text || "",
+      language: resolveLanguage(response, language),
     };
   },
 
@@ -32,17 +103,17 @@ const aiService = {
       {
         rawTranscript,
         tone,
-        toneDescription:
-          TONE_DESCRIPTIONS[tone] || TONE_DESCRIPTIONS["Professional"],
+        ...describeTone(tone),
         context,
         preserveVoice: true,
+        ...(await describeVoice()),
       },
-      { timeout: 60000 },
+      { timeout: 60000, retry: true },
     );
 
     return {
       refinedText: response.refinedText,
-      suggestions: response.suggestions || [],
+      suggestions: toSuggestions(response.suggestions),
     };
   },
 
@@ -52,28 +123,30 @@ const aiService = {
       {
         text,
         newTone,
-        toneDescription:
-          TONE_DESCRIPTIONS[newTone] || TONE_DESCRIPTIONS["Professional"],
+        ...describeTone(newTone),
+        ...(await describeVoice()),
       },
-      { timeout: 60000 },
+      { timeout: 60000, retry: true },
     );
     return { refinedText: response.refinedText };
   },
 
-  getSuggestions: async (text) => {
+  // Improvements to make to `text`, each with an instruction that
+  // applyVoiceEdit can carry out
+  getSuggestions: async (text, { tone = "Professional" } = {}) => {
     const response = await api.post(
       "/ai/suggestions",
-      { text },
-      { timeout: 30000 },
+      { text, tone, ...describeTone(tone) },
+      { timeout: 30000, retry: true },
     );
-    return { suggestions: response.suggestions || [] };
+    return { suggestions: toSuggestions(response.suggestions) };
   },
 
   generateTitle: async (text) => {
     const response = await api.post(
       "/ai/generate-title",
       { text },
-      { timeout: 30000 },
+      { timeout: 30000, retry: true },
     );
     return response.title;
   },
@@ -81,24 +154,30 @@ const aiService = {
   // Full pipeline — transcribe + refine + title in one backend call
   processVoicePost: async (
     audioUri,
-    { tone = "Professional", language = "en" } = {},
+    {
+      tone = "Professional",
+      language = DEFAULT_TRANSCRIPTION_LANGUAGE,
+      mimeType,
+      fileName,
+      onProgress,
+    } = {},
   ) => {
-    const formData = new FormData();
-    formData.append("audio", {
-      uri: audioUri,
-      type: "audio/m4a",
-      name: "recording.m4a",
-    });
-    formData.append("tone", tone);
-    formData.append(
-      "toneDescription",
-      TONE_DESCRIPTIONS[tone] || TONE_DESCRIPTIONS["Professional"],
-    );
-    formData.append("language", language);
-
-    const response = await api.post("/ai/process-voice", formData, {
-      headers: { "Content-Type": "multipart/form-data" },
+    const response = await uploadService.postFile("/ai/process-voice", {
+      field: "audio",
+      file: getAudioFilePart(recordingStorage.resolve(audioUri), {
+        mimeType,
+        fileName,
+      }),
+      fields: {
+        tone,
+        ...toFormFields(describeTone(tone)),
+        ...toFormFields(await describeVoice()),
+        language,
+      },
+      onProgress,
       timeout: 180000, // 3 minutes — covers long recordings + 3 Groq calls
+      retry: true,
+      retryTimeouts: false,
     });
 
     return {
@@ -107,9 +186,114 @@ const aiService = {
       title: response.title,
       durationMs: response.durationMs || 0,
       confidence: response.confidence || 1.0,
+      language: resolveLanguage(response, language),
+      suggestions: toSuggestions(response.suggestions),
     };
   },
 
+  // Several takes into one post — each is transcribed in order, then the
+  // joined transcript is refined once so the post reads as a whole.
+  // Segments transcribed live already carry a `transcript` and aren't
+  // uploaded again; `continuesPrevious` marks a chunk cut mid-take.
+  processVoiceSegments: async (
+    segments,
+    { tone = "Professional", language = DEFAULT_TRANSCRIPTION_LANGUAGE } = {},
+  ) => {
+    const hasTranscript = (s) => typeof s.transcript === "string";
+    if (segments.length === 1 && !hasTranscript(segments[0])) {
+      const [segment] = segments;
+      return aiService.processVoicePost(segment.uri, {
+        tone,
+        language,
+        mimeType: segment.mimeType,
+      });
+    }
+
+    let transcript = "";
+    let durationMs = 0;
+    let confidence = 1.0;
+    let detectedLanguage = null;
+    for (const segment of segments) {
+      let text = segment.transcript;
+      let segmentMs = segment.durationMs || 0;
+      detectedLanguage = detectedLanguage || segment.language;
+      if (!hasTranscript(segment)) {
+        const result = await aiService.transcribeAudio(segment.uri, {
+          language,
+          mimeType: segment.mimeType,
+        });
+        text = result.transcript;
+        segmentMs = result.durationMs || segmentMs;
+        confidence = Math.min(confidence, result.confidence);
+        detectedLanguage = detectedLanguage || result.language;
+      }
+      durationMs += segmentMs;
+      if (!text) continue;
+      const separator = segment.continuesPrevious ? " " : "\n\n";
+      transcript = transcript ? `${transcript}${separator}${text}` : text;
+    }
+
+    const { refinedText, suggestions } = await aiService.refineTranscript(
+      transcript,
+      { tone },
+    );
+
+    return {
+      transcript,
+      refinedText,
+      title: null,
+      durationMs,
+      confidence,
+      language: resolveLanguage({ language: detectedLanguage }, language),
+      suggestions,
+    };
+  },
+
+  // Alternatives to `currentText` — different hooks and lengths for the
+  // same transcript, each with a short label describing the angle
+  generateVariants: async (
+    rawTranscript,
+    {
+      tone = "Professional",
+      currentText = "",
+      count = VARIANTS_CONFIG.COUNT,
+    } = {},
+  ) => {
+    const response = await api.post(
+      "/ai/variants",
+      {
+        rawTranscript,
+        currentText,
+        count,
+        tone,
+        ...describeTone(tone),
+        preserveVoice: true,
+        ...(await describeVoice()),
+      },
+      { timeout: 90000, retry: true, retryTimeouts: false },
+    );
+    return {
+      variants: (response.variants || [])
+        .filter((v) => v.text)
+        .map((v, i) => ({ label: v.label || `Option ${i + 2}`, text: v.text })),
+    };
+  },
+
+  // The tone goes along so the translation keeps the post's register
+  translate: async (text, targetLanguage, { tone = "Professional" } = {}) => {
+    const response = await api.post(
+      "/ai/translate",
+      {
+        text,
+        targetLanguage,
+        tone,
+        ...describeTone(tone),
+      },
+      { timeout: 60000, retry: true },
+    );
+    return { translatedText: response.translatedText };
+  },
+
   applyVoiceEdit: async (
     currentText,
     editInstructions,
@@ -121,15 +305,16 @@ const aiService = {
         currentText,
         editInstructions,
         tone,
+        ...describeTone(tone),
       },
-      { timeout: 60000 },
+      { timeout: 60000, retry: true },
     );
     return { refinedText: response.refinedText };
   },
 
   checkHealth: async () => {
     try {
-      await api.get("/ai/health");
+      await api.get("/ai/health", { retry: false });
       return true;
     } catch {
       return false;
@@ -1,4 +1,4 @@
-import axios from "axios";
+import axios, { isCancel } from "axios";
 import AsyncStorage from "@react-native-async-storage/async-storage";
 import { API_CONFIG, STORAGE_KEYS } from "../utils/constants";
 
@@ -32,40 +32,144 @@ api.interceptors.request.use(
   (error) => Promise.reject(error),
 );
 
+// ─── RETRY ─────────────────────────────────────────────────────────────────
+
+// Methods that are safe to repeat. POSTs are only retried when the caller
+// marks them with `retry: true`; any call can opt out with `retry: false`.
+// Long-running calls pass `retryTimeouts: false` as well: a timeout there
+// already took minutes, and retrying it multiplies the wait.
+const IDEMPOTENT_METHODS = ["get", "head", "options", "put", "delete"];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const getMaxRetries = (config) => {
+  if (config.retry === false) return 0;
+  if (typeof config.retry === "number") return config.retry;
+  const method = (config.method || "get").toLowerCase();
+  if (config.retry === true || IDEMPOTENT_METHODS.includes(method)) {
+    return API_CONFIG.RETRY_ATTEMPTS;
+  }
+  return 0;
+};
+
 /**
- * Response interceptor - unwrap data, handle errors
+ * Parses a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ * @param {string} value
+ * @returns {number|null}
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - Date.now());
+};
+
+/**
+ * Exponential backoff with full jitter, or the server's Retry-After on 429/503
+ * @returns {number|null} delay in ms, or null if we should not retry
+ */
+const getRetryDelay = (error, retryCount) => {
+  const status = error.response?.status;
+  if (status === 429 || status === 503) {
+    const retryAfter = parseRetryAfter(error.response.headers?.["retry-after"]);
+    if (retryAfter !== null) {
+      return retryAfter <= API_CONFIG.RETRY_AFTER_MAX_MS ? retryAfter : null;
+    }
+  }
+  const ceiling = Math.min(
+    API_CONFIG.RETRY_MAX_DELAY_MS,
+    API_CONFIG.RETRY_BASE_DELAY_MS * 2 ** (retryCount - 1),
+  );
+  return Math.random() * ceiling;
+};
+
+const TIMEOUT_CODES = ["ECONNABORTED", "ETIMEDOUT"];
+
+const isRetryable = (error) => {
+  if (isCancel(error)) return false;
+  if (TIMEOUT_CODES.includes(error.code)) {
+    return error.config?.retryTimeouts !== false;
+  }
+  if (!error.response) return true; // network error
+  return RETRYABLE_STATUSES.includes(error.response.status);
+};
+
+/**
+ * Maps an axios error to the { code, message, details, attempts } shape
+ * every service and context expects.
+ */
+const normalizeError = (error, attempts) => {
+  if (error.response?.status === 401) {
+    return {
+      code: "UNAUTHORIZED",
+      message: "Session expired. Please log in again.",
+      attempts,
+    };
+  }
+
+  if (!error.response) {
+    return {
+      code: "NETWORK_ERROR",
+      message: "Unable to connect. Please check your internet connection.",
+      attempts,
+    };
+  }
+
+  if (error.response.status === 409) {
+    // Optimistic concurrency — the server's copy travels in details.draft
+    return {
+      code: "CONFLICT",
+      message:
+        error.response.data?.message ||
+        "This draft was changed on another device.",
+      details: {
+        ...error.response.data?.details,
+        draft: error.response.data?.draft,
+      },
+      attempts,
+    };
+  }
+
+  if (error.response.status >= 500) {
+    return {
+      code: "SERVER_ERROR",
+      message: "Something went wrong. Please try again later.",
+      attempts,
+    };
+  }
+
+  return {
+    code: error.response.data?.code || "ERROR",
+    message: error.response.data?.message || "An error occurred.",
+    details: error.response.data?.details,
+    attempts,
+  };
+};
+
+/**
+ * Response interceptor - unwrap data, retry transient failures, normalize errors
  * NOTE: We do NOT clear the token here on 401.
  * authService.restoreSession() handles token clearing to avoid race conditions.
  */
 api.interceptors.response.use(
   (response) => response.data,
   async (error) => {
-    if (error.response?.status === 401) {
-      return Promise.reject({
-        code: "UNAUTHORIZED",
-        message: "Session expired. Please log in again.",
-      });
-    }
+    const config = error.config;
+    const retryCount = config?.__retryCount || 0;
 
-    if (!error.response) {
-      return Promise.reject({
-        code: "NETWORK_ERROR",
-        message: "Unable to connect. Please check your internet connection.",
-      });
-    }
-
-    if (error.response.status >= 500) {
-      return Promise.reject({
-        code: "SERVER_ERROR",
-        message: "Something went wrong. Please try again later.",
-      });
+    if (config && isRetryable(error) && retryCount < getMaxRetries(config)) {
+      const delay = getRetryDelay(error, retryCount + 1);
+      if (delay !== null) {
+        config.__retryCount = retryCount + 1;
+        await sleep(delay);
+        return api(config);
+      }
     }
 
-    return Promise.reject({
-      code: error.response.data?.code || "ERROR",
-      message: error.response.data?.message || "An error occurred.",
-      details: error.response.data?.details,
-    });
+    return Promise.reject(normalizeError(error, retryCount + 1));
   },
 );
 
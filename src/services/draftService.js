@@ -5,9 +5,8 @@
 // mediaAttachments with `|| []` so they never throw when the field is missing.
 
 import api from './api';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { STORAGE_KEYS } from '../utils/constants';
 import { createDraft, generateTitleFromContent } from '../models/Draft';
+import { API_CONFIG } from '../utils/constants';
 
 /**
  * Safe mapper — converts a raw API draft object to a frontend Draft model.
@@ -24,12 +23,19 @@ const mapDraft = (draft) => {
     userEditedText: draft.userEditedText,
     title: draft.title,
     tone: draft.tone,
+    language: draft.language || null,
+    translationOf: draft.translationOf || null,
     status: draft.status,
     scheduledAt: draft.scheduledAt ? new Date(draft.scheduledAt) : null,
     publishedAt: draft.publishedAt ? new Date(draft.publishedAt) : null,
     audioUri: draft.audioUri,
     audioDurationMs: draft.audioDurationMs,
+    audioSegments: draft.audioSegments || [],
     mediaAttachments: draft.mediaAttachments || [],   // safe fallback
+    createdAt: draft.createdAt ? new Date(draft.createdAt) : new Date(),
+    // No made-up timestamp: it becomes the base of the next save
+    updatedAt: draft.updatedAt ? new Date(draft.updatedAt) : null,
+    version: draft.version || 0,
   });
 };
 
@@ -37,15 +43,16 @@ const draftService = {
   /**
    * Fetch all drafts
    */
-  getDrafts: async ({ status = null, limit = 50, offset = 0 } = {}) => {
+  getDrafts: async ({
+    status = null,
+    limit = API_CONFIG.DRAFTS_PAGE_SIZE,
+    offset = 0,
+  } = {}) => {
     const params = { limit, offset };
     if (status) params.status = status;
 
     const response = await api.get('/drafts', { params });
-    const drafts = (response.drafts || []).map(mapDraft).filter(Boolean);
-
-    await draftService.cacheDrafts(drafts);
-    return drafts;
+    return (response.drafts || []).map(mapDraft).filter(Boolean);
   },
 
   /**
@@ -63,8 +70,11 @@ const draftService = {
     rawTranscript,
     aiRefinedText,
     tone = 'Professional',
+    language = null,
+    translationOf = null,
     audioUri = null,
     audioDurationMs = 0,
+    audioSegments = [],
     mediaAttachments = [],
   }) => {
     const title = generateTitleFromContent(aiRefinedText || rawTranscript);
@@ -75,9 +85,12 @@ const draftService = {
       userEditedText: aiRefinedText,
       title,
       tone,
+      language,
+      translationOf,
       status: 'draft',
       audioUri,
       audioDurationMs,
+      audioSegments,
       mediaAttachments,
     });
 
@@ -85,14 +98,37 @@ const draftService = {
   },
 
   /**
-   * Update an existing draft
+   * Update an existing draft.
+   * `base` is the copy the edit started from; the backend answers 409 if the
+   * draft has moved on since, and the error carries the server copy.
+   *
+   * @param {string} draftId
+   * @param {Object} updates
+   * @param {Object} [base] - { version, updatedAt } the edit was based on
+   * @throws {{ code: 'CONFLICT', serverDraft: Object }} on a 409
    */
-  updateDraft: async (draftId, updates) => {
-    const response = await api.patch(`/drafts/${draftId}`, {
-      ...updates,
-      updatedAt: new Date().toISOString(),
-    });
-    return mapDraft(response.draft);
+  updateDraft: async (draftId, updates, base = null) => {
+    try {
+      const response = await api.patch(`/drafts/${draftId}`, {
+        ...updates,
+        baseVersion: base?.version,
+        baseUpdatedAt: base?.updatedAt
+          ? new Date(base.updatedAt).toISOString()
+          : undefined,
+      });
+      return mapDraft(response.draft);
+    } catch (error) {
+      if (error.code === 'CONFLICT') {
+        // The merge view needs the server's copy; fetch it if the 409 didn't
+        // carry one, and report a plain error if that fails too
+        const serverDraft =
+          mapDraft(error.details?.draft) ||
+          (await draftService.getDraft(draftId).catch(() => null));
+        if (!serverDraft) throw { ...error, code: 'ERROR' };
+        throw { ...error, serverDraft };
+      }
+      throw error;
+    }
   },
 
   /**
@@ -120,29 +156,6 @@ const draftService = {
     return mapDraft(response.draft);
   },
 
-  /**
-   * Cache drafts locally
-   */
-  cacheDrafts: async (drafts) => {
-    try {
-      await AsyncStorage.setItem(STORAGE_KEYS.DRAFTS_CACHE, JSON.stringify(drafts));
-    } catch (error) {
-      console.warn('Error caching drafts:', error);
-    }
-  },
-
-  /**
-   * Get cached drafts (offline fallback)
-   */
-  getCachedDrafts: async () => {
-    try {
-      const cached = await AsyncStorage.getItem(STORAGE_KEYS.DRAFTS_CACHE);
-      return cached ? JSON.parse(cached) : [];
-    } catch {
-      return [];
-    }
-  },
-
   /**
    * Get draft statistics
    */
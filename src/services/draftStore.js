@@ -0,0 +1,231 @@
+// src/services/draftStore.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { STORAGE_KEYS } from "../utils/constants";
+
+/**
+ * Local-first draft store.
+ * Each draft is its own AsyncStorage record; a small index keeps the ids
+ * grouped by status and ordered by updatedAt so the Drafts tab can render
+ * from disk before the server answers.
+ */
+
+const SCHEMA_VERSION = 1;
+const DATE_FIELDS = ["createdAt", "updatedAt", "scheduledAt", "publishedAt"];
+
+const recordKey = (id) => `${STORAGE_KEYS.DRAFT_RECORD_PREFIX}${id}`;
+
+const emptyIndex = () => ({
+  schemaVersion: SCHEMA_VERSION,
+  entries: {}, // id -> { status, updatedAt }
+  byStatus: {},
+  byUpdatedAt: [],
+});
+
+// AsyncStorage has no transactions — run index writes one at a time
+let writeChain = Promise.resolve();
+const serialize = (task) => {
+  const run = writeChain.then(task, task);
+  writeChain = run.catch(() => {});
+  return run;
+};
+
+const serializeDraft = (draft) =>
+  JSON.stringify({
+    ...draft,
+    ...Object.fromEntries(
+      DATE_FIELDS.map((field) => [
+        field,
+        draft[field] ? new Date(draft[field]).toISOString() : null,
+      ]),
+    ),
+  });
+
+const reviveDates = (draft) => {
+  DATE_FIELDS.forEach((field) => {
+    draft[field] = draft[field] ? new Date(draft[field]) : null;
+  });
+  return draft;
+};
+
+const deserializeDraft = (json) => reviveDates(JSON.parse(json));
+
+/**
+ * Rebuilds the derived status and updatedAt indexes from the entries map
+ */
+const buildIndex = (entries) => {
+  const byStatus = {};
+  Object.entries(entries).forEach(([id, { status }]) => {
+    (byStatus[status] = byStatus[status] || []).push(id);
+  });
+  const byUpdatedAt = Object.keys(entries).sort(
+    (a, b) =>
+      new Date(entries[b].updatedAt).getTime() -
+      new Date(entries[a].updatedAt).getTime(),
+  );
+  return { schemaVersion: SCHEMA_VERSION, entries, byStatus, byUpdatedAt };
+};
+
+const writeIndex = async (entries) => {
+  const index = buildIndex(entries);
+  await AsyncStorage.setItem(STORAGE_KEYS.DRAFTS_INDEX, JSON.stringify(index));
+  return index;
+};
+
+const writeRecords = async (drafts, entries) => {
+  if (drafts.length === 0) return;
+  await AsyncStorage.multiSet(
+    drafts.map((d) => [recordKey(d.id), serializeDraft(d)]),
+  );
+  drafts.forEach((d) => {
+    entries[d.id] = {
+      status: d.status,
+      updatedAt: new Date(d.updatedAt || Date.now()).toISOString(),
+    };
+  });
+};
+
+const removeRecords = async (ids, entries) => {
+  if (ids.length === 0) return;
+  await AsyncStorage.multiRemove(ids.map(recordKey));
+  ids.forEach((id) => delete entries[id]);
+};
+
+/**
+ * Loads the index, migrating the legacy single-blob cache on first run
+ * and wiping records written by an incompatible schema.
+ */
+const readIndex = async () => {
+  const stored = await AsyncStorage.getItem(STORAGE_KEYS.DRAFTS_INDEX);
+  if (stored) {
+    const index = JSON.parse(stored);
+    if (index.schemaVersion === SCHEMA_VERSION) return index;
+    await AsyncStorage.multiRemove(
+      Object.keys(index.entries || {}).map(recordKey),
+    );
+  }
+
+  const entries = {};
+  const legacy = await AsyncStorage.getItem(STORAGE_KEYS.DRAFTS_CACHE);
+  if (legacy) {
+    const drafts = JSON.parse(legacy).map(reviveDates);
+    await writeRecords(drafts, entries);
+    await AsyncStorage.removeItem(STORAGE_KEYS.DRAFTS_CACHE);
+  }
+  return legacy || stored ? writeIndex(entries) : emptyIndex();
+};
+
+const readRecords = async (ids) => {
+  if (ids.length === 0) return [];
+  const pairs = await AsyncStorage.multiGet(ids.map(recordKey));
+  return pairs
+    .map(([, json]) => (json ? deserializeDraft(json) : null))
+    .filter(Boolean);
+};
+
+const draftStore = {
+  /**
+   * Get stored drafts, newest first
+   * @param {Object} [options]
+   * @param {string} [options.status] - Only drafts with this status
+   * @returns {Promise<Array>}
+   */
+  getAll: async ({ status = null } = {}) => {
+    try {
+      const index = await serialize(readIndex);
+      const ids = status
+        ? index.byUpdatedAt.filter((id) => index.entries[id].status === status)
+        : index.byUpdatedAt;
+      return await readRecords(ids);
+    } catch (error) {
+      console.warn("Error reading draft store:", error);
+      return [];
+    }
+  },
+
+  /**
+   * Get a single stored draft
+   * @param {string} draftId
+   * @returns {Promise<Object|null>}
+   */
+  get: async (draftId) => {
+    try {
+      const json = await AsyncStorage.getItem(recordKey(draftId));
+      return json ? deserializeDraft(json) : null;
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Insert or replace drafts
+   * @param {Array} drafts
+   */
+  putMany: (drafts) =>
+    serialize(async () => {
+      if (drafts.length === 0) return;
+      const { entries } = await readIndex();
+      await writeRecords(drafts, entries);
+      await writeIndex(entries);
+    }).catch((error) => console.warn("Error writing draft store:", error)),
+
+  /**
+   * Remove drafts by id
+   * @param {Array<string>} draftIds
+   */
+  removeMany: (draftIds) =>
+    serialize(async () => {
+      if (draftIds.length === 0) return;
+      const { entries } = await readIndex();
+      await removeRecords(draftIds, entries);
+      await writeIndex(entries);
+    }).catch((error) => console.warn("Error writing draft store:", error)),
+
+  /**
+   * Merge a server response into the store.
+   * The server is authoritative for the slice it returned: a full fetch
+   * replaces everything, a status-filtered fetch only touches that status.
+   * When the response was only the first page, drafts missing from it may
+   * still exist, so nothing is removed.
+   *
+   * @param {Array}   serverDrafts
+   * @param {Object}  [options]
+   * @param {string}  [options.status]     - Status the fetch was filtered by
+   * @param {Array}   [options.keepIds]    - Ids with unsynced local writes
+   * @param {boolean} [options.isComplete] - The response holds every draft
+   * @returns {Promise<Array>} every stored draft, newest first
+   */
+  reconcile: (
+    serverDrafts,
+    { status = null, keepIds = [], isComplete = true } = {},
+  ) =>
+    serialize(async () => {
+      const { entries } = await readIndex();
+      const serverIds = new Set(serverDrafts.map((d) => d.id));
+      const stale = Object.keys(entries).filter(
+        (id) =>
+          isComplete &&
+          !serverIds.has(id) &&
+          !keepIds.includes(id) &&
+          (!status || entries[id].status === status),
+      );
+      await removeRecords(stale, entries);
+      await writeRecords(serverDrafts, entries);
+      const index = await writeIndex(entries);
+      return readRecords(index.byUpdatedAt);
+    }),
+
+  /**
+   * Remove every stored draft (e.g. on logout)
+   */
+  clear: () =>
+    serialize(async () => {
+      const { entries } = await readIndex();
+      await AsyncStorage.multiRemove([
+        ...Object.keys(entries).map(recordKey),
+        STORAGE_KEYS.DRAFTS_INDEX,
+      ]);
+    }),
+};
+
+export default draftStore;
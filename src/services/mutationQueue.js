@@ -0,0 +1,365 @@
+// src/services/mutationQueue.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { STORAGE_KEYS } from "../utils/constants";
+import draftService from "./draftService";
+import { createDraft, generateTitleFromContent } from "../models/Draft";
+
+/**
+ * Offline write queue for drafts.
+ * Writes that fail with NETWORK_ERROR are persisted here and replayed in
+ * order once connectivity returns. Drafts created offline get a local id
+ * which is swapped for the server id when their CREATE replays.
+ */
+
+export const MUTATION_TYPES = {
+  CREATE: "create",
+  UPDATE: "update",
+  DELETE: "delete",
+  SCHEDULE: "schedule",
+};
+
+export const MUTATION_STATUS = {
+  PENDING: "pending",
+  SYNCING: "syncing",
+  FAILED: "failed",
+  // Another device saved first; `serverDraft` holds its copy for merging
+  CONFLICT: "conflict",
+};
+
+const LOCAL_ID_PREFIX = "local_";
+
+let isReplaying = false;
+
+/**
+ * Generates a temporary id for a draft created while offline
+ * @returns {string}
+ */
+export const createLocalId = () =>
+  `${LOCAL_ID_PREFIX}${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * @param {string} id
+ * @returns {boolean}
+ */
+export const isLocalId = (id) =>
+  typeof id === "string" && id.startsWith(LOCAL_ID_PREFIX);
+
+const readQueue = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.MUTATION_QUEUE);
+    return stored ? JSON.parse(stored) : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeQueue = async (items) => {
+  await AsyncStorage.setItem(
+    STORAGE_KEYS.MUTATION_QUEUE,
+    JSON.stringify(items),
+  );
+};
+
+// Every change is a read-modify-write of the same record — run them one
+// at a time so a replay and a new write can't overwrite each other
+let queueChain = Promise.resolve();
+const serialize = (task) => {
+  const run = queueChain.then(task, task);
+  queueChain = run.catch(() => {});
+  return run;
+};
+
+const updateQueue = (updater) =>
+  serialize(async () => {
+    const items = updater(await readQueue());
+    await writeQueue(items);
+    return items;
+  });
+
+/**
+ * Sends a single queued mutation to the API
+ * @returns {Promise<Object|null>} the server draft, if the endpoint returns one
+ */
+const execute = async (item) => {
+  switch (item.type) {
+    case MUTATION_TYPES.CREATE:
+      return draftService.createDraft(item.payload);
+    case MUTATION_TYPES.UPDATE:
+      return draftService.updateDraft(item.draftId, item.payload, item.base);
+    case MUTATION_TYPES.DELETE:
+      await draftService.deleteDraft(item.draftId);
+      return null;
+    case MUTATION_TYPES.SCHEDULE:
+      return draftService.scheduleDraft(
+        item.draftId,
+        new Date(item.payload.scheduledAt),
+      );
+    default:
+      throw new Error(`Unknown mutation type: ${item.type}`);
+  }
+};
+
+const mutationQueue = {
+  /**
+   * Get all queued mutations, oldest first
+   */
+  getAll: () => serialize(readQueue),
+
+  /**
+   * Re-apply queued writes on top of a server draft list so a refresh
+   * doesn't wipe out edits that haven't synced yet
+   * @param {Array} drafts
+   * @param {Array} items - queued mutations
+   * @returns {Array}
+   */
+  applyTo: (drafts, items) =>
+    items.reduce((result, item) => {
+      switch (item.type) {
+        case MUTATION_TYPES.CREATE:
+          if (result.some((d) => d.id === item.draftId)) return result;
+          return [
+            createDraft({
+              ...item.payload,
+              id: item.draftId,
+              userEditedText: item.payload.aiRefinedText,
+              title: generateTitleFromContent(
+                item.payload.aiRefinedText || item.payload.rawTranscript || "",
+              ),
+            }),
+            ...result,
+          ];
+        case MUTATION_TYPES.UPDATE:
+          // updatedAt stays the server's — it's the conflict-check base
+          return result.map((d) =>
+            d.id === item.draftId ? { ...d, ...item.payload } : d,
+          );
+        case MUTATION_TYPES.DELETE:
+          return result.filter((d) => d.id !== item.draftId);
+        case MUTATION_TYPES.SCHEDULE:
+          return result.map((d) =>
+            d.id === item.draftId
+              ? {
+                  ...d,
+                  status: "scheduled",
+                  scheduledAt: new Date(item.payload.scheduledAt),
+                }
+              : d,
+          );
+        default:
+          return result;
+      }
+    }, drafts),
+
+  /**
+   * Queue a mutation for later replay.
+   * Consecutive updates to the same draft are merged into one (keeping the
+   * first one's conflict-check base), and deleting a draft that never
+   * reached the server drops its queued writes entirely.
+   */
+  enqueue: ({ type, draftId, payload = {}, base = null }) => {
+    if (type === MUTATION_TYPES.DELETE && isLocalId(draftId)) {
+      return mutationQueue.discard(draftId);
+    }
+
+    return updateQueue((items) => {
+      // Only a pending item can take more changes — a syncing one is
+      // already on its way to the server
+      const last = items[items.length - 1];
+      if (
+        type === MUTATION_TYPES.UPDATE &&
+        last?.type === MUTATION_TYPES.UPDATE &&
+        last.draftId === draftId &&
+        last.status === MUTATION_STATUS.PENDING
+      ) {
+        return [
+          ...items.slice(0, -1),
+          { ...last, payload: { ...last.payload, ...payload } },
+        ];
+      }
+
+      return [
+        ...items,
+        {
+          id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+          type,
+          draftId,
+          payload,
+          base,
+          status: MUTATION_STATUS.PENDING,
+          attempts: 0,
+          error: null,
+          createdAt: new Date().toISOString(),
+        },
+      ];
+    });
+  },
+
+  /**
+   * Mark failed mutations as pending again so the next replay picks them up
+   */
+  resetFailed: (draftId = null) =>
+    updateQueue((items) =>
+      items.map((i) =>
+        i.status === MUTATION_STATUS.FAILED &&
+        (!draftId || i.draftId === draftId)
+          ? { ...i, status: MUTATION_STATUS.PENDING, error: null }
+          : i,
+      ),
+    ),
+
+  /**
+   * Drop a draft's conflicted writes once the user has merged them.
+   * Writes held back behind them are moved onto the merged revision.
+   * @param {string} draftId
+   * @param {Object} [base] - { version, updatedAt } of the merged draft
+   */
+  dropConflicts: (draftId, base) =>
+    updateQueue((items) =>
+      items
+        .filter(
+          (i) =>
+            !(i.draftId === draftId && i.status === MUTATION_STATUS.CONFLICT),
+        )
+        .map((i) => (i.draftId === draftId && base ? { ...i, base } : i)),
+    ),
+
+  /**
+   * Point queued creates and updates at a custom tone's new name
+   * @param {string} oldName
+   * @param {string} newName
+   */
+  renameTone: (oldName, newName) =>
+    updateQueue((items) =>
+      items.map((i) =>
+        i.payload?.tone === oldName
+          ? { ...i, payload: { ...i.payload, tone: newName } }
+          : i,
+      ),
+    ),
+
+  /**
+   * Drop every queued mutation for a draft
+   */
+  discard: (draftId) =>
+    updateQueue((items) => items.filter((i) => i.draftId !== draftId)),
+
+  /**
+   * Clear the whole queue (e.g. on logout)
+   */
+  clear: () =>
+    serialize(() => AsyncStorage.removeItem(STORAGE_KEYS.MUTATION_QUEUE)),
+
+  /**
+   * Replay pending mutations in order.
+   * Stops at the first NETWORK_ERROR (still offline). A 409 keeps the
+   * server's draft on the item for the merge view; any other error marks
+   * the item failed. Either way later writes for that draft are held back
+   * until it's settled, while other drafts carry on.
+   *
+   * @param {Object}   handlers
+   * @param {function} handlers.onSynced - (item, serverDraft, { hasLaterWrites })
+   * @param {function} handlers.onChange - Called with the queue after every step
+   */
+  replay: async ({ onSynced, onChange } = {}) => {
+    if (isReplaying) return;
+    isReplaying = true;
+
+    try {
+      // Anything still "syncing" was interrupted by the app closing mid-request
+      await updateQueue((items) =>
+        items.map((i) =>
+          i.status === MUTATION_STATUS.SYNCING
+            ? { ...i, status: MUTATION_STATUS.PENDING }
+            : i,
+        ),
+      );
+
+      // Pick the next item and mark it syncing in one step, so a write
+      // queued meanwhile is merged into a later item instead of this one
+      while (true) {
+        let next = null;
+        // Drafts with a failed or conflicted write ahead of the rest
+        const held = new Set();
+        let items = await updateQueue((current) =>
+          current.map((i) => {
+            if (
+              i.status === MUTATION_STATUS.FAILED ||
+              i.status === MUTATION_STATUS.CONFLICT
+            ) {
+              held.add(i.draftId);
+            }
+            if (
+              next ||
+              i.status !== MUTATION_STATUS.PENDING ||
+              held.has(i.draftId)
+            ) {
+              return i;
+            }
+            next = {
+              ...i,
+              status: MUTATION_STATUS.SYNCING,
+              attempts: i.attempts + 1,
+            };
+            return next;
+          }),
+        );
+        if (!next) break;
+        onChange?.(items);
+
+        try {
+          const serverDraft = await execute(next);
+          const syncedId = serverDraft?.id || next.draftId;
+
+          items = await updateQueue((current) =>
+            current
+              .filter((i) => i.id !== next.id)
+              // Point later writes for an offline-created draft at its real id
+              .map((i) =>
+                next.type === MUTATION_TYPES.CREATE &&
+                i.draftId === next.draftId
+                  ? {
+                      ...i,
+                      draftId: syncedId,
+                      base: i.base || {
+                        version: serverDraft.version,
+                        updatedAt: serverDraft.updatedAt,
+                      },
+                    }
+                  : i,
+              ),
+          );
+          onSynced?.(next, serverDraft, {
+            hasLaterWrites: items.some((i) => i.draftId === syncedId),
+          });
+          onChange?.(items);
+        } catch (error) {
+          const isOffline = error.code === "NETWORK_ERROR";
+          const isConflict = error.code === "CONFLICT" && !!error.serverDraft;
+          items = await updateQueue((current) =>
+            current.map((i) => {
+              if (i.id !== next.id) return i;
+              if (isOffline) {
+                return { ...i, status: MUTATION_STATUS.PENDING, error: null };
+              }
+              return {
+                ...i,
+                status: isConflict
+                  ? MUTATION_STATUS.CONFLICT
+                  : MUTATION_STATUS.FAILED,
+                error: error.message || "Sync failed",
+                serverDraft: isConflict ? error.serverDraft : null,
+              };
+            }),
+          );
+          onChange?.(items);
+          if (isOffline) break;
+        }
+      }
+    } finally {
+      isReplaying = false;
+    }
+  },
+};
+
+export default mutationQueue;
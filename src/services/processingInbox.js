@@ -0,0 +1,113 @@
+// src/services/processingInbox.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { STORAGE_KEYS } from "../utils/constants";
+
+/**
+ * Recordings that couldn't be turned into a draft yet.
+ * When the AI call fails because we're offline or the backend is down,
+ * the recording is kept here instead of being lost, and processed again
+ * on request or once connectivity returns.
+ */
+
+// Errors worth retrying later — anything else needs the user to act
+const RETRYABLE_CODES = ["NETWORK_ERROR", "SERVER_ERROR"];
+
+const readInbox = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.PROCESSING_INBOX);
+    return stored ? JSON.parse(stored) : [];
+  } catch {
+    return [];
+  }
+};
+
+// Reads and writes go through one chain so a retry finishing and a new
+// failure being added can't overwrite each other
+let inboxChain = Promise.resolve();
+const serialize = (task) => {
+  const run = inboxChain.then(task, task);
+  inboxChain = run.catch(() => {});
+  return run;
+};
+
+const updateInbox = (updater) =>
+  serialize(async () => {
+    const items = updater(await readInbox());
+    await AsyncStorage.setItem(
+      STORAGE_KEYS.PROCESSING_INBOX,
+      JSON.stringify(items),
+    );
+    return items;
+  });
+
+const processingInbox = {
+  /**
+   * Get every recording waiting to be processed, oldest first
+   */
+  getAll: () => serialize(readInbox),
+
+  /**
+   * Whether a processing failure should land the recording in the inbox
+   * @param {Object} error - { code, message }
+   * @returns {boolean}
+   */
+  isRetryable: (error) => RETRYABLE_CODES.includes(error?.code),
+
+  /**
+   * Keep a recording for later
+   * @param {Object} params
+   * @param {Array<{uri: string, durationMs: number}>} params.segments
+   * @param {string} params.tone
+   * @param {string} params.language - Spoken language code, or "auto"
+   * @param {Object} params.error - Why it failed this time
+   * @returns {Promise<Array>} The updated inbox
+   */
+  add: ({ segments, tone, language, error }) =>
+    updateInbox((items) => [
+      ...items,
+      {
+        id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        segments,
+        tone,
+        language,
+        attempts: 1,
+        error: error?.message || null,
+        createdAt: new Date().toISOString(),
+        lastTriedAt: new Date().toISOString(),
+      },
+    ]),
+
+  /**
+   * Record another failed attempt
+   * @param {string} id
+   * @param {Object} error
+   */
+  markFailed: (id, error) =>
+    updateInbox((items) =>
+      items.map((i) =>
+        i.id === id
+          ? {
+              ...i,
+              attempts: i.attempts + 1,
+              error: error?.message || null,
+              lastTriedAt: new Date().toISOString(),
+            }
+          : i,
+      ),
+    ),
+
+  /**
+   * Drop a recording once it's processed or discarded
+   * @param {string} id
+   */
+  remove: (id) => updateInbox((items) => items.filter((i) => i.id !== id)),
+
+  /**
+   * Clear the inbox (e.g. on logout)
+   */
+  clear: () =>
+    serialize(() => AsyncStorage.removeItem(STORAGE_KEYS.PROCESSING_INBOX)),
+};
+
+export default processingInbox;
@@ -1,6 +1,7 @@
 // src/services/publishService.js
 
 import api from './api';
+import uploadService from './uploadService';
 
 /**
  * Publish service
@@ -10,23 +11,24 @@ const publishService = {
   /**
    * Upload a media file (image or video) to the backend.
    * The backend registers the asset with LinkedIn and returns the assetUrn.
+   * Videos are usually large enough to go up in resumable chunks.
    *
    * @param {string} uri       - Local file URI from expo-image-picker
    * @param {'image'|'video'} type
    * @param {string} mimeType  - e.g. 'image/jpeg', 'video/mp4'
+   * @param {Object} [options]
+   * @param {function} [options.onProgress] - ({ uploadedBytes, totalBytes, progress })
    * @returns {Promise<{ assetUrn, mediaType, fileName, fileSize, localPath }>}
    */
-  uploadMedia: async (uri, type, mimeType) => {
-    const formData = new FormData();
-
-    formData.append('media', {
-      uri,
-      type: mimeType,
-      name: type === 'video' ? `video_${Date.now()}.mp4` : `image_${Date.now()}.jpg`,
-    });
-
-    const response = await api.post('/publish/media/upload', formData, {
-      headers: { 'Content-Type': 'multipart/form-data' },
+  uploadMedia: async (uri, type, mimeType, { onProgress } = {}) => {
+    const response = await uploadService.postFile('/publish/media/upload', {
+      field: 'media',
+      file: {
+        uri,
+        type: mimeType,
+        name: type === 'video' ? `video_${Date.now()}.mp4` : `image_${Date.now()}.jpg`,
+      },
+      onProgress,
       timeout: 120000, // 2 min for large video files
     });
 
@@ -40,12 +42,15 @@ const publishService = {
   },
 
   /**
-   * Publish a draft immediately
+   * Publish a draft immediately.
+   * Never retried — a repeat request could post twice to LinkedIn.
    * @param {string} draftId
    * @returns {Promise<{ linkedInPostId, linkedInPostUrl, publishedAt }>}
    */
   publishNow: async (draftId) => {
-    const response = await api.post(`/publish/${draftId}/now`);
+    const response = await api.post(`/publish/${draftId}/now`, null, {
+      retry: false,
+    });
     return {
       linkedInPostId: response.linkedInPostId,
       linkedInPostUrl: response.linkedInPostUrl,
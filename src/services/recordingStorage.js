@@ -0,0 +1,157 @@
+// src/services/recordingStorage.js
+
+import * as FileSystem from "expo-file-system/legacy";
+import { RECORDING_CONFIG } from "../utils/constants";
+
+/**
+ * Keeps voice recordings in the app's documents folder.
+ * expo-av records into the cache directory, which the OS may clear at any
+ * time, so anything worth replaying later is moved here first.
+ *
+ * The folder's absolute path changes when iOS moves the app container
+ * (updates, restores), so drafts, the inbox and markers store only the
+ * file name. `resolve` turns it into a URI when the file is used.
+ */
+
+const RECORDINGS_DIR = `${FileSystem.documentDirectory}recordings/`;
+
+// A stored file name, or a full URI saved before names were stored, which
+// may point into an older container
+const MANAGED_NAME = /(?:^|\/recordings\/)(rec_[^/]+)$/;
+
+const nameOf = (uri) => {
+  const match = uri ? MANAGED_NAME.exec(uri) : null;
+  return match ? match[1] : null;
+};
+
+const isManaged = (uri) => !!nameOf(uri);
+
+const resolve = (uri) => {
+  const name = nameOf(uri);
+  return name ? `${RECORDINGS_DIR}${name}` : uri;
+};
+
+const ensureDir = async () => {
+  const info = await FileSystem.getInfoAsync(RECORDINGS_DIR);
+  if (!info.exists) {
+    await FileSystem.makeDirectoryAsync(RECORDINGS_DIR, {
+      intermediates: true,
+    });
+  }
+};
+
+const extensionOf = (uri) => {
+  const match = /\.([a-z0-9]+)$/i.exec(uri);
+  return match ? match[1] : "m4a";
+};
+
+const recordingStorage = {
+  isManaged,
+
+  /**
+   * The URI to read a stored recording from
+   * @param {string} uri - As stored, or any other URI
+   * @returns {string}
+   */
+  resolve,
+
+  /**
+   * Move a fresh recording into the managed folder
+   * @param {string} uri
+   * @returns {Promise<string>} The file name to store, or the original URI
+   *   if it couldn't move
+   */
+  persistRecording: async (uri) => {
+    if (!uri) return uri;
+    if (isManaged(uri)) return nameOf(uri);
+    try {
+      await ensureDir();
+      const name = `rec_${Date.now()}_${Math.random()
+        .toString(36)
+        .slice(2, 8)}.${extensionOf(uri)}`;
+      await FileSystem.moveAsync({ from: uri, to: `${RECORDINGS_DIR}${name}` });
+      return name;
+    } catch (error) {
+      console.warn("Error persisting recording:", error);
+      return uri;
+    }
+  },
+
+  /**
+   * Whether a recording is still on this device
+   * @param {string} uri
+   * @returns {Promise<boolean>}
+   */
+  exists: async (uri) => {
+    if (!uri) return false;
+    try {
+      const info = await FileSystem.getInfoAsync(resolve(uri));
+      return info.exists;
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Delete recordings we manage. Other URIs are left alone.
+   * @param {string[]} uris
+   */
+  deleteRecordings: async (uris) => {
+    await Promise.all(
+      uris
+        .filter(isManaged)
+        .map((uri) =>
+          FileSystem.deleteAsync(resolve(uri), { idempotent: true }).catch(
+            (error) => console.warn("Error deleting recording:", error),
+          ),
+        ),
+    );
+  },
+
+  /**
+   * Delete recordings no draft refers to any more.
+   * Recent files are kept — they may belong to a take that hasn't been
+   * turned into a draft yet.
+   *
+   * @param {string[]} keepUris - Every recording still referenced
+   * @returns {Promise<number>} How many files were removed
+   */
+  cleanupOrphans: async (keepUris) => {
+    try {
+      const info = await FileSystem.getInfoAsync(RECORDINGS_DIR);
+      if (!info.exists) return 0;
+
+      // By name, so references saved under an older container still count
+      const keep = new Set(keepUris.map(nameOf).filter(Boolean));
+      const cutoff = Date.now() - RECORDING_CONFIG.ORPHAN_GRACE_MS;
+      const names = await FileSystem.readDirectoryAsync(RECORDINGS_DIR);
+      let removed = 0;
+
+      for (const name of names) {
+        if (keep.has(name)) continue;
+        const uri = `${RECORDINGS_DIR}${name}`;
+        const file = await FileSystem.getInfoAsync(uri);
+        if (!file.exists || file.modificationTime * 1000 > cutoff) continue;
+        await FileSystem.deleteAsync(uri, { idempotent: true });
+        removed += 1;
+      }
+      return removed;
+    } catch (error) {
+      console.warn("Error cleaning up recordings:", error);
+      return 0;
+    }
+  },
+
+  /**
+   * Remove every stored recording (e.g. on logout)
+   */
+  clearAll: async () => {
+    try {
+      await FileSystem.deleteAsync(RECORDINGS_DIR, { idempotent: true });
+    } catch (error) {
+      console.warn("Error clearing recordings:", error);
+    }
+  },
+};
+
+export default recordingStorage;
@@ -0,0 +1,104 @@
+// src/services/recoveryService.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { STORAGE_KEYS } from "../utils/constants";
+
+/**
+ * Local crash-recovery copies of work that hasn't reached the server yet.
+ * Snapshots are written often and cleared once the work is saved, so any
+ * snapshot found on launch means the app went away mid-edit.
+ * The same goes for the recording marker: it exists only while a voice
+ * recording is in progress.
+ */
+
+const editorKey = (draftId) =>
+  `${STORAGE_KEYS.EDITOR_SNAPSHOT_PREFIX}${draftId}`;
+
+const recoveryService = {
+  /**
+   * Store the editor's unsaved state for a draft
+   * @param {string} draftId
+   * @param {Object} snapshot - { userEditedText, tone, mediaAttachments }
+   */
+  saveEditorSnapshot: async (draftId, snapshot) => {
+    try {
+      await AsyncStorage.setItem(
+        editorKey(draftId),
+        JSON.stringify({ ...snapshot, savedAt: new Date().toISOString() }),
+      );
+    } catch (error) {
+      console.warn("Error saving editor snapshot:", error);
+    }
+  },
+
+  /**
+   * Get the unsaved editor state left behind for a draft, if any
+   * @param {string} draftId
+   * @returns {Promise<Object|null>}
+   */
+  getEditorSnapshot: async (draftId) => {
+    try {
+      const stored = await AsyncStorage.getItem(editorKey(draftId));
+      if (!stored) return null;
+      const snapshot = JSON.parse(stored);
+      return { ...snapshot, savedAt: new Date(snapshot.savedAt) };
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Drop a draft's editor snapshot once its changes are saved
+   * @param {string} draftId
+   */
+  clearEditorSnapshot: async (draftId) => {
+    try {
+      await AsyncStorage.removeItem(editorKey(draftId));
+    } catch {
+      // Nothing to recover from a snapshot we can't read either
+    }
+  },
+
+  /**
+   * Note the recording currently in progress
+   * @param {Object} marker - { chunks: [{ uri, durationMs }], durationMs }
+   */
+  saveRecordingMarker: async (marker) => {
+    try {
+      await AsyncStorage.setItem(
+        STORAGE_KEYS.RECORDING_MARKER,
+        JSON.stringify({ ...marker, savedAt: new Date().toISOString() }),
+      );
+    } catch (error) {
+      console.warn("Error saving recording marker:", error);
+    }
+  },
+
+  /**
+   * Get the recording that was left unfinished, if any
+   * @returns {Promise<Object|null>} { chunks, durationMs, savedAt }
+   */
+  getRecordingMarker: async () => {
+    try {
+      const stored = await AsyncStorage.getItem(STORAGE_KEYS.RECORDING_MARKER);
+      if (!stored) return null;
+      const marker = JSON.parse(stored);
+      return { ...marker, savedAt: new Date(marker.savedAt) };
+    } catch {
+      return null;
+    }
+  },
+
+  /**
+   * Drop the marker once the recording is finished or discarded
+   */
+  clearRecordingMarker: async () => {
+    try {
+      await AsyncStorage.removeItem(STORAGE_KEYS.RECORDING_MARKER);
+    } catch {
+      // A stale marker only means one extra prompt
+    }
+  },
+};
+
+export default recoveryService;
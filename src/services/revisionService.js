@@ -0,0 +1,126 @@
+// src/services/revisionService.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { REVISION_CONFIG, STORAGE_KEYS } from "../utils/constants";
+import { createRevision, REVISION_SOURCES } from "../models/Revision";
+
+/**
+ * Per-draft revision log, kept on the device.
+ * Each draft's history is one AsyncStorage record, newest revision first.
+ */
+
+const historyKey = (draftId) => `${STORAGE_KEYS.REVISIONS_PREFIX}${draftId}`;
+
+// Appends read-modify-write the same record — run them one at a time
+let writeChain = Promise.resolve();
+const serialize = (task) => {
+  const run = writeChain.then(task, task);
+  writeChain = run.catch(() => {});
+  return run;
+};
+
+const readHistory = async (draftId) => {
+  try {
+    const stored = await AsyncStorage.getItem(historyKey(draftId));
+    if (!stored) return [];
+    return JSON.parse(stored).map((r) =>
+      createRevision({ ...r, createdAt: new Date(r.createdAt) }),
+    );
+  } catch {
+    return [];
+  }
+};
+
+const writeHistory = (draftId, revisions) =>
+  AsyncStorage.setItem(
+    historyKey(draftId),
+    JSON.stringify(revisions.slice(0, REVISION_CONFIG.MAX_PER_DRAFT)),
+  );
+
+const revisionService = {
+  /**
+   * Get a draft's revisions, newest first
+   * @param {string} draftId
+   * @returns {Promise<Array>}
+   */
+  getRevisions: readHistory,
+
+  /**
+   * Record a revision. Skipped when the text and tone match the latest one.
+   * Consecutive edits by the user (every autosave records one) are merged
+   * into a single entry, so typing doesn't push other versions out.
+   * If the draft has no history yet, `seed` (its state before this change)
+   * is stored first so there's something to go back to.
+   *
+   * @param {string} draftId
+   * @param {Object} revision - { text, tone, source, note }
+   * @param {Object} [seed]   - { text, tone, source, createdAt }
+   * @returns {Promise<Array>} the updated history
+   */
+  addRevision: (draftId, revision, seed = null) =>
+    serialize(async () => {
+      let history = await readHistory(draftId);
+      const isSeeded = history.length === 0 && !!seed?.text;
+
+      if (isSeeded) {
+        history = [createRevision({ ...seed, draftId })];
+      }
+
+      const latest = history[0];
+      if (
+        latest &&
+        latest.text === revision.text &&
+        latest.tone === revision.tone
+      ) {
+        return history;
+      }
+
+      const isTyping = (r) => r.source === REVISION_SOURCES.USER_EDIT;
+      if (!isSeeded && latest && isTyping(latest) && isTyping(revision)) {
+        history = history.slice(1);
+      }
+
+      history = [createRevision({ ...revision, draftId }), ...history];
+      await writeHistory(draftId, history);
+      return history;
+    }).catch((error) => {
+      console.warn("Error saving revision:", error);
+      return [];
+    }),
+
+  /**
+   * Move a draft's history to a new id (offline draft got its server id)
+   * @param {string} fromId
+   * @param {string} toId
+   */
+  moveRevisions: (fromId, toId) =>
+    serialize(async () => {
+      const history = await readHistory(fromId);
+      if (history.length === 0) return;
+      await writeHistory(
+        toId,
+        history.map((r) => ({ ...r, draftId: toId })),
+      );
+      await AsyncStorage.removeItem(historyKey(fromId));
+    }).catch((error) => console.warn("Error moving revisions:", error)),
+
+  /**
+   * Delete a draft's history
+   * @param {string} draftId
+   */
+  clearRevisions: (draftId) =>
+    serialize(() => AsyncStorage.removeItem(historyKey(draftId))),
+
+  /**
+   * Delete every draft's history (e.g. on logout)
+   */
+  clearAll: () =>
+    serialize(async () => {
+      const keys = await AsyncStorage.getAllKeys();
+      await AsyncStorage.multiRemove(
+        keys.filter((k) => k.startsWith(STORAGE_KEYS.REVISIONS_PREFIX)),
+      );
+    }),
+};
+
+export default revisionService;
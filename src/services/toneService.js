@@ -0,0 +1,120 @@
+// src/services/toneService.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import api from "./api";
+import { STORAGE_KEYS } from "../utils/constants";
+import { BUILT_IN_TONES, createTone } from "../models/Tone";
+
+/**
+ * The user's custom tones.
+ * They're stored on the server and copied to the device, so they can still
+ * be picked offline. The latest list is also kept in memory so aiService
+ * can describe any tone by name without waiting on storage.
+ */
+
+let customTones = [];
+
+const mapTone = (tone) =>
+  createTone({
+    id: tone._id || tone.id,
+    name: tone.name,
+    description: tone.description || "",
+    examples: tone.examples || [],
+    doRules: tone.doRules || [],
+    dontRules: tone.dontRules || [],
+    isCustom: true,
+    createdAt: tone.createdAt ? new Date(tone.createdAt) : new Date(),
+    updatedAt: tone.updatedAt ? new Date(tone.updatedAt) : new Date(),
+  });
+
+const toPayload = ({ name, description, examples, doRules, dontRules }) => ({
+  name: name.trim(),
+  description: description.trim(),
+  examples: (examples || []).map((e) => e.trim()).filter(Boolean),
+  doRules: (doRules || []).map((r) => r.trim()).filter(Boolean),
+  dontRules: (dontRules || []).map((r) => r.trim()).filter(Boolean),
+});
+
+const setCustomTones = async (tones) => {
+  customTones = tones;
+  await AsyncStorage.setItem(STORAGE_KEYS.CUSTOM_TONES, JSON.stringify(tones));
+  return tones;
+};
+
+const readCachedTones = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.CUSTOM_TONES);
+    return stored ? JSON.parse(stored).map(mapTone) : [];
+  } catch {
+    return [];
+  }
+};
+
+const toneService = {
+  /**
+   * Fetch the user's custom tones, falling back to the device copy offline
+   * @returns {Promise<Array>}
+   */
+  getCustomTones: async () => {
+    try {
+      const response = await api.get("/tones");
+      return setCustomTones((response.tones || []).map(mapTone));
+    } catch (error) {
+      if (error.code !== "NETWORK_ERROR") throw error;
+      customTones = await readCachedTones();
+      return customTones;
+    }
+  },
+
+  /**
+   * @param {Object} fields - { name, description, examples, doRules, dontRules }
+   * @returns {Promise<Object>} the created tone
+   */
+  createTone: async (fields) => {
+    const response = await api.post("/tones", toPayload(fields));
+    const tone = mapTone(response.tone);
+    await setCustomTones([...customTones, tone]);
+    return tone;
+  },
+
+  /**
+   * @param {string} toneId
+   * @param {Object} fields - { name, description, examples, doRules, dontRules }
+   * @returns {Promise<Object>} the updated tone
+   */
+  updateTone: async (toneId, fields) => {
+    const response = await api.put(`/tones/${toneId}`, toPayload(fields));
+    const tone = mapTone(response.tone);
+    await setCustomTones(customTones.map((t) => (t.id === toneId ? tone : t)));
+    return tone;
+  },
+
+  /**
+   * @param {string} toneId
+   */
+  deleteTone: async (toneId) => {
+    await api.delete(`/tones/${toneId}`);
+    await setCustomTones(customTones.filter((t) => t.id !== toneId));
+  },
+
+  /**
+   * Look up any tone by name. Unknown names (e.g. a deleted custom tone)
+   * get the Professional tone.
+   * @param {string} name
+   * @returns {Object} Tone object
+   */
+  getTone: (name) =>
+    customTones.find((t) => t.name === name) ||
+    BUILT_IN_TONES.find((t) => t.name === name) ||
+    BUILT_IN_TONES[0],
+
+  /**
+   * Forget the user's tones (e.g. on logout)
+   */
+  clear: async () => {
+    customTones = [];
+    await AsyncStorage.removeItem(STORAGE_KEYS.CUSTOM_TONES);
+  },
+};
+
+export default toneService;
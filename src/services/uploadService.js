@@ -0,0 +1,235 @@
+// src/services/uploadService.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import * as FileSystem from "expo-file-system/legacy";
+import api from "./api";
+import { STORAGE_KEYS, UPLOAD_CONFIG } from "../utils/constants";
+
+/**
+ * Resumable uploads for large files.
+ * A large file goes to an upload session on the backend in fixed-size
+ * chunks. The session id is kept on the device, so when the connection
+ * drops part way, sending the same file again carries on from what the
+ * server already has instead of starting over.
+ */
+
+const MULTIPART_HEADERS = { "Content-Type": "multipart/form-data" };
+
+const readSessions = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.UPLOAD_SESSIONS);
+    return stored ? JSON.parse(stored) : {};
+  } catch {
+    return {};
+  }
+};
+
+// Sessions are keyed by the local file URI
+const updateSessions = async (updater) => {
+  const now = Date.now();
+  const live = Object.fromEntries(
+    Object.entries(await readSessions()).filter(
+      ([, s]) => now - s.createdAt < UPLOAD_CONFIG.SESSION_TTL_MS,
+    ),
+  );
+  await AsyncStorage.setItem(
+    STORAGE_KEYS.UPLOAD_SESSIONS,
+    JSON.stringify(updater(live)),
+  );
+};
+
+const getFileSize = async (uri) => {
+  try {
+    const info = await FileSystem.getInfoAsync(uri);
+    return info.exists && info.size ? info.size : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Carry on with this file's session if the server still has it,
+ * otherwise open a new one
+ */
+const openSession = async (file, fileSize) => {
+  const saved = (await readSessions())[file.uri];
+  if (
+    saved &&
+    saved.fileSize === fileSize &&
+    Date.now() - saved.createdAt < UPLOAD_CONFIG.SESSION_TTL_MS
+  ) {
+    try {
+      const status = await api.get(`/uploads/${saved.uploadId}`);
+      return { ...saved, receivedBytes: status.receivedBytes || 0 };
+    } catch (error) {
+      // Offline isn't a reason to give up on the session
+      if (error.code === "NETWORK_ERROR") throw error;
+    }
+  }
+
+  const response = await api.post(
+    "/uploads",
+    {
+      fileName: file.name,
+      mimeType: file.type,
+      fileSize,
+      chunkSize: UPLOAD_CONFIG.CHUNK_SIZE_BYTES,
+    },
+    { retry: true },
+  );
+  const session = {
+    uploadId: response.uploadId,
+    chunkSize: response.chunkSize || UPLOAD_CONFIG.CHUNK_SIZE_BYTES,
+    fileSize,
+    createdAt: Date.now(),
+  };
+  await updateSessions((sessions) => ({ ...sessions, [file.uri]: session }));
+  return { ...session, receivedBytes: 0 };
+};
+
+// FormData can only send whole files, so each chunk is copied out first
+const writeChunkFile = async (uri, uploadId, offset, length) => {
+  const data = await FileSystem.readAsStringAsync(uri, {
+    encoding: FileSystem.EncodingType.Base64,
+    position: offset,
+    length,
+  });
+  const chunkUri = `${FileSystem.cacheDirectory}upload_${uploadId}_${offset}.part`;
+  await FileSystem.writeAsStringAsync(chunkUri, data, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+  return chunkUri;
+};
+
+const uploadService = {
+  /**
+   * Send a file to the upload session API in chunks, resuming an earlier
+   * attempt for the same file if there is one
+   *
+   * @param {{uri: string, type: string, name: string}} file
+   * @param {Object} [options]
+   * @param {function} [options.onProgress] - ({ uploadedBytes, totalBytes, progress })
+   * @returns {Promise<{ uploadId: string, fileSize: number }>}
+   */
+  uploadFile: async (file, { onProgress } = {}) => {
+    const fileSize = await getFileSize(file.uri);
+    if (!fileSize) {
+      throw { code: "FILE_NOT_FOUND", message: "The file couldn't be read." };
+    }
+
+    const session = await openSession(file, fileSize);
+    const report = (uploadedBytes) =>
+      onProgress?.({
+        uploadedBytes,
+        totalBytes: fileSize,
+        progress: uploadedBytes / fileSize,
+      });
+
+    let offset = session.receivedBytes;
+    report(offset);
+
+    while (offset < fileSize) {
+      const length = Math.min(session.chunkSize, fileSize - offset);
+      const chunkUri = await writeChunkFile(
+        file.uri,
+        session.uploadId,
+        offset,
+        length,
+      );
+      const start = offset;
+      try {
+        const formData = new FormData();
+        formData.append("chunk", {
+          uri: chunkUri,
+          type: "application/octet-stream",
+          name: `${file.name}.part`,
+        });
+        formData.append("offset", String(start));
+
+        // PUT, so a chunk that times out is retried by the api client
+        const response = await api.put(
+          `/uploads/${session.uploadId}`,
+          formData,
+          {
+            headers: MULTIPART_HEADERS,
+            timeout: UPLOAD_CONFIG.CHUNK_TIMEOUT_MS,
+            onUploadProgress: (event) =>
+              report(start + Math.min(event.loaded, length)),
+          },
+        );
+        // Trust the server's count in case it already had part of this chunk
+        offset = response.receivedBytes ?? start + length;
+      } finally {
+        FileSystem.deleteAsync(chunkUri, { idempotent: true }).catch(() => {});
+      }
+      report(offset);
+    }
+
+    return { uploadId: session.uploadId, fileSize };
+  },
+
+  /**
+   * POST a file to an endpoint that consumes it.
+   * Small files go inline as multipart. Larger ones are uploaded in chunks
+   * first and the endpoint gets `uploadId` in place of the file.
+   *
+   * @param {string} url
+   * @param {Object} params
+   * @param {string} params.field - Multipart field name for the file
+   * @param {{uri: string, type: string, name: string}} params.file
+   * @param {Object} [params.fields] - Other form fields
+   * @param {function} [params.onProgress] - ({ uploadedBytes, totalBytes, progress })
+   * @param {number} [params.timeout]
+   * @param {boolean} [params.retry]
+   * @param {boolean} [params.retryTimeouts] - See api.js
+   * @returns {Promise<Object>} The endpoint's response
+   */
+  postFile: async (
+    url,
+    { field, file, fields = {}, onProgress, timeout, retry, retryTimeouts },
+  ) => {
+    const fileSize = await getFileSize(file.uri);
+
+    if (!fileSize || fileSize <= UPLOAD_CONFIG.CHUNKED_THRESHOLD_BYTES) {
+      const formData = new FormData();
+      formData.append(field, file);
+      Object.entries(fields).forEach(([key, value]) =>
+        formData.append(key, value),
+      );
+      return api.post(url, formData, {
+        headers: MULTIPART_HEADERS,
+        timeout,
+        retry,
+        retryTimeouts,
+        onUploadProgress: (event) => {
+          const totalBytes = event.total || fileSize;
+          if (!onProgress || !totalBytes) return;
+          onProgress({
+            uploadedBytes: event.loaded,
+            totalBytes,
+            progress: Math.min(event.loaded / totalBytes, 1),
+          });
+        },
+      });
+    }
+
+    const { uploadId } = await uploadService.uploadFile(file, { onProgress });
+    const response = await api.post(
+      url,
+      { ...fields, uploadId },
+      { timeout, retry, retryTimeouts },
+    );
+    // Only now — if this call had failed, the upload could be reused
+    await updateSessions(({ [file.uri]: _done, ...rest }) => rest);
+    return response;
+  },
+
+  /**
+   * Forget every unfinished upload (e.g. on logout)
+   */
+  clearSessions: async () => {
+    await AsyncStorage.removeItem(STORAGE_KEYS.UPLOAD_SESSIONS);
+  },
+};
+
+export default uploadService;
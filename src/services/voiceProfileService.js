@@ -0,0 +1,124 @@
+// src/services/voiceProfileService.js
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { STORAGE_KEYS } from "../utils/constants";
+import {
+  createVoiceProfile,
+  getVoicePromptFields,
+} from "../models/VoiceProfile";
+import { analyzeVoice, selectVoiceSamples } from "../utils/voiceAnalysis";
+
+/**
+ * The user's voice profile, kept on the device.
+ * It's learned from their posts (see utils/voiceAnalysis) and can then be
+ * corrected by hand in Settings.
+ */
+
+const readProfile = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(STORAGE_KEYS.VOICE_PROFILE);
+    if (!stored) return null;
+    const profile = JSON.parse(stored);
+    return createVoiceProfile({
+      ...profile,
+      updatedAt: new Date(profile.updatedAt),
+    });
+  } catch {
+    return null;
+  }
+};
+
+const writeProfile = async (profile) => {
+  await AsyncStorage.setItem(
+    STORAGE_KEYS.VOICE_PROFILE,
+    JSON.stringify(profile),
+  );
+  return profile;
+};
+
+// Every write goes through one chain, so a background refresh can't
+// overwrite changes the user has just saved
+let profileChain = Promise.resolve();
+const serialize = (task) => {
+  const run = profileChain.then(task, task);
+  profileChain = run.catch(() => {});
+  return run;
+};
+
+// A profile with no samples isn't stored, so the next chance to learn
+// one isn't blocked by it
+const learnProfile = async (drafts, current) => {
+  const profile = createVoiceProfile({
+    ...analyzeVoice(selectVoiceSamples(drafts)),
+    enabled: current ? current.enabled : true,
+    notes: current ? current.notes : "",
+    isEdited: false,
+    updatedAt: new Date(),
+  });
+  return profile.sampleCount > 0 ? writeProfile(profile) : profile;
+};
+
+const voiceProfileService = {
+  /**
+   * @returns {Promise<Object|null>} null until the profile is first built
+   */
+  getProfile: readProfile,
+
+  /**
+   * Save changes made by hand
+   * @param {Object} updates - Any voice profile fields
+   * @returns {Promise<Object>} the saved profile
+   */
+  saveProfile: (updates) =>
+    serialize(async () => {
+      const current = (await readProfile()) || createVoiceProfile({});
+      return writeProfile(
+        createVoiceProfile({
+          ...current,
+          ...updates,
+          isEdited: true,
+          updatedAt: new Date(),
+        }),
+      );
+    }),
+
+  /**
+   * Learn the profile again from the user's drafts. Replaces hand edits to
+   * the learned fields; `enabled` and `notes` are kept.
+   * @param {Object[]} drafts
+   * @returns {Promise<Object>} the rebuilt profile
+   */
+  rebuildProfile: (drafts) =>
+    serialize(async () => learnProfile(drafts, await readProfile())),
+
+  /**
+   * Keep the learned profile up to date as drafts load and posts go out.
+   * A profile edited by hand is left alone until the user rebuilds it.
+   * Runs in the background, so failures are only logged.
+   * @param {Object[]} drafts
+   * @returns {Promise<Object|null>} the current profile
+   */
+  refreshProfile: (drafts) =>
+    serialize(async () => {
+      const current = await readProfile();
+      if (current && current.isEdited) return current;
+      return learnProfile(drafts, current);
+    }).catch((error) => {
+      console.warn("Error refreshing voice profile:", error);
+      return null;
+    }),
+
+  /**
+   * What to send with AI requests, or null when there's no usable profile
+   * @returns {Promise<Object|null>}
+   */
+  getPromptFields: async () => getVoicePromptFields(await readProfile()),
+
+  /**
+   * Forget the profile (e.g. on logout)
+   */
+  clear: () =>
+    serialize(() => AsyncStorage.removeItem(STORAGE_KEYS.VOICE_PROFILE)),
+};
+
+export default voiceProfileService;
@@ -0,0 +1,84 @@
+// src/utils/audio.js
+import { Audio } from 'expo-av';
+import { AUDIO_MIME_TYPES, RECORDING_CONFIG } from './constants';
+
+/**
+ * Maps an expo-av metering reading (dBFS, -160 to 0) onto 0–1
+ * @param {number} db
+ * @returns {number}
+ */
+export const normalizeMetering = (db) => {
+  if (typeof db !== 'number' || Number.isNaN(db)) return 0;
+  const floor = RECORDING_CONFIG.METERING_FLOOR_DB;
+  if (db <= floor) return 0;
+  if (db >= 0) return 1;
+  return (db - floor) / -floor;
+};
+
+/**
+ * Whether a metering reading is quiet enough to count as silence
+ * @param {number} db
+ * @param {number} [thresholdDb]
+ * @returns {boolean}
+ */
+export const isSilent = (db, thresholdDb = RECORDING_CONFIG.SILENCE_THRESHOLD_DB) =>
+  typeof db !== 'number' || db < thresholdDb;
+
+/**
+ * Lower-case extension of a file name or URI, without the dot
+ * @param {string} nameOrUri
+ * @returns {string|null}
+ */
+export const getAudioExtension = (nameOrUri) => {
+  const match = /\.([a-z0-9]+)$/i.exec((nameOrUri || '').split('?')[0]);
+  return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * Whether a file is one of the audio formats we accept
+ * @param {string} nameOrUri
+ * @returns {boolean}
+ */
+export const isSupportedAudio = (nameOrUri) =>
+  !!AUDIO_MIME_TYPES[getAudioExtension(nameOrUri)];
+
+/**
+ * The form-data file part for an audio upload.
+ * Type and name follow the file's extension unless given; our own
+ * recordings are m4a.
+ * @param {string} uri
+ * @param {Object} [options]
+ * @param {string} [options.mimeType]
+ * @param {string} [options.fileName]
+ * @returns {{uri: string, type: string, name: string}}
+ */
+export const getAudioFilePart = (uri, { mimeType, fileName } = {}) => {
+  const extension = getAudioExtension(fileName || uri);
+  const known = AUDIO_MIME_TYPES[extension];
+  return {
+    uri,
+    type: mimeType || known || AUDIO_MIME_TYPES.m4a,
+    name: fileName || `recording.${known ? extension : 'm4a'}`,
+  };
+};
+
+/**
+ * Reads an audio file's length by loading it without playing
+ * @param {string} uri
+ * @returns {Promise<number|null>} Duration in ms, or null if unreadable
+ */
+export const getAudioDurationMs = async (uri) => {
+  let sound;
+  try {
+    const { sound: loaded, status } = await Audio.Sound.createAsync(
+      { uri },
+      { shouldPlay: false }
+    );
+    sound = loaded;
+    return status.isLoaded ? status.durationMillis ?? null : null;
+  } catch {
+    return null;
+  } finally {
+    sound?.unloadAsync().catch(() => {});
+  }
+};
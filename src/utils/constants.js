@@ -75,6 +75,64 @@ export const TONE_DESCRIPTIONS = {
   "Casual-Pro": "Friendly yet professional",
 };
 
+// Alternatives asked for on top of the first refinement, when the user
+// wants to choose between versions
+export const VARIANTS_CONFIG = {
+  COUNT: 3,
+};
+
+// Custom tones a user writes (see models/Tone)
+export const TONE_LIMITS = {
+  MAX_NAME_LENGTH: 30,
+  MAX_EXAMPLES: 3,
+};
+
+// One-tap edit instructions offered in the editor next to voice edits
+export const QUICK_EDITS = [
+  { label: "Shorter", instruction: "Make it shorter without losing the point" },
+  {
+    label: "End with a question",
+    instruction: "Add a question at the end that invites comments",
+  },
+  {
+    label: "More concrete",
+    instruction: "Use more concrete numbers and specific examples",
+  },
+  { label: "No emojis", instruction: "Remove all emojis" },
+  {
+    label: "Stronger hook",
+    instruction: "Rewrite the first line so it grabs attention",
+  },
+  { label: "Add a CTA", instruction: "End with a clear call to action" },
+];
+
+export const EDIT_INSTRUCTION_LIMITS = {
+  MAX_LENGTH: 300,
+};
+
+// ─── LANGUAGES ─────────────────────────────────────────────────────────────
+
+// Spoken languages for transcription. "auto" leaves it to the backend to
+// detect.
+export const AUTO_DETECT_LANGUAGE = "auto";
+
+export const TRANSCRIPTION_LANGUAGES = [
+  { code: AUTO_DETECT_LANGUAGE, label: "Auto-detect" },
+  { code: "en", label: "English" },
+  { code: "es", label: "Spanish" },
+  { code: "fr", label: "French" },
+  { code: "de", label: "German" },
+  { code: "pt", label: "Portuguese" },
+  { code: "it", label: "Italian" },
+  { code: "nl", label: "Dutch" },
+  { code: "hi", label: "Hindi" },
+  { code: "ar", label: "Arabic" },
+  { code: "zh", label: "Chinese" },
+  { code: "ja", label: "Japanese" },
+];
+
+export const DEFAULT_TRANSCRIPTION_LANGUAGE = "en";
+
 // ─── API ───────────────────────────────────────────────────────────────────
 // Determine API base URL based on environment
 const getApiBaseUrl = () => {
@@ -97,7 +155,18 @@ const getApiBaseUrl = () => {
 export const API_CONFIG = {
   BASE_URL: getApiBaseUrl(),
   TIMEOUT: 30000,
-  RETRY_ATTEMPTS: 3,
+  RETRY_ATTEMPTS: 3, // retries after the initial request
+  RETRY_BASE_DELAY_MS: 500,
+  RETRY_MAX_DELAY_MS: 10000,
+  RETRY_AFTER_MAX_MS: 30000, // give up if the server asks us to wait longer
+  DRAFTS_PAGE_SIZE: 50, // a full page means there may be more on the server
+};
+
+export const UPLOAD_CONFIG = {
+  CHUNKED_THRESHOLD_BYTES: 5 * 1024 * 1024, // larger files go up in chunks
+  CHUNK_SIZE_BYTES: 2 * 1024 * 1024,
+  CHUNK_TIMEOUT_MS: 60000,
+  SESSION_TTL_MS: 24 * 60 * 60 * 1000, // how long an unfinished upload can be resumed
 };
 
 // ─── LINKEDIN ──────────────────────────────────────────────────────────────
@@ -116,6 +185,28 @@ export const RECORDING_CONFIG = {
   SAMPLE_RATE: 44100,
   CHANNELS: 1,
   BIT_RATE: 128000,
+  METERING_INTERVAL_MS: 100, // how often the mic level is sampled
+  METERING_FLOOR_DB: -60, // levels at or below this draw as flat bars
+  SILENCE_THRESHOLD_DB: -45, // below this counts as "not hearing anything"
+  NO_INPUT_WARNING_MS: 4000, // near-silence before the mic warning shows
+  AUTO_STOP_SILENCE_MS: 3000, // default trailing silence before auto-stop
+  AUTO_STOP_SILENCE_OPTIONS_MS: [2000, 3000, 5000],
+  AUTO_STOP_MIN_SPEECH_MS: 2000, // speech needed before auto-stop can kick in
+  AUTO_STOP_COUNTDOWN_DELAY_MS: 1000, // short pauses don't show the countdown
+  ORPHAN_GRACE_MS: 24 * 60 * 60 * 1000, // unreferenced recordings kept this long
+  MARKER_SAVE_INTERVAL_MS: 2000, // how often an in-progress recording is noted
+  STREAM_CHUNK_MIN_MS: 5000, // live transcription cuts a chunk at the next pause after this
+  STREAM_CHUNK_MAX_MS: 12000, // ...or past this, at the first quiet moment
+  STREAM_CUT_PAUSE_MS: 300, // silence that counts as a pause to cut at
+  STREAM_FINISH_TIMEOUT_MS: 15000, // wait this long for the last chunks on stop
+};
+
+// Audio files that can be imported or uploaded, by extension
+export const AUDIO_MIME_TYPES = {
+  m4a: "audio/m4a",
+  mp3: "audio/mpeg",
+  wav: "audio/wav",
+  ogg: "audio/ogg",
 };
 
 // ─── APP INFO ──────────────────────────────────────────────────────────────
@@ -150,7 +241,47 @@ export const STORAGE_KEYS = {
   AUTH_TOKEN: "@linquoral_auth_token",
   THEME_MODE: "@linquoral_theme_mode",
   ONBOARDING_COMPLETE: "@linquoral_onboarding_complete",
-  DRAFTS_CACHE: "@linquoral_drafts_cache",
+  DRAFTS_CACHE: "@linquoral_drafts_cache", // legacy single-blob cache, migrated by draftStore
+  DRAFTS_INDEX: "@linquoral_drafts_index",
+  DRAFT_RECORD_PREFIX: "@linquoral_draft:",
+  MUTATION_QUEUE: "@linquoral_mutation_queue",
+  REVISIONS_PREFIX: "@linquoral_revisions:",
+  EDITOR_SNAPSHOT_PREFIX: "@linquoral_editor_snapshot:",
+  AUTO_STOP: "@linquoral_auto_stop",
+  RECORDING_MARKER: "@linquoral_recording_marker",
+  PROCESSING_INBOX: "@linquoral_processing_inbox",
+  LIVE_TRANSCRIPTION: "@linquoral_live_transcription",
+  UPLOAD_SESSIONS: "@linquoral_upload_sessions",
+  TRANSCRIPTION_LANGUAGE: "@linquoral_transcription_language",
+  CUSTOM_TONES: "@linquoral_custom_tones",
+  VOICE_PROFILE: "@linquoral_voice_profile",
+  REFINEMENT_VARIANTS: "@linquoral_refinement_variants",
+};
+
+// ─── EDITOR ────────────────────────────────────────────────────────────────
+
+export const EDITOR_CONFIG = {
+  UNDO_LIMIT: 100,
+  TYPING_CHECKPOINT_MS: 1000, // pause in typing that closes an undo step
+  SHAKE_THRESHOLD_G: 1.8,
+  SHAKE_COOLDOWN_MS: 1500,
+  AUTOSAVE_DELAY_MS: 2000, // pause in editing before saving to the server
+  SNAPSHOT_DELAY_MS: 500, // pause before writing the crash-recovery copy
+};
+
+// ─── REVISIONS ─────────────────────────────────────────────────────────────
+
+export const REVISION_CONFIG = {
+  MAX_PER_DRAFT: 50, // oldest revisions are dropped past this
+};
+
+// ─── VOICE PROFILE ─────────────────────────────────────────────────────────
+
+export const VOICE_PROFILE_CONFIG = {
+  MIN_SAMPLES: 3, // posts needed before a profile says anything useful
+  MAX_SAMPLES: 30, // most recent posts analysed
+  HEAVY_EDIT_RATIO: 0.3, // share of the AI text reworded by hand
+  MAX_SIGNATURE_PHRASES: 5,
 };
 
 // ─── TIME SLOTS ────────────────────────────────────────────────────────────
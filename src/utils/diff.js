@@ -0,0 +1,186 @@
+// src/utils/diff.js
+
+/**
+ * Word-level text diff.
+ * Whitespace is kept as its own token so joining the segments back
+ * together reproduces the original text exactly.
+ */
+
+export const DIFF_TYPES = {
+  EQUAL: 'equal',
+  INSERT: 'insert',
+  DELETE: 'delete',
+  CHANGE: 'change', // a hunk: neighbouring deletions and insertions together
+};
+
+/**
+ * Splits text into word and whitespace tokens
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export const tokenize = (text = '') => text.split(/(\s+)/).filter(Boolean);
+
+/**
+ * Merges neighbouring tokens of the same type into segments
+ */
+const pushSegment = (segments, type, text) => {
+  const last = segments[segments.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    segments.push({ type, text });
+  }
+};
+
+/**
+ * Diffs two strings word by word (longest common subsequence)
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{ type: string, text: string }>} segments in reading order
+ */
+export const diffWords = (oldText = '', newText = '') => {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // Skip the shared prefix and suffix — edits are usually local
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  // lcs[i][j] = length of the LCS of midA[i:] and midB[j:]
+  const lcs = Array.from({ length: midA.length + 1 }, () =>
+    new Array(midB.length + 1).fill(0),
+  );
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        midA[i] === midB[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  if (start > 0) {
+    pushSegment(segments, DIFF_TYPES.EQUAL, a.slice(0, start).join(''));
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < midA.length || j < midB.length) {
+    if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+      pushSegment(segments, DIFF_TYPES.EQUAL, midA[i]);
+      i++;
+      j++;
+    } else if (
+      i < midA.length &&
+      (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])
+    ) {
+      // Deletions first, so a replacement reads "old → new"
+      pushSegment(segments, DIFF_TYPES.DELETE, midA[i]);
+      i++;
+    } else {
+      pushSegment(segments, DIFF_TYPES.INSERT, midB[j]);
+      j++;
+    }
+  }
+
+  if (endA < a.length) {
+    pushSegment(segments, DIFF_TYPES.EQUAL, a.slice(endA).join(''));
+  }
+  return segments;
+};
+
+/**
+ * Counts changed words in a diff, ignoring whitespace-only changes
+ * @param {Array} segments - Output of diffWords
+ * @returns {{ added: number, removed: number }}
+ */
+export const countChanges = (segments) =>
+  segments.reduce(
+    (counts, { type, text }) => {
+      const words = tokenize(text).filter((t) => t.trim()).length;
+      if (type === DIFF_TYPES.INSERT) counts.added += words;
+      if (type === DIFF_TYPES.DELETE) counts.removed += words;
+      return counts;
+    },
+    { added: 0, removed: 0 },
+  );
+
+/**
+ * Groups a diff into hunks the user can accept or reject one by one.
+ * Deletions and insertions separated only by whitespace form one hunk,
+ * so "quick brown" → "slow red" is a single change rather than two.
+ *
+ * @param {Array} segments - Output of diffWords
+ * @returns {Array} equal parts `{ type, text }` and change hunks
+ *   `{ type: 'change', id, removed, added }`, in reading order
+ */
+export const groupHunks = (segments) => {
+  const parts = [];
+  segments.forEach(({ type, text }) => {
+    if (type === DIFF_TYPES.EQUAL) {
+      parts.push({ type, text });
+      return;
+    }
+    let hunk = parts[parts.length - 1];
+    if (hunk?.type !== DIFF_TYPES.CHANGE) {
+      hunk = { type: DIFF_TYPES.CHANGE, removed: '', added: '' };
+      parts.push(hunk);
+    }
+    if (type === DIFF_TYPES.DELETE) hunk.removed += text;
+    else hunk.added += text;
+  });
+
+  const merged = [];
+  parts.forEach((part, i) => {
+    const prev = merged[merged.length - 1];
+    const next = parts[i + 1];
+    const isGap =
+      part.type === DIFF_TYPES.EQUAL &&
+      !part.text.trim() &&
+      prev?.type === DIFF_TYPES.CHANGE &&
+      next?.type === DIFF_TYPES.CHANGE;
+
+    if (isGap) {
+      prev.removed += part.text;
+      prev.added += part.text;
+    } else if (
+      part.type === DIFF_TYPES.CHANGE &&
+      prev?.type === DIFF_TYPES.CHANGE
+    ) {
+      prev.removed += part.removed;
+      prev.added += part.added;
+    } else {
+      merged.push({ ...part });
+    }
+  });
+
+  let id = 0;
+  return merged.map((part) =>
+    part.type === DIFF_TYPES.CHANGE ? { ...part, id: id++ } : part,
+  );
+};
+
+/**
+ * Rebuilds text from hunks, keeping the new side of accepted hunks and
+ * the old side of rejected ones
+ * @param {Array} parts - Output of groupHunks
+ * @param {Set<number>} rejectedIds
+ * @returns {string}
+ */
+export const applyHunks = (parts, rejectedIds) =>
+  parts
+    .map((part) => {
+      if (part.type !== DIFF_TYPES.CHANGE) return part.text;
+      return rejectedIds.has(part.id) ? part.removed : part.added;
+    })
+    .join('');
@@ -1,4 +1,9 @@
-import { LINKEDIN_LIMITS, RECORDING_CONFIG } from './constants';
+import {
+  LINKEDIN_LIMITS,
+  RECORDING_CONFIG,
+  TONE_LIMITS,
+  TRANSCRIPTION_LANGUAGES,
+} from './constants';
 
 // ─── CONTENT VALIDATORS ────────────────────────────────────────────────────
 
@@ -163,6 +168,38 @@ export const validateDisplayName = (name) => {
   return { isValid: true };
 };
 
+/**
+ * Validates a custom tone before it's saved
+ * @param {Object} tone - { name, description }
+ * @param {string[]} takenNames - Names of every other tone
+ * @returns {Object} { isValid, error }
+ */
+export const validateTone = ({ name, description }, takenNames = []) => {
+  const trimmed = (name || '').trim();
+
+  if (!trimmed) {
+    return { isValid: false, error: 'Give the tone a name' };
+  }
+
+  if (trimmed.length > TONE_LIMITS.MAX_NAME_LENGTH) {
+    return {
+      isValid: false,
+      error: `Tone names can be at most ${TONE_LIMITS.MAX_NAME_LENGTH} characters`,
+    };
+  }
+
+  // Drafts refer to their tone by name, so names must be unique
+  if (takenNames.some((n) => n.toLowerCase() === trimmed.toLowerCase())) {
+    return { isValid: false, error: 'You already have a tone with this name' };
+  }
+
+  if (!(description || '').trim()) {
+    return { isValid: false, error: 'Describe how the tone should sound' };
+  }
+
+  return { isValid: true };
+};
+
 // ─── HELPER FUNCTIONS ──────────────────────────────────────────────────────
 
 /**
@@ -226,6 +263,16 @@ export const formatScheduledTime = (date) => {
   });
 };
 
+/**
+ * Formats a spoken language code for display (e.g. 'es' → 'Spanish')
+ * @param {string} code
+ * @returns {string}
+ */
+export const formatLanguage = (code) => {
+  const language = TRANSCRIPTION_LANGUAGES.find((l) => l.code === code);
+  return language ? language.label : (code || '').toUpperCase();
+};
+
 /**
  * Truncates text with ellipsis
  * @param {string} text
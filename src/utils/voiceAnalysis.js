@@ -0,0 +1,189 @@
+// src/utils/voiceAnalysis.js
+
+import { VOICE_PROFILE_CONFIG } from './constants';
+import { diffWords, countChanges, tokenize } from './diff';
+import { EMOJI_USE } from '../models/VoiceProfile';
+
+/**
+ * Works out a user's writing habits from their own posts.
+ * Plain text statistics — no AI call — so it runs on the device and the
+ * user can see exactly where each part of the profile came from.
+ */
+
+const EMOJI_REGEX = /[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}]/gu;
+const LIST_LINE_REGEX = /^\s*([-•*]|\d+[.)])\s+/m;
+const HASHTAG_REGEX = /(^|\s)#\w+/;
+
+// Too common to make a phrase "signature" on their own
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from',
+  'has', 'have', 'i', 'if', 'in', 'is', 'it', 'its', 'my', 'of', 'on', 'or',
+  'so', 'that', 'the', 'this', 'to', 'was', 'we', 'what', 'with', 'you',
+]);
+
+const countWords = (text) => tokenize(text).filter((t) => t.trim()).length;
+
+const splitSentences = (text) =>
+  text.split(/[.!?]+(?:\s+|$)|\n+/).map((s) => s.trim()).filter(Boolean);
+
+const splitParagraphs = (text) =>
+  text.split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+
+const share = (texts, test) =>
+  texts.length ? texts.filter(test).length / texts.length : 0;
+
+/**
+ * Whether the user rewrote enough of the AI's text for the result to
+ * count as their own writing
+ * @param {Object} draft
+ * @returns {boolean}
+ */
+export const isHeavilyEdited = (draft) => {
+  if (!draft.userEditedText || !draft.aiRefinedText) return false;
+  const total = countWords(draft.aiRefinedText);
+  if (total === 0) return false;
+  const { added, removed } = countChanges(
+    diffWords(draft.aiRefinedText, draft.userEditedText),
+  );
+  const ratio = Math.max(added, removed) / total;
+  return ratio >= VOICE_PROFILE_CONFIG.HEAVY_EDIT_RATIO;
+};
+
+// Diffing is the slow part, so each draft's answer is kept until the
+// draft changes
+const heavyEditCache = new Map();
+
+const isHeavilyEditedCached = (draft) => {
+  const key = `${draft.version}|${draft.updatedAt}`;
+  const cached = heavyEditCache.get(draft.id);
+  if (cached && cached.key === key) return cached.value;
+  const value = isHeavilyEdited(draft);
+  heavyEditCache.set(draft.id, { key, value });
+  return value;
+};
+
+/**
+ * Picks the posts that show how the user writes: published ones and
+ * drafts they reworked by hand, most recent first
+ * @param {Object[]} drafts
+ * @returns {string[]} Post texts
+ */
+export const selectVoiceSamples = (drafts) => {
+  const samples = [];
+  const newestFirst = [...drafts].sort(
+    (a, b) => new Date(b.updatedAt) - new Date(a.updatedAt),
+  );
+  for (const draft of newestFirst) {
+    if (samples.length >= VOICE_PROFILE_CONFIG.MAX_SAMPLES) break;
+    const text = draft.userEditedText || draft.aiRefinedText;
+    if (!text) continue;
+    if (draft.status === 'published' || isHeavilyEditedCached(draft)) {
+      samples.push(text);
+    }
+  }
+  return samples;
+};
+
+// "what would you" + "would you change" → "what would you change"
+const mergeOverlaps = (phrases) =>
+  phrases.reduce((merged, phrase) => {
+    const words = phrase.split(' ');
+    const head = words.slice(0, 2).join(' ');
+    const tail = words.slice(1).join(' ');
+    const before = merged.findIndex((m) => m.endsWith(` ${head}`));
+    const after = merged.findIndex((m) => m.startsWith(`${tail} `));
+    if (before !== -1) merged[before] = `${merged[before]} ${words[2]}`;
+    else if (after !== -1) merged[after] = `${words[0]} ${merged[after]}`;
+    else merged.push(phrase);
+    return merged;
+  }, []);
+
+/**
+ * Three-word phrases that turn up in several different posts
+ */
+const findSignaturePhrases = (texts) => {
+  const postCounts = new Map();
+  texts.forEach((text) => {
+    const words = text.toLowerCase().match(/[a-z']+/g) || [];
+    const seen = new Set();
+    for (let i = 0; i + 3 <= words.length; i++) {
+      const phrase = words.slice(i, i + 3);
+      if (phrase.every((w) => STOPWORDS.has(w))) continue;
+      seen.add(phrase.join(' '));
+    }
+    seen.forEach((p) => postCounts.set(p, (postCounts.get(p) || 0) + 1));
+  });
+
+  const minPosts = Math.max(2, Math.ceil(texts.length * 0.3));
+  const phrases = [...postCounts]
+    .filter(([, count]) => count >= minPosts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([phrase]) => phrase);
+  return mergeOverlaps(phrases).slice(
+    0,
+    VOICE_PROFILE_CONFIG.MAX_SIGNATURE_PHRASES,
+  );
+};
+
+const findFormattingHabits = (texts) => {
+  const habits = [];
+  const paragraphs = texts.flatMap(splitParagraphs);
+  const sentencesPerParagraph =
+    paragraphs.reduce((sum, p) => sum + splitSentences(p).length, 0) /
+    (paragraphs.length || 1);
+
+  if (sentencesPerParagraph <= 2) {
+    habits.push('Short paragraphs of one or two sentences');
+  }
+  if (
+    share(texts, (t) => {
+      const first = splitParagraphs(t)[0] || '';
+      return splitSentences(first).length === 1 && countWords(first) <= 12;
+    }) >= 0.5
+  ) {
+    habits.push('Opens with a short one-line hook');
+  }
+  if (share(texts, (t) => LIST_LINE_REGEX.test(t)) >= 0.3) {
+    habits.push('Uses bulleted or numbered lists');
+  }
+  if (share(texts, (t) => t.trim().endsWith('?')) >= 0.4) {
+    habits.push('Often ends with a question');
+  }
+  if (share(texts, (t) => HASHTAG_REGEX.test(t)) >= 0.5) {
+    habits.push('Adds hashtags');
+  }
+  return habits;
+};
+
+/**
+ * Derives the measurable parts of a voice profile
+ * @param {string[]} texts - Output of selectVoiceSamples
+ * @returns {Object} { avgSentenceLength, emojiUse, signaturePhrases, formattingHabits, sampleCount }
+ */
+export const analyzeVoice = (texts) => {
+  const sentences = texts.flatMap(splitSentences);
+  const avgSentenceLength = sentences.length
+    ? Math.round(
+        sentences.reduce((sum, s) => sum + countWords(s), 0) / sentences.length,
+      )
+    : 0;
+
+  const emojisPerPost = texts.length
+    ? texts.reduce((sum, t) => sum + (t.match(EMOJI_REGEX) || []).length, 0) /
+      texts.length
+    : 0;
+  const emojiUse =
+    emojisPerPost === 0
+      ? EMOJI_USE.NONE
+      : emojisPerPost < 2
+        ? EMOJI_USE.LIGHT
+        : EMOJI_USE.HEAVY;
+
+  return {
+    avgSentenceLength,
+    emojiUse,
+    signaturePhrases: findSignaturePhrases(texts),
+    formattingHabits: findFormattingHabits(texts),
+    sampleCount: texts.length,
+  };
+};